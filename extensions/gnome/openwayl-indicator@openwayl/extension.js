@@ -14,13 +14,23 @@ const INDICATOR_STATE = {
   PROCESSING: "processing",
 };
 
+const IDLE_ICON = "audio-input-microphone-symbolic";
+
+// While recording, the icon follows the input level like GNOME's own volume indicator
+const levelIcon = (level) => {
+  if (level < 0.05) return "microphone-sensitivity-muted-symbolic";
+  if (level < 0.35) return "microphone-sensitivity-low-symbolic";
+  if (level < 0.7) return "microphone-sensitivity-medium-symbolic";
+  return "microphone-sensitivity-high-symbolic";
+};
+
 const OpenWaylIndicator = GObject.registerClass(
   class OpenWaylIndicator extends PanelMenu.Button {
     _init() {
       super._init(0.0, "OpenWayl Indicator", false);
 
       this._icon = new St.Icon({
-        icon_name: "audio-input-microphone-symbolic",
+        icon_name: IDLE_ICON,
         style_class: "openwayl-icon",
       });
 
@@ -29,6 +39,7 @@ const OpenWaylIndicator = GObject.registerClass(
 
       this._proxy = null;
       this._signalId = null;
+      this._levelSignalId = null;
       this._state = INDICATOR_STATE.IDLE;
       this._setState(false, false);
       this._connectDBus();
@@ -51,6 +62,12 @@ const OpenWaylIndicator = GObject.registerClass(
               this._setState(recording, processing);
             }
           );
+          this._levelSignalId = proxy.connectSignal(
+            "LevelChanged",
+            (_proxy, _sender, [level, clipping]) => {
+              this._setLevel(level, clipping);
+            }
+          );
 
           const cachedRecording = proxy.get_cached_property("Recording")?.unpack();
           const cachedProcessing = proxy.get_cached_property("Processing")?.unpack();
@@ -104,6 +121,7 @@ const OpenWaylIndicator = GObject.registerClass(
       this._state = nextState;
       this.remove_style_class_name("openwayl-recording");
       this.remove_style_class_name("openwayl-processing");
+      this._setLevel(0, false);
 
       if (nextState === INDICATOR_STATE.RECORDING) {
         this.add_style_class_name("openwayl-recording");
@@ -112,15 +130,30 @@ const OpenWaylIndicator = GObject.registerClass(
       }
     }
 
+    _setLevel(level, clipping) {
+      const isRecording = this._state === INDICATOR_STATE.RECORDING;
+      this._icon.icon_name = isRecording ? levelIcon(level) : IDLE_ICON;
+
+      if (isRecording && clipping) {
+        this.add_style_class_name("openwayl-clipping");
+      } else {
+        this.remove_style_class_name("openwayl-clipping");
+      }
+    }
+
     destroy() {
       this._callUnregisterClient();
 
       if (this._proxy && this._signalId) {
         this._proxy.disconnectSignal(this._signalId);
       }
+      if (this._proxy && this._levelSignalId) {
+        this._proxy.disconnectSignal(this._levelSignalId);
+      }
 
       this._proxy = null;
       this._signalId = null;
+      this._levelSignalId = null;
       super.destroy();
     }
   }
@@ -30,6 +30,13 @@ const debugLogger = require("./src/helpers/debugLogger");
 const EnvironmentManager = require("./src/helpers/environment");
 const WindowManager = require("./src/helpers/windowManager");
 const DatabaseManager = require("./src/helpers/database");
+const HistoryExporter = require("./src/helpers/historyExport");
+const HistoryImporter = require("./src/helpers/historyImport");
+const HistoryRetentionManager = require("./src/helpers/historyRetention");
+const HistoryAudioStore = require("./src/helpers/historyAudio");
+const MarkdownVaultSink = require("./src/helpers/markdownVault");
+const RecordingSpool = require("./src/helpers/recordingSpool");
+const MediaFileConverter = require("./src/helpers/mediaFileConverter");
 const ClipboardManager = require("./src/helpers/clipboard");
 const WhisperManager = require("./src/helpers/whisper");
 const TrayManager = require("./src/helpers/tray");
@@ -70,12 +77,19 @@ debugLogger.refreshLogLevel();
 const windowManager = new WindowManager();
 const hotkeyManager = windowManager.hotkeyManager;
 const databaseManager = new DatabaseManager();
+const historyExporter = new HistoryExporter(databaseManager);
+const historyImporter = new HistoryImporter(databaseManager);
 const clipboardManager = new ClipboardManager();
 const whisperManager = new WhisperManager();
 const trayManager = new TrayManager();
 const updateManager = new UpdateManager();
 const globeKeyManager = new GlobeKeyManager();
 const settingsStore = new SettingsStore();
+const historyRetention = new HistoryRetentionManager({ databaseManager, settingsStore });
+const historyAudio = new HistoryAudioStore({ databaseManager, settingsStore });
+const markdownVault = new MarkdownVaultSink({ settingsStore });
+const recordingSpool = new RecordingSpool({ databaseManager });
+const mediaFileConverter = new MediaFileConverter(whisperManager);
 // const gnomeIndicatorBridge = new GnomeIndicatorBridge({ windowManager });
 const gnomeIndicatorBridge = null;
 let globeKeyAlertShown = false;
@@ -113,11 +127,19 @@ if (process.platform === "darwin") {
 const ipcHandlers = new IPCHandlers({
   environmentManager,
   databaseManager,
+  historyExporter,
+  historyImporter,
+  historyRetention,
+  historyAudio,
+  markdownVault,
+  recordingSpool,
+  mediaFileConverter,
   clipboardManager,
   whisperManager,
   windowManager,
   settingsStore,
   gnomeIndicatorBridge,
+  trayManager,
 });
 
 // Single instance lock
@@ -204,6 +226,51 @@ async function startApp() {
   //   gnomeIndicatorBridge.setEnabled(false);
   // }
 
+  // Encrypted history needs the keyring, which only becomes reachable once the app is ready
+  if (!databaseManager.db && !databaseManager.initError) {
+    databaseManager.initDatabase();
+  }
+
+  if (databaseManager.initError?.code === "DATABASE_CORRUPT") {
+    dialog.showMessageBox({
+      type: "warning",
+      title: "Transcription History Locked",
+      message: "Your encrypted transcription history file is damaged and could not be opened.",
+      detail: [
+        "The file may have been cut short by a crash or a full disk, or changed by another program.",
+        "Open Settings → History to set it aside and start a new history; the damaged file is kept on disk. Dictation still works, but history will not be saved until then.",
+      ].join("\n\n"),
+    });
+  }
+
+  if (databaseManager.initError?.code === "DATABASE_LOCKED") {
+    dialog.showMessageBox({
+      type: "warning",
+      title: "Transcription History Locked",
+      message: "Your encrypted transcription history could not be unlocked.",
+      detail: [
+        "The encryption key is no longer available from your system keyring. This happens after moving to a new computer or resetting the keyring.",
+        "Open Settings → History and enter your recovery key to unlock it. Dictation still works, but history will not be saved until then.",
+      ].join("\n\n"),
+    });
+  }
+
+  if (databaseManager.initError?.code === "DATABASE_TOO_NEW") {
+    const { fromVersion, supportedVersion } = databaseManager.initError.details;
+    dialog.showMessageBox({
+      type: "warning",
+      title: "Transcription History Unavailable",
+      message: "Your transcription history was created by a newer version of OpenWayl.",
+      detail: [
+        `The history database uses schema version ${fromVersion}, but this version of OpenWayl only supports up to version ${supportedVersion}.`,
+        "Dictation still works, but history will not be saved or shown until you update. Your existing history has not been modified.",
+      ].join("\n\n"),
+    });
+  }
+
+  historyRetention.start();
+  historyAudio.pruneOrphans();
+
   // Create main window
   try {
     await windowManager.createMainWindow();
@@ -237,13 +304,24 @@ async function startApp() {
 
       // Handle dictation toggle if Globe is the current hotkey
       if (hotkeyManager.getCurrentHotkey && hotkeyManager.getCurrentHotkey() === "GLOBE") {
-        if (windowManager.mainWindow && !windowManager.mainWindow.isDestroyed()) {
+        if (hotkeyManager.getRecordingMode() === "push-to-talk") {
+          windowManager.sendDictationCommand("start-dictation");
+        } else if (windowManager.mainWindow && !windowManager.mainWindow.isDestroyed()) {
           windowManager.showDictationPanel();
           windowManager.mainWindow.webContents.send("toggle-dictation");
         }
       }
     });
 
+    globeKeyManager.on("globe-up", () => {
+      if (
+        hotkeyManager.getCurrentHotkey() === "GLOBE" &&
+        hotkeyManager.getRecordingMode() === "push-to-talk"
+      ) {
+        windowManager.sendDictationCommand("stop-dictation");
+      }
+    });
+
     globeKeyManager.start();
   }
 }
@@ -313,6 +391,13 @@ app.on("activate", () => {
 app.on("will-quit", () => {
   globalShortcut.unregisterAll();
   globeKeyManager.stop();
+  historyRetention.stop();
+  try {
+    databaseManager.stopPersistence();
+    databaseManager.flush();
+  } catch (error) {
+    console.error("Failed to write encrypted history on quit:", error);
+  }
   updateManager.cleanup();
   // Stop whisper server if running
   whisperManager.stopServer().catch(() => {});
@@ -1,4 +1,4 @@
-const { contextBridge, ipcRenderer } = require("electron");
+const { contextBridge, ipcRenderer, webUtils } = require("electron");
 
 /**
  * Helper to register an IPC listener and return a cleanup function.
@@ -30,15 +30,92 @@ contextBridge.exposeInMainWorld("electronAPI", {
     "toggle-dictation",
     (callback) => () => callback()
   ),
+  onStartDictation: registerListener(
+    "start-dictation",
+    (callback) => () => callback()
+  ),
+  onStopDictation: registerListener(
+    "stop-dictation",
+    (callback) => () => callback()
+  ),
 
   // Database functions
-  saveTranscription: (text) =>
-    ipcRenderer.invoke("db-save-transcription", text),
-  getTranscriptions: (limit) =>
-    ipcRenderer.invoke("db-get-transcriptions", limit),
+  saveTranscription: (text, metadata, audio) =>
+    ipcRenderer.invoke("db-save-transcription", text, metadata, audio),
+  getTranscriptions: (limit, cursor) =>
+    ipcRenderer.invoke("db-get-transcriptions", limit, cursor),
+  getTranscriptionCount: () => ipcRenderer.invoke("db-count-transcriptions"),
+  searchTranscriptions: (options) =>
+    ipcRenderer.invoke("db-search-transcriptions", options),
+  exportTranscriptions: (options) =>
+    ipcRenderer.invoke("db-export-transcriptions", options),
+  importTranscriptions: () => ipcRenderer.invoke("db-import-transcriptions"),
+  addTranscriptionRevision: (id, revision) =>
+    ipcRenderer.invoke("db-add-transcription-revision", id, revision),
+  getTranscriptionRevisions: (id) =>
+    ipcRenderer.invoke("db-get-transcription-revisions", id),
+  updateTranscriptionText: (id, text) =>
+    ipcRenderer.invoke("db-update-transcription-text", id, text),
+  restoreTranscriptionRevision: (id, revisionId) =>
+    ipcRenderer.invoke("db-restore-transcription-revision", id, revisionId),
+  setTranscriptionStarred: (id, starred) =>
+    ipcRenderer.invoke("db-set-transcription-starred", id, starred),
+  setTranscriptionPinned: (id, pinned) =>
+    ipcRenderer.invoke("db-set-transcription-pinned", id, pinned),
+  getPinnedTranscriptions: () =>
+    ipcRenderer.invoke("db-get-pinned-transcriptions"),
+  setTranscriptionTags: (id, tags) =>
+    ipcRenderer.invoke("db-set-transcription-tags", id, tags),
+  getTags: () => ipcRenderer.invoke("db-get-tags"),
+  recordPipelineFailure: (failure) =>
+    ipcRenderer.invoke("db-record-pipeline-failure", failure),
+  getUsageStats: (days) => ipcRenderer.invoke("history-get-usage-stats", days),
+  getTranscriptionAudio: (id) =>
+    ipcRenderer.invoke("db-get-transcription-audio", id),
+  getHistoryAudioSettings: () => ipcRenderer.invoke("history-get-audio-settings"),
+  setHistoryAudioSettings: (settings) =>
+    ipcRenderer.invoke("history-set-audio-settings", settings),
+  getHistoryAudioUsage: () => ipcRenderer.invoke("history-get-audio-usage"),
+  deleteAllHistoryAudio: () => ipcRenderer.invoke("history-delete-all-audio"),
+  getHistoryEncryption: () => ipcRenderer.invoke("history-get-encryption"),
+  enableHistoryEncryption: () => ipcRenderer.invoke("history-enable-encryption"),
+  disableHistoryEncryption: () =>
+    ipcRenderer.invoke("history-disable-encryption"),
+  regenerateHistoryRecoveryKey: () =>
+    ipcRenderer.invoke("history-regenerate-recovery-key"),
+  recoverHistoryEncryption: (recoveryKey) =>
+    ipcRenderer.invoke("history-recover-encryption", recoveryKey),
+  resetHistoryEncryption: () => ipcRenderer.invoke("history-reset-encryption"),
+  getMarkdownVaultSettings: () => ipcRenderer.invoke("vault-get-settings"),
+  setMarkdownVaultSettings: (settings) =>
+    ipcRenderer.invoke("vault-set-settings", settings),
+  chooseMarkdownVaultDirectory: () => ipcRenderer.invoke("vault-choose-directory"),
+  beginRecordingSpool: (id, info) => ipcRenderer.invoke("spool-begin", id, info),
+  appendRecordingSpool: (id, data) =>
+    ipcRenderer.invoke("spool-append", id, data),
+  endRecordingSpool: (id, options) => ipcRenderer.invoke("spool-end", id, options),
+  getUnfinishedRecordings: () => ipcRenderer.invoke("spool-list-unfinished"),
+  readUnfinishedRecording: (id) => ipcRenderer.invoke("spool-read", id),
+  discardUnfinishedRecording: (id) => ipcRenderer.invoke("spool-discard", id),
+  chooseMediaFile: () => ipcRenderer.invoke("media-file-choose"),
+  // Dropped files only carry a path through webUtils under context isolation
+  getPathForFile: (file) => webUtils.getPathForFile(file),
+  convertMediaFile: (filePath) =>
+    ipcRenderer.invoke("media-file-convert", filePath),
+  onMediaFileConvertProgress: registerListener(
+    "media-file-convert-progress",
+    (callback) => (_event, progress) => callback(progress)
+  ),
+  getHistoryRetention: () => ipcRenderer.invoke("history-get-retention"),
+  setHistoryRetention: (policy) =>
+    ipcRenderer.invoke("history-set-retention", policy),
   clearTranscriptions: () => ipcRenderer.invoke("db-clear-transcriptions"),
   deleteTranscription: (id) =>
     ipcRenderer.invoke("db-delete-transcription", id),
+  restoreTranscriptions: (ids) =>
+    ipcRenderer.invoke("db-restore-transcriptions", ids),
+  getTrash: () => ipcRenderer.invoke("db-get-trash"),
+  purgeTrash: (ids) => ipcRenderer.invoke("db-purge-trash", ids),
   onTranscriptionAdded: (callback) => {
     const listener = (_event, transcription) => callback?.(transcription);
     ipcRenderer.on("transcription-added", listener);
@@ -55,6 +132,45 @@ contextBridge.exposeInMainWorld("electronAPI", {
     return () =>
       ipcRenderer.removeListener("transcriptions-cleared", listener);
   },
+  onTranscriptionsRestored: (callback) => {
+    const listener = (_event, data) => callback?.(data);
+    ipcRenderer.on("transcriptions-restored", listener);
+    return () =>
+      ipcRenderer.removeListener("transcriptions-restored", listener);
+  },
+  onTrashUpdated: (callback) => {
+    const listener = (_event, data) => callback?.(data);
+    ipcRenderer.on("trash-updated", listener);
+    return () => ipcRenderer.removeListener("trash-updated", listener);
+  },
+  onTranscriptionUpdated: (callback) => {
+    const listener = (_event, transcription) => callback?.(transcription);
+    ipcRenderer.on("transcription-updated", listener);
+    return () => ipcRenderer.removeListener("transcription-updated", listener);
+  },
+  onTranscriptionsPruned: (callback) => {
+    const listener = (_event, data) => callback?.(data);
+    ipcRenderer.on("transcriptions-pruned", listener);
+    return () =>
+      ipcRenderer.removeListener("transcriptions-pruned", listener);
+  },
+  onTranscriptionsImported: (callback) => {
+    const listener = (_event, data) => callback?.(data);
+    ipcRenderer.on("transcriptions-imported", listener);
+    return () =>
+      ipcRenderer.removeListener("transcriptions-imported", listener);
+  },
+  onTranscriptionsReloaded: (callback) => {
+    const listener = (_event, data) => callback?.(data);
+    ipcRenderer.on("transcriptions-reloaded", listener);
+    return () =>
+      ipcRenderer.removeListener("transcriptions-reloaded", listener);
+  },
+  onTagsUpdated: (callback) => {
+    const listener = (_event, tags) => callback?.(tags);
+    ipcRenderer.on("tags-updated", listener);
+    return () => ipcRenderer.removeListener("tags-updated", listener);
+  },
 
   // Environment variables
   getOpenAIKey: () => ipcRenderer.invoke("get-openai-key"),
@@ -105,6 +221,7 @@ contextBridge.exposeInMainWorld("electronAPI", {
   // Cleanup function
   cleanupApp: () => ipcRenderer.invoke("cleanup-app"),
   updateHotkey: (hotkey) => ipcRenderer.invoke("update-hotkey", hotkey),
+  setRecordingMode: (mode) => ipcRenderer.invoke("set-recording-mode", mode),
   startWindowDrag: () => ipcRenderer.invoke("start-window-drag"),
   stopWindowDrag: () => ipcRenderer.invoke("stop-window-drag"),
   setMainWindowInteractivity: (interactive) =>
@@ -116,6 +233,8 @@ contextBridge.exposeInMainWorld("electronAPI", {
     ipcRenderer.invoke("gnome-set-top-bar-mode", enabled),
   setGnomeAnimationState: (state) =>
     ipcRenderer.invoke("gnome-set-animation-state", state),
+  setWarmMicrophoneOpen: (isOpen) =>
+    ipcRenderer.invoke("warm-microphone-changed", isOpen),
   installGnomeExtension: () => ipcRenderer.invoke("gnome-install-extension"),
 
   // Update functions
@@ -2,7 +2,6 @@ import React, { useState, useEffect, useRef } from "react";
 import "./index.css";
 import { X } from "lucide-react";
 import { useToast } from "./components/ui/Toast";
-import { LoadingDots } from "./components/ui/LoadingDots";
 import { useHotkey } from "./hooks/useHotkey";
 import { useWindowDrag } from "./hooks/useWindowDrag";
 import { useAudioRecording } from "./hooks/useAudioRecording";
@@ -44,6 +43,46 @@ const VoiceWaveIndicator = ({ isListening }) => {
   );
 };
 
+// Live input level meter (recording state); the middle bars react the most
+const LEVEL_BAR_WEIGHTS = [0.55, 0.8, 1, 0.8, 0.55];
+const InputLevelMeter = ({ level }) => {
+  return (
+    <div className="flex items-center justify-center gap-0.5 h-5">
+      {LEVEL_BAR_WEIGHTS.map((weight, i) => (
+        <div
+          key={i}
+          className="w-0.5 bg-white rounded-full"
+          style={{
+            height: `${Math.max(15, Math.min(100, level * weight * 130))}%`,
+            transition: "height 60ms linear",
+          }}
+        />
+      ))}
+    </div>
+  );
+};
+
+const formatElapsed = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, "0")}`;
+};
+
+// Elapsed recording time, shown next to the button
+const ElapsedTimer = ({ startedAt }) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(interval);
+  }, []);
+
+  return (
+    <div className="px-2 py-0.5 rounded-full bg-neutral-900/80 text-white text-xs font-mono tabular-nums shadow-lg backdrop-blur-sm">
+      {formatElapsed(Math.max(0, now - startedAt))}
+    </div>
+  );
+};
+
 // Enhanced Tooltip Component
 const Tooltip = ({ children, content, emoji }) => {
   const [isVisible, setIsVisible] = useState(false);
@@ -100,7 +139,16 @@ export default function App() {
     setWindowInteractivity(false);
   }, [setWindowInteractivity]);
 
-  const { isRecording, isProcessing, toggleListening, cancelRecording } = useAudioRecording(toast, {
+  const {
+    isRecording,
+    isProcessing,
+    autoStopProgress,
+    inputLevel,
+    recordingStartedAt,
+    isMicWarm,
+    toggleListening,
+    cancelRecording,
+  } = useAudioRecording(toast, {
     onToggle: handleDictationToggle,
   });
 
@@ -152,6 +200,9 @@ export default function App() {
   };
 
   const micState = getMicState();
+  const idleTooltip = isMicWarm
+    ? `Microphone is on (warm mic). Press [${hotkey}] to speak`
+    : `Press [${hotkey}] to speak`;
 
   const getMicButtonProps = () => {
     const baseClasses =
@@ -161,17 +212,21 @@ export default function App() {
       case "idle":
         return {
           className: `${baseClasses} bg-black/50 cursor-pointer`,
-          tooltip: `Press [${hotkey}] to speak`,
+          tooltip: idleTooltip,
         };
       case "hover":
         return {
           className: `${baseClasses} bg-black/50 cursor-pointer`,
-          tooltip: `Press [${hotkey}] to speak`,
+          tooltip: idleTooltip,
         };
       case "recording":
         return {
           className: `${baseClasses} bg-blue-600 cursor-pointer`,
-          tooltip: "Recording...",
+          tooltip: inputLevel.clipping
+            ? "Input too loud, move back from the mic"
+            : autoStopProgress !== null
+              ? "Stopping after silence..."
+              : "Recording...",
         };
       case "processing":
         return {
@@ -206,6 +261,9 @@ export default function App() {
             }
           }}
         >
+          {isRecording && !isHovered && recordingStartedAt && (
+            <ElapsedTimer startedAt={recordingStartedAt} />
+          )}
           {isRecording && isHovered && (
             <Tooltip content="Cancel recording">
               <button
@@ -290,14 +348,36 @@ export default function App() {
               {micState === "idle" || micState === "hover" ? (
                 <SoundWaveIcon size={micState === "idle" ? 12 : 14} />
               ) : micState === "recording" ? (
-                <LoadingDots />
+                <InputLevelMeter level={inputLevel.level} />
               ) : micState === "processing" ? (
                 <VoiceWaveIndicator isListening={true} />
               ) : null}
 
               {/* State indicator ring for recording */}
-              {micState === "recording" && (
-                <div className="absolute inset-0 rounded-full border-2 border-blue-300 animate-pulse"></div>
+              {micState === "recording" && autoStopProgress === null && (
+                <div
+                  className={`absolute inset-0 rounded-full border-2 ${
+                    inputLevel.clipping ? "border-red-400" : "border-blue-300 animate-pulse"
+                  }`}
+                ></div>
+              )}
+
+              {/* Silence countdown: the ring drains until the recording stops by itself */}
+              {micState === "recording" && autoStopProgress !== null && (
+                <svg className="absolute inset-0 -rotate-90" viewBox="0 0 36 36">
+                  <circle
+                    cx="18"
+                    cy="18"
+                    r="16"
+                    fill="none"
+                    stroke="rgb(147 197 253)"
+                    strokeWidth="3"
+                    pathLength="100"
+                    strokeDasharray="100"
+                    strokeDashoffset={autoStopProgress * 100}
+                    style={{ transition: "stroke-dashoffset 0.1s linear" }}
+                  />
+                </svg>
               )}
 
               {/* State indicator ring for processing */}
@@ -306,6 +386,13 @@ export default function App() {
               )}
             </button>
           </Tooltip>
+          {/* Privacy indicator: the warm microphone is listening between dictations */}
+          {isMicWarm && micState !== "recording" && (
+            <span
+              aria-label="Microphone is on"
+              className="pointer-events-none absolute top-0 right-0 w-2.5 h-2.5 rounded-full bg-red-500 border border-white/80"
+            />
+          )}
           {isCommandMenuOpen && (
             <div
               ref={commandMenuRef}
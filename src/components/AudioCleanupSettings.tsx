@@ -0,0 +1,66 @@
+import React from "react";
+import { Toggle } from "./ui/toggle";
+import type { AudioCleanupProfile } from "../hooks/useSettings";
+
+const DEFAULT_PROFILE: AudioCleanupProfile = {
+  enabled: false,
+  highPass: true,
+  noiseGate: true,
+  normalize: true,
+};
+
+const STAGES: { key: keyof Omit<AudioCleanupProfile, "enabled">; label: string; hint: string }[] = [
+  {
+    key: "highPass",
+    label: "Remove low rumble",
+    hint: "Filters out fan, air conditioning and desk noise below the voice range.",
+  },
+  {
+    key: "noiseGate",
+    label: "Reduce background noise",
+    hint: "Turns down the audio between words to the level of the room noise.",
+  },
+  {
+    key: "normalize",
+    label: "Even out loudness",
+    hint: "Brings quiet or distant speakers up to a consistent level.",
+  },
+];
+
+interface AudioCleanupSettingsProps {
+  profile?: AudioCleanupProfile;
+  onChange: (profile: AudioCleanupProfile) => void;
+}
+
+export default function AudioCleanupSettings({ profile, onChange }: AudioCleanupSettingsProps) {
+  const current = { ...DEFAULT_PROFILE, ...profile };
+
+  return (
+    <div className="space-y-4 p-4 bg-gray-50 border border-gray-200 rounded-xl">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <p className="text-sm font-medium text-neutral-800">Clean up audio</p>
+          <p className="text-xs text-neutral-600">Applies to this microphone only.</p>
+        </div>
+        <Toggle
+          checked={current.enabled}
+          onChange={(enabled) => onChange({ ...current, enabled })}
+        />
+      </div>
+
+      {current.enabled &&
+        STAGES.map((stage) => (
+          <div key={stage.key} className="flex items-center justify-between gap-4">
+            <div>
+              <p className="text-sm font-medium text-neutral-800">{stage.label}</p>
+              <p className="text-xs text-neutral-600">{stage.hint}</p>
+            </div>
+            <Toggle
+              checked={current[stage.key]}
+              onChange={(checked) => onChange({ ...current, [stage.key]: checked })}
+            />
+          </div>
+        ))}
+    </div>
+  );
+}
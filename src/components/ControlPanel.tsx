@@ -1,29 +1,74 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
 import { Button } from "./ui/button";
-import { Trash2, Settings, FileText, Mic, Download, RefreshCw, Loader2 } from "lucide-react";
+import {
+  Trash2,
+  Settings,
+  FileText,
+  Mic,
+  Download,
+  Upload,
+  RefreshCw,
+  Loader2,
+  BarChart3,
+  ArchiveRestore,
+} from "lucide-react";
 import SettingsModal from "./SettingsModal";
+import RetranscribeDialog from "./RetranscribeDialog";
+import UsageStatsCard from "./UsageStatsCard";
+import RecoveredRecordingsCard from "./RecoveredRecordingsCard";
+import FileTranscriptionCard from "./FileTranscriptionCard";
+import TrashDialog from "./TrashDialog";
 import TitleBar from "./TitleBar";
 import SupportDropdown from "./ui/SupportDropdown";
 import TranscriptionItem from "./ui/TranscriptionItem";
+import HistorySearchBar from "./ui/HistorySearchBar";
+import HistoryExportMenu from "./ui/HistoryExportMenu";
+import HistoryFilterChips from "./ui/HistoryFilterChips";
 import { ConfirmDialog, AlertDialog } from "./ui/dialog";
 import { useDialogs } from "../hooks/useDialogs";
 import { useHotkey } from "../hooks/useHotkey";
 import { useToast } from "./ui/Toast";
 import { useUpdater } from "../hooks/useUpdater";
+import { useTranscriptionSearch } from "../hooks/useTranscriptionSearch";
 import {
   useTranscriptions,
+  useTranscriptionPagination,
+  usePinnedTranscriptions,
   initializeTranscriptions,
+  loadMoreTranscriptions,
+  updateTranscription as updateInStore,
   removeTranscription as removeFromStore,
   clearTranscriptions as clearStoreTranscriptions,
+  onTranscriptionsRemoved,
+  type TranscriptionRemoval,
 } from "../stores/transcriptionStore";
+import { useHistoryTags } from "../stores/tagStore";
+import type {
+  TranscriptionExportFormat,
+  TranscriptionItem as TranscriptionItemType,
+  TranscriptionRevision,
+} from "../types/electron";
 
 export default function ControlPanel() {
   const history = useTranscriptions();
+  const { totalCount, hasMore, isLoadingMore } = useTranscriptionPagination();
+  const pinned = usePinnedTranscriptions();
+  // Pinned entries are listed once, in their own section above the feed
+  const pinnedIds = new Set(pinned.map((item) => item.id));
+  const tags = useHistoryTags();
+  const loadMoreRef = useRef<HTMLDivElement | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [showSettings, setShowSettings] = useState(false);
+  const [showStats, setShowStats] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [retranscribeItem, setRetranscribeItem] = useState<TranscriptionItemType | null>(null);
+  const [latestRevision, setLatestRevision] = useState<TranscriptionRevision | null>(null);
   const { hotkey } = useHotkey();
-  const { toast } = useToast();
+  const { toast, dismiss } = useToast();
+  const search = useTranscriptionSearch();
 
   // Use centralized updater hook to prevent EventEmitter memory leaks
   const {
@@ -49,6 +94,41 @@ export default function ControlPanel() {
     loadTranscriptions();
   }, []);
 
+  // Deleting only moves entries to the trash; offer to put them straight back
+  const refreshSearch = search.refresh;
+  useEffect(() => {
+    const undo = async (removal: TranscriptionRemoval, toastId: string) => {
+      dismiss(toastId);
+      try {
+        const ids = removal.kind === "deleted" ? [removal.transcription.id] : removal.ids;
+        await window.electronAPI.restoreTranscriptions(ids);
+        refreshSearch();
+      } catch (error) {
+        toast({
+          title: "Undo Failed",
+          description: "The transcriptions are still in the trash.",
+          variant: "destructive",
+        });
+      }
+    };
+
+    return onTranscriptionsRemoved((removal) => {
+      const toastId = toast({
+        title: removal.kind === "deleted" ? "Transcription deleted" : "History cleared",
+        description:
+          removal.kind === "deleted"
+            ? "Moved to the trash."
+            : `${removal.ids.length} transcription${removal.ids.length === 1 ? "" : "s"} moved to the trash.`,
+        action: (
+          <Button variant="outline" size="sm" onClick={() => undo(removal, toastId)}>
+            Undo
+          </Button>
+        ),
+        duration: 8000,
+      });
+    });
+  }, [toast, dismiss, refreshSearch]);
+
   // Show toast when update is ready
   useEffect(() => {
     if (updateStatus.updateDownloaded && !isDownloading) {
@@ -71,6 +151,32 @@ export default function ControlPanel() {
     }
   }, [updateError, toast]);
 
+  // Infinite scroll: fetch the next page when the sentinel below the list scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasMore) {
+      return;
+    }
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          loadMoreTranscriptions().catch(() => {
+            toast({
+              title: "Unable to load more",
+              description: "Older transcriptions could not be loaded. Please try again.",
+              variant: "destructive",
+            });
+          });
+        }
+      },
+      { root: sentinel.parentElement, rootMargin: "200px" }
+    );
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, history.length, toast]);
+
   const loadTranscriptions = async () => {
     try {
       setIsLoading(true);
@@ -107,15 +213,12 @@ export default function ControlPanel() {
     showConfirmDialog({
       title: "Clear History",
       description:
-        "Are you certain you wish to clear all inscribed records? This action cannot be undone.",
+        "All transcriptions will be moved to the trash, where they can be restored until it is emptied.",
       onConfirm: async () => {
         try {
-          const result = await window.electronAPI.clearTranscriptions();
+          await window.electronAPI.clearTranscriptions();
           clearStoreTranscriptions();
-          showAlertDialog({
-            title: "History Cleared",
-            description: `Successfully cleared ${result.cleared} transcriptions from your chronicles.`,
-          });
+          search.resetFilters();
         } catch (error) {
           showAlertDialog({
             title: "Error",
@@ -127,30 +230,143 @@ export default function ControlPanel() {
     });
   };
 
+  // Exports follow the search bar: everything when idle, otherwise the full filtered set
+  const exportHistory = async (format: TranscriptionExportFormat) => {
+    setIsExporting(true);
+    try {
+      const result = await window.electronAPI.exportTranscriptions(
+        search.isActive ? { format, ...search.scope } : { format }
+      );
+      if (result.success) {
+        toast({
+          title: "Export Complete",
+          description: `Exported ${result.count} transcription${result.count === 1 ? "" : "s"} to ${result.filePath}`,
+          variant: "success",
+        });
+      } else if (!result.canceled) {
+        toast({
+          title: "Export Failed",
+          description: result.error || "Failed to export transcriptions. Please try again.",
+          variant: "destructive",
+        });
+      }
+    } catch (error) {
+      toast({
+        title: "Export Failed",
+        description: "Failed to export transcriptions. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const importHistory = async () => {
+    setIsImporting(true);
+    try {
+      const result = await window.electronAPI.importTranscriptions();
+      if (result.success) {
+        const details = [
+          `Imported ${result.imported} transcription${result.imported === 1 ? "" : "s"}`,
+          result.skipped ? `skipped ${result.skipped} already in history` : null,
+          result.invalid ? `ignored ${result.invalid} without text or timestamp` : null,
+        ].filter(Boolean);
+        showAlertDialog({
+          title: "Import Complete",
+          description: `${details.join(", ")}.`,
+        });
+      } else if (!result.canceled) {
+        showAlertDialog({
+          title: "Import Failed",
+          description: result.error || "Failed to import transcriptions. Please try again.",
+        });
+      }
+    } catch (error) {
+      showAlertDialog({
+        title: "Import Failed",
+        description: "Failed to import transcriptions. Please try again.",
+      });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  // Star, pin, tag and text changes resolve to the updated row
+  const applyUpdate = async (
+    request: Promise<{ success: boolean; transcription?: TranscriptionItemType | null }>
+  ) => {
+    try {
+      const result = await request;
+      if (result.success && result.transcription) {
+        updateInStore(result.transcription);
+        search.updateResult(result.transcription);
+      }
+      return result.success;
+    } catch (error) {
+      toast({
+        title: "Update Failed",
+        description: "Failed to update this transcription. Please try again.",
+        variant: "destructive",
+      });
+      return false;
+    }
+  };
+
+  const toggleStar = (id: number, starred: boolean) =>
+    applyUpdate(window.electronAPI.setTranscriptionStarred(id, starred));
+
+  const togglePin = (id: number, isPinned: boolean) =>
+    applyUpdate(window.electronAPI.setTranscriptionPinned(id, isPinned));
+
+  const updateTags = (id: number, nextTags: string[]) =>
+    applyUpdate(window.electronAPI.setTranscriptionTags(id, nextTags));
+
+  const editText = (id: number, text: string) =>
+    applyUpdate(window.electronAPI.updateTranscriptionText(id, text));
+
+  const restoreRevision = (id: number, revisionId: number) =>
+    applyUpdate(window.electronAPI.restoreTranscriptionRevision(id, revisionId));
+
+  const showPlaybackError = (message: string) => {
+    toast({ title: "Playback Failed", description: message, variant: "destructive" });
+  };
+
+  // Props shared by every list the entry can appear in (feed, pinned, search results)
+  const itemProps = (item: TranscriptionItemType) => ({
+    item,
+    onCopy: copyToClipboard,
+    onDelete: deleteTranscription,
+    onToggleStar: toggleStar,
+    onTogglePin: togglePin,
+    onTagsChange: updateTags,
+    onTagClick: search.toggleTagFilter,
+    onEditText: editText,
+    onRestoreRevision: restoreRevision,
+    tagSuggestions: tags.map(({ name }) => name),
+    onPlaybackError: showPlaybackError,
+    onRetranscribe: setRetranscribeItem,
+    latestRevisionId: latestRevision?.transcription_id === item.id ? latestRevision.id : undefined,
+  });
+
+  // No confirmation: the entry goes to the trash and the toast offers an undo
   const deleteTranscription = async (id: number) => {
-    showConfirmDialog({
-      title: "Delete Transcription",
-      description: "Are you certain you wish to remove this inscription from your records?",
-      onConfirm: async () => {
-        try {
-          const result = await window.electronAPI.deleteTranscription(id);
-          if (result.success) {
-            removeFromStore(id);
-          } else {
-            showAlertDialog({
-              title: "Delete Failed",
-              description: "Failed to delete transcription. It may have already been removed.",
-            });
-          }
-        } catch (error) {
-          showAlertDialog({
-            title: "Delete Failed",
-            description: "Failed to delete transcription. Please try again.",
-          });
-        }
-      },
-      variant: "destructive",
-    });
+    try {
+      const result = await window.electronAPI.deleteTranscription(id);
+      if (result.success) {
+        removeFromStore(id);
+        search.removeResult(id);
+      } else {
+        showAlertDialog({
+          title: "Delete Failed",
+          description: "Failed to delete transcription. It may have already been removed.",
+        });
+      }
+    } catch (error) {
+      showAlertDialog({
+        title: "Delete Failed",
+        description: "Failed to delete transcription. Please try again.",
+      });
+    }
   };
 
   const handleUpdateClick = async () => {
@@ -241,6 +457,19 @@ export default function ControlPanel() {
         onOk={() => {}}
       />
 
+      <TrashDialog
+        open={showTrash}
+        onOpenChange={setShowTrash}
+        onRestored={search.refresh}
+        onError={(description) => showAlertDialog({ title: "Trash", description })}
+      />
+
+      <RetranscribeDialog
+        item={retranscribeItem}
+        onOpenChange={(open) => !open && setRetranscribeItem(null)}
+        onRevisionSaved={setLatestRevision}
+      />
+
       <TitleBar
         actions={
           <>
@@ -264,6 +493,14 @@ export default function ControlPanel() {
                   {getUpdateButtonContent()}
                 </Button>
               )}
+            <Button
+              variant={showStats ? "secondary" : "ghost"}
+              size="icon"
+              onClick={() => setShowStats(!showStats)}
+              aria-label={showStats ? "Show history" : "Show statistics"}
+            >
+              <BarChart3 size={16} />
+            </Button>
             <SupportDropdown />
             <Button variant="ghost" size="icon" onClick={() => setShowSettings(!showSettings)}>
               <Settings size={16} />
@@ -277,85 +514,204 @@ export default function ControlPanel() {
       {/* Main content */}
       <div className="p-6">
         <div className="space-y-6 max-w-4xl mx-auto">
-          <Card>
-            <CardHeader>
-              <div className="flex items-center justify-between">
-                <CardTitle className="flex items-center gap-2">
-                  <FileText size={18} className="text-indigo-600" />
-                  Recent Transcriptions
-                </CardTitle>
-                <div className="flex gap-2">
-                  {history.length > 0 && (
+          <RecoveredRecordingsCard
+            onError={(description) => showAlertDialog({ title: "Recovery Failed", description })}
+          />
+          <FileTranscriptionCard
+            onError={(description) =>
+              showAlertDialog({ title: "File Transcription Failed", description })
+            }
+          />
+          {showStats ? (
+            <UsageStatsCard refreshKey={totalCount} />
+          ) : (
+            <Card>
+              <CardHeader>
+                <div className="flex items-center justify-between">
+                  <CardTitle className="flex items-center gap-2">
+                    <FileText size={18} className="text-indigo-600" />
+                    Recent Transcriptions
+                    {totalCount > 0 && (
+                      <span className="text-xs font-normal text-neutral-500">
+                        {history.length < totalCount
+                          ? `${history.length} of ${totalCount}`
+                          : totalCount}
+                      </span>
+                    )}
+                  </CardTitle>
+                  <div className="flex gap-2">
                     <Button
-                      onClick={clearHistory}
+                      onClick={() => setShowTrash(true)}
                       variant="ghost"
                       size="icon"
-                      className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                      aria-label="Open trash"
                     >
-                      <Trash2 size={16} />
+                      <ArchiveRestore size={16} />
                     </Button>
-                  )}
-                </div>
-              </div>
-            </CardHeader>
-            <CardContent>
-              {isLoading ? (
-                <div className="text-center py-8">
-                  <div className="w-8 h-8 mx-auto mb-3 bg-indigo-600 rounded-lg flex items-center justify-center">
-                    <span className="text-white text-sm">📝</span>
+                    <Button
+                      onClick={importHistory}
+                      variant="ghost"
+                      size="icon"
+                      disabled={isImporting}
+                      aria-label="Import history"
+                    >
+                      {isImporting ? (
+                        <Loader2 size={16} className="animate-spin" />
+                      ) : (
+                        <Upload size={16} />
+                      )}
+                    </Button>
+                    {history.length > 0 && (
+                      <HistoryExportMenu
+                        scopeLabel={
+                          search.isActive
+                            ? "Export matching transcriptions"
+                            : "Export all transcriptions"
+                        }
+                        isExporting={isExporting}
+                        onExport={exportHistory}
+                      />
+                    )}
+                    {history.length > 0 && (
+                      <Button
+                        onClick={clearHistory}
+                        variant="ghost"
+                        size="icon"
+                        className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                      >
+                        <Trash2 size={16} />
+                      </Button>
+                    )}
                   </div>
-                  <p className="text-neutral-600">Loading transcriptions...</p>
                 </div>
-              ) : history.length === 0 ? (
-                <div className="text-center py-12">
-                  <div className="w-16 h-16 mx-auto mb-4 bg-neutral-100 rounded-full flex items-center justify-center">
-                    <Mic className="w-8 h-8 text-neutral-400" />
+                {history.length > 0 && (
+                  <div className="pt-3">
+                    <HistorySearchBar
+                      filters={search.filters}
+                      isSearching={search.isSearching}
+                      resultCount={
+                        search.isActive && !search.isSearching ? search.results.length : null
+                      }
+                      onChange={search.updateFilters}
+                      onReset={search.resetFilters}
+                    />
+                    <div className="pt-2">
+                      <HistoryFilterChips
+                        tags={tags}
+                        selectedTags={search.filters.tags}
+                        starred={search.filters.starred}
+                        onToggleTag={search.toggleTagFilter}
+                        onToggleStarred={() =>
+                          search.updateFilters({ starred: !search.filters.starred })
+                        }
+                      />
+                    </div>
                   </div>
-                  <h3 className="text-lg font-medium text-neutral-900 mb-2">
-                    No transcriptions yet
-                  </h3>
-                  <p className="text-neutral-600 mb-4 max-w-sm mx-auto">
-                    Press your hotkey to start recording and create your first transcription.
-                  </p>
-                  <div className="bg-neutral-50 border border-neutral-200 rounded-lg p-4 max-w-md mx-auto">
-                    <h4 className="font-medium text-neutral-800 mb-2">Quick Start:</h4>
-                    <ol className="text-sm text-neutral-600 text-left space-y-1">
-                      <li>1. Click in any text field</li>
-                      <li>
-                        2. Press{" "}
-                        <kbd className="bg-white px-2 py-1 rounded text-xs font-mono border border-neutral-300">
-                          {hotkey}
-                        </kbd>{" "}
-                        to start recording
-                      </li>
-                      <li>3. Speak your text</li>
-                      <li>
-                        4. Press{" "}
-                        <kbd className="bg-white px-2 py-1 rounded text-xs font-mono border border-neutral-300">
-                          {hotkey}
-                        </kbd>{" "}
-                        again to stop
-                      </li>
-                      <li>5. Your text will appear automatically!</li>
-                    </ol>
+                )}
+              </CardHeader>
+              <CardContent>
+                {isLoading ? (
+                  <div className="text-center py-8">
+                    <div className="w-8 h-8 mx-auto mb-3 bg-indigo-600 rounded-lg flex items-center justify-center">
+                      <span className="text-white text-sm">📝</span>
+                    </div>
+                    <p className="text-neutral-600">Loading transcriptions...</p>
                   </div>
-                </div>
-              ) : (
-                <div className="space-y-3 max-h-80 overflow-y-auto">
-                  {history.map((item, index) => (
-                    <TranscriptionItem
-                      key={item.id}
-                      item={item}
-                      index={index}
-                      total={history.length}
-                      onCopy={copyToClipboard}
-                      onDelete={deleteTranscription}
-                    />
-                  ))}
-                </div>
-              )}
-            </CardContent>
-          </Card>
+                ) : history.length === 0 ? (
+                  <div className="text-center py-12">
+                    <div className="w-16 h-16 mx-auto mb-4 bg-neutral-100 rounded-full flex items-center justify-center">
+                      <Mic className="w-8 h-8 text-neutral-400" />
+                    </div>
+                    <h3 className="text-lg font-medium text-neutral-900 mb-2">
+                      No transcriptions yet
+                    </h3>
+                    <p className="text-neutral-600 mb-4 max-w-sm mx-auto">
+                      Press your hotkey to start recording and create your first transcription.
+                    </p>
+                    <div className="bg-neutral-50 border border-neutral-200 rounded-lg p-4 max-w-md mx-auto">
+                      <h4 className="font-medium text-neutral-800 mb-2">Quick Start:</h4>
+                      <ol className="text-sm text-neutral-600 text-left space-y-1">
+                        <li>1. Click in any text field</li>
+                        <li>
+                          2. Press{" "}
+                          <kbd className="bg-white px-2 py-1 rounded text-xs font-mono border border-neutral-300">
+                            {hotkey}
+                          </kbd>{" "}
+                          to start recording
+                        </li>
+                        <li>3. Speak your text</li>
+                        <li>
+                          4. Press{" "}
+                          <kbd className="bg-white px-2 py-1 rounded text-xs font-mono border border-neutral-300">
+                            {hotkey}
+                          </kbd>{" "}
+                          again to stop
+                        </li>
+                        <li>5. Your text will appear automatically!</li>
+                      </ol>
+                    </div>
+                  </div>
+                ) : search.isActive ? (
+                  search.error ? (
+                    <p className="text-center py-8 text-sm text-red-600">{search.error}</p>
+                  ) : search.results.length === 0 && !search.isSearching ? (
+                    <div className="text-center py-8">
+                      <p className="text-neutral-600">No transcriptions match your search.</p>
+                    </div>
+                  ) : (
+                    <div className="space-y-3 max-h-80 overflow-y-auto">
+                      {search.results.map((item, index) => (
+                        <TranscriptionItem
+                          key={item.id}
+                          index={index}
+                          total={search.results.length}
+                          {...itemProps(item)}
+                          highlighted={item.highlighted}
+                        />
+                      ))}
+                    </div>
+                  )
+                ) : (
+                  <div className="space-y-3 max-h-80 overflow-y-auto">
+                    {pinned.length > 0 && (
+                      <>
+                        <div className="text-xs font-medium text-neutral-500">Pinned</div>
+                        {pinned.map((item) => (
+                          <TranscriptionItem key={`pinned-${item.id}`} {...itemProps(item)} />
+                        ))}
+                        {history.some((item) => !pinnedIds.has(item.id)) && (
+                          <div className="pt-1 text-xs font-medium text-neutral-500">Recent</div>
+                        )}
+                      </>
+                    )}
+                    {history.map((item, index) =>
+                      pinnedIds.has(item.id) ? null : (
+                        <TranscriptionItem
+                          key={item.id}
+                          index={index}
+                          total={Math.max(totalCount, history.length)}
+                          {...itemProps(item)}
+                        />
+                      )
+                    )}
+                    {hasMore && (
+                      <div
+                        ref={loadMoreRef}
+                        className="flex items-center justify-center py-3 text-xs text-neutral-500"
+                      >
+                        {isLoadingMore && (
+                          <>
+                            <Loader2 size={14} className="animate-spin mr-2" />
+                            Loading older transcriptions...
+                          </>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,156 @@
+import React, { useRef, useState } from "react";
+import { FileAudio, Loader2 } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { Progress } from "./ui/progress";
+import { useToast } from "./ui/Toast";
+import AudioManager from "../helpers/audioManager";
+
+interface FileTranscriptionCardProps {
+  onError?: (message: string) => void;
+}
+
+type FileProgress =
+  | { stage: "converting"; fileName: string; percent: number }
+  | { stage: "transcribing"; fileName: string; done: number; total: number };
+
+const fileNameOf = (filePath: string) => filePath.split(/[\\/]/).pop() || filePath;
+
+// Voice memos and meeting recordings go through the same engine as dictations
+export default function FileTranscriptionCard({ onError }: FileTranscriptionCardProps) {
+  const audioManagerRef = useRef<AudioManager | null>(null);
+  const [progress, setProgress] = useState<FileProgress | null>(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const { toast } = useToast();
+
+  const transcribe = async (filePath: string) => {
+    const fileName = fileNameOf(filePath);
+    setProgress({ stage: "converting", fileName, percent: 0 });
+    const disposeProgress = window.electronAPI.onMediaFileConvertProgress(
+      ({ converted, total }) => {
+        const percent = total > 0 ? Math.round((converted / total) * 100) : 0;
+        setProgress({ stage: "converting", fileName, percent });
+      }
+    );
+
+    try {
+      const converted = await window.electronAPI.convertMediaFile(filePath);
+      if (!converted.success || !converted.segments?.length) {
+        throw new Error(converted.error || "The file could not be converted.");
+      }
+
+      const segments = converted.segments.map(
+        (segment) => new Blob([segment.data], { type: segment.mimeType })
+      );
+      setProgress({ stage: "transcribing", fileName, done: 0, total: segments.length });
+
+      if (!audioManagerRef.current) {
+        audioManagerRef.current = new AudioManager();
+      }
+      const result = await audioManagerRef.current.transcribeFile(segments, {
+        durationSeconds: converted.durationSeconds,
+        onProgress: (done: number) =>
+          setProgress({ stage: "transcribing", fileName, done, total: segments.length }),
+      });
+      if (!result?.text?.trim()) {
+        throw new Error("No speech was detected in the file.");
+      }
+
+      // Long files are kept as separate segments, which cannot be played back as one
+      const saved = await audioManagerRef.current.saveTranscription(
+        result.text,
+        result.metadata,
+        segments.length === 1 ? segments[0] : null
+      );
+      if (!saved) {
+        throw new Error("The transcription could not be saved to history.");
+      }
+      toast({
+        title: "File Transcribed",
+        description: `${fileName} was added to your history.`,
+        variant: "success",
+      });
+    } catch (error) {
+      onError?.(
+        `Failed to transcribe ${fileName}: ${error instanceof Error ? error.message : String(error)}`
+      );
+    } finally {
+      disposeProgress();
+      setProgress(null);
+    }
+  };
+
+  const chooseFile = async () => {
+    const filePath = await window.electronAPI.chooseMediaFile();
+    if (filePath) {
+      transcribe(filePath);
+    }
+  };
+
+  const handleDrop = (event: React.DragEvent) => {
+    event.preventDefault();
+    setIsDragging(false);
+    const file = event.dataTransfer.files[0];
+    if (!file || progress) return;
+    const filePath = window.electronAPI.getPathForFile(file);
+    if (filePath) {
+      transcribe(filePath);
+    }
+  };
+
+  const percent = !progress
+    ? 0
+    : progress.stage === "converting"
+      ? progress.percent
+      : Math.round((progress.done / progress.total) * 100);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <FileAudio size={18} className="text-indigo-600" />
+          Transcribe a File
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div
+          onDragOver={(event) => {
+            event.preventDefault();
+            setIsDragging(!progress);
+          }}
+          onDragLeave={() => setIsDragging(false)}
+          onDrop={handleDrop}
+          className={`p-6 border-2 border-dashed rounded-lg text-center transition-colors ${
+            isDragging ? "border-indigo-400 bg-indigo-50" : "border-neutral-200"
+          }`}
+        >
+          {progress ? (
+            <div className="space-y-3">
+              <p className="text-sm font-medium text-neutral-800 truncate">{progress.fileName}</p>
+              <Progress value={percent} />
+              <p className="flex items-center justify-center gap-2 text-xs text-neutral-600">
+                <Loader2 size={12} className="animate-spin" />
+                {progress.stage === "converting"
+                  ? `Converting audio... ${progress.percent}%`
+                  : progress.total > 1
+                    ? `Transcribing part ${Math.min(progress.done + 1, progress.total)} of ${progress.total}`
+                    : "Transcribing..."}
+              </p>
+            </div>
+          ) : (
+            <div className="space-y-3">
+              <p className="text-sm text-neutral-600">
+                Drop a voice memo, meeting recording or video here (mp3, m4a, ogg, flac, wav, mp4,
+                mov, mkv and more). It is transcribed with your current settings and saved to
+                history.
+              </p>
+              <Button variant="outline" size="sm" onClick={chooseFile}>
+                Choose File
+              </Button>
+            </div>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
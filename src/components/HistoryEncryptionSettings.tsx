@@ -0,0 +1,287 @@
+import React, { useEffect, useState } from "react";
+import { Copy, Lock, LockOpen } from "lucide-react";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import {
+  ConfirmDialog,
+  AlertDialog,
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "./ui/dialog";
+import { useDialogs } from "../hooks/useDialogs";
+import type { HistoryEncryptionResult, HistoryEncryptionStatus } from "../types/electron";
+
+const DEFAULT_STATUS: HistoryEncryptionStatus = {
+  enabled: false,
+  locked: false,
+  damaged: false,
+  keyringAvailable: false,
+  keyringBackend: null,
+};
+
+export default function HistoryEncryptionSettings() {
+  const [status, setStatus] = useState<HistoryEncryptionStatus>(DEFAULT_STATUS);
+  const [isWorking, setIsWorking] = useState(false);
+  const [recoveryKey, setRecoveryKey] = useState<string | null>(null);
+  const [recoveryDraft, setRecoveryDraft] = useState("");
+  const [isVaultEnabled, setIsVaultEnabled] = useState(false);
+  const {
+    confirmDialog,
+    alertDialog,
+    showConfirmDialog,
+    showAlertDialog,
+    hideConfirmDialog,
+    hideAlertDialog,
+  } = useDialogs();
+
+  useEffect(() => {
+    window.electronAPI
+      ?.getHistoryEncryption?.()
+      .then(setStatus)
+      .catch(() => {});
+    window.electronAPI
+      ?.getMarkdownVaultSettings?.()
+      .then((settings) => setIsVaultEnabled(settings.enabled))
+      .catch(() => {});
+  }, []);
+
+  const run = async (
+    action: () => Promise<HistoryEncryptionResult>,
+    failureTitle: string
+  ): Promise<HistoryEncryptionResult | null> => {
+    setIsWorking(true);
+    try {
+      const result = await action();
+      setStatus(result.status);
+      if (!result.success) {
+        showAlertDialog({ title: failureTitle, description: result.error || "Please try again." });
+        return null;
+      }
+      if (result.recoveryKey) {
+        setRecoveryKey(result.recoveryKey);
+      }
+      return result;
+    } catch (error) {
+      showAlertDialog({ title: failureTitle, description: "Please try again." });
+      return null;
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const enable = () => {
+    showConfirmDialog({
+      title: "Encrypt History",
+      description:
+        "Transcription history, saved recordings and unfinished dictations will be encrypted with a key kept in your system keyring. Daily Markdown notes are not. You will be shown a recovery key next; it is the only way back in if the keyring entry is lost.",
+      onConfirm: () => run(() => window.electronAPI.enableHistoryEncryption(), "Encryption Failed"),
+    });
+  };
+
+  const disable = () => {
+    showConfirmDialog({
+      title: "Turn Off Encryption",
+      description:
+        "Transcription history, saved recordings and unfinished dictations will be decrypted and stored as plain files on this computer.",
+      onConfirm: () =>
+        run(() => window.electronAPI.disableHistoryEncryption(), "Decryption Failed"),
+    });
+  };
+
+  const regenerate = () => {
+    showConfirmDialog({
+      title: "New Recovery Key",
+      description: "A new recovery key will be created. The previous one will stop working.",
+      onConfirm: () =>
+        run(() => window.electronAPI.regenerateHistoryRecoveryKey(), "Recovery Key Failed"),
+    });
+  };
+
+  const unlock = async () => {
+    const result = await run(
+      () => window.electronAPI.recoverHistoryEncryption(recoveryDraft),
+      "Unlock Failed"
+    );
+    if (result) {
+      setRecoveryDraft("");
+      showAlertDialog({
+        title: "History Unlocked",
+        description: "The encryption key has been saved to your keyring again.",
+      });
+    }
+  };
+
+  const startFresh = () => {
+    showConfirmDialog({
+      title: "Start Fresh",
+      description:
+        "OpenWayl will set the locked history aside and start with an empty one. The locked file is kept on disk rather than deleted.",
+      onConfirm: async () => {
+        const result = await run(() => window.electronAPI.resetHistoryEncryption(), "Reset Failed");
+        if (result) {
+          showAlertDialog({
+            title: "New History Started",
+            description: `The locked history was moved to ${result.archivedPath}.`,
+          });
+        }
+      },
+      variant: "destructive",
+    });
+  };
+
+  const copyRecoveryKey = () => {
+    if (recoveryKey) navigator.clipboard.writeText(recoveryKey);
+  };
+
+  const renderStatus = () => {
+    if (status.damaged) {
+      return "Locked: the encrypted history file is damaged and cannot be read.";
+    }
+    if (status.locked) {
+      return "Locked: the encryption key is missing from your keyring.";
+    }
+    if (status.enabled) {
+      return "History is encrypted on disk.";
+    }
+    return "History is stored unencrypted.";
+  };
+
+  return (
+    <div className="space-y-6">
+      <ConfirmDialog
+        open={confirmDialog.open}
+        onOpenChange={hideConfirmDialog}
+        title={confirmDialog.title}
+        description={confirmDialog.description}
+        onConfirm={confirmDialog.onConfirm}
+        variant={confirmDialog.variant}
+      />
+
+      <AlertDialog
+        open={alertDialog.open}
+        onOpenChange={hideAlertDialog}
+        title={alertDialog.title}
+        description={alertDialog.description}
+        onOk={() => {}}
+      />
+
+      <Dialog open={Boolean(recoveryKey)} onOpenChange={(open) => !open && setRecoveryKey(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Save Your Recovery Key</DialogTitle>
+            <DialogDescription>
+              Store this key somewhere safe, such as a password manager. It will not be shown again.
+              Without it, encrypted history cannot be opened if the keyring entry is lost.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 rounded-lg border border-neutral-200 bg-neutral-50 px-3 py-2 text-sm font-mono text-neutral-900 select-all">
+              {recoveryKey}
+            </code>
+            <Button variant="outline" size="sm" onClick={copyRecoveryKey}>
+              <Copy size={14} className="mr-1" />
+              Copy
+            </Button>
+          </div>
+          <DialogFooter>
+            <Button onClick={() => setRecoveryKey(null)}>I've Saved It</Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <div className="pt-2">
+        <h3 className="text-lg font-semibold text-gray-900 mb-2">Encryption</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Encrypt the history database, saved recordings and unfinished dictations on disk with a
+          key held in your system keyring. Search, export and everything else keep working while
+          OpenWayl runs.
+        </p>
+      </div>
+
+      <div className="space-y-4 p-4 bg-gray-50 border border-gray-200 rounded-xl">
+        <div className="flex items-center gap-2 text-sm text-neutral-800">
+          {status.enabled ? <Lock size={14} /> : <LockOpen size={14} />}
+          {renderStatus()}
+        </div>
+
+        {!status.keyringAvailable && !status.locked && (
+          <p className="rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-800">
+            {status.keyringBackend
+              ? `No secure keyring is available (backend: ${status.keyringBackend}). Install and unlock a Secret Service provider such as GNOME Keyring or KWallet to use encryption.`
+              : "No secure keyring is available on this system."}
+          </p>
+        )}
+
+        {isVaultEnabled && !status.locked && (
+          <p className="rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-800">
+            Daily Markdown notes are on. Dictations appended to the notes folder are plain text and
+            are not covered by encryption; turn off "Append to daily notes" above if they must stay
+            private.
+          </p>
+        )}
+
+        {status.locked ? (
+          <div className="space-y-3">
+            {status.damaged ? (
+              <p className="text-xs text-neutral-600">
+                The file could have been cut short by a crash or a full disk. It cannot be unlocked
+                with the recovery key, but it is kept on disk when you start fresh.
+              </p>
+            ) : (
+              <>
+                <div>
+                  <p className="text-sm font-medium text-neutral-800">Recovery key</p>
+                  <p className="text-xs text-neutral-600">
+                    Enter the key shown when encryption was turned on.
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Input
+                    value={recoveryDraft}
+                    onChange={(e) => setRecoveryDraft(e.target.value)}
+                    placeholder="XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-XXXX"
+                    className="flex-1 font-mono"
+                    autoComplete="off"
+                    spellCheck={false}
+                  />
+                  <Button onClick={unlock} disabled={isWorking || !recoveryDraft.trim()}>
+                    {isWorking ? "Unlocking..." : "Unlock"}
+                  </Button>
+                </div>
+              </>
+            )}
+            <Button
+              variant="outline"
+              onClick={startFresh}
+              disabled={isWorking}
+              className="w-full text-red-600 border-red-200 hover:bg-red-50 hover:text-red-700"
+            >
+              Start Fresh Without Old History
+            </Button>
+          </div>
+        ) : status.enabled ? (
+          <div className="flex gap-2">
+            <Button variant="outline" onClick={regenerate} disabled={isWorking} className="flex-1">
+              New Recovery Key
+            </Button>
+            <Button variant="outline" onClick={disable} disabled={isWorking} className="flex-1">
+              Turn Off Encryption
+            </Button>
+          </div>
+        ) : (
+          <Button
+            onClick={enable}
+            disabled={isWorking || !status.keyringAvailable}
+            className="w-full"
+          >
+            {isWorking ? "Encrypting..." : "Encrypt History"}
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
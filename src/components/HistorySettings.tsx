@@ -0,0 +1,325 @@
+import React, { useEffect, useState } from "react";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Toggle } from "./ui/toggle";
+import { ConfirmDialog, AlertDialog } from "./ui/dialog";
+import HistoryEncryptionSettings from "./HistoryEncryptionSettings";
+import MarkdownVaultSettings from "./MarkdownVaultSettings";
+import { useDialogs } from "../hooks/useDialogs";
+import { formatBytes } from "../utils/formatBytes";
+import type {
+  HistoryAudioSettings,
+  HistoryAudioUsage,
+  HistoryRetentionPolicy,
+} from "../types/electron";
+
+const DEFAULT_POLICY: HistoryRetentionPolicy = {
+  maxAgeDays: 0,
+  maxEntries: 0,
+  keepStarred: true,
+  trashDays: 30,
+};
+
+const isSamePolicy = (a: HistoryRetentionPolicy, b: HistoryRetentionPolicy) =>
+  a.maxAgeDays === b.maxAgeDays &&
+  a.maxEntries === b.maxEntries &&
+  a.keepStarred === b.keepStarred &&
+  a.trashDays === b.trashDays;
+
+export default function HistorySettings() {
+  const [savedPolicy, setSavedPolicy] = useState<HistoryRetentionPolicy>(DEFAULT_POLICY);
+  const [policy, setPolicy] = useState<HistoryRetentionPolicy>(DEFAULT_POLICY);
+  const [isSaving, setIsSaving] = useState(false);
+  const [audioSettings, setAudioSettings] = useState<HistoryAudioSettings>({
+    enabled: false,
+    maxTotalMb: 500,
+  });
+  const [quotaDraft, setQuotaDraft] = useState("500");
+  const [audioUsage, setAudioUsage] = useState<HistoryAudioUsage>({ count: 0, totalBytes: 0 });
+  const {
+    confirmDialog,
+    alertDialog,
+    showConfirmDialog,
+    showAlertDialog,
+    hideConfirmDialog,
+    hideAlertDialog,
+  } = useDialogs();
+
+  useEffect(() => {
+    window.electronAPI
+      ?.getHistoryRetention?.()
+      .then((current) => {
+        setSavedPolicy(current);
+        setPolicy(current);
+      })
+      .catch(() => {});
+
+    Promise.all([
+      window.electronAPI?.getHistoryAudioSettings?.(),
+      window.electronAPI?.getHistoryAudioUsage?.(),
+    ])
+      .then(([settings, usage]) => {
+        if (settings) {
+          setAudioSettings(settings);
+          setQuotaDraft(String(settings.maxTotalMb));
+        }
+        if (usage) setAudioUsage(usage);
+      })
+      .catch(() => {});
+  }, []);
+
+  const saveAudioSettings = async (next: Partial<HistoryAudioSettings>) => {
+    try {
+      const result = await window.electronAPI.setHistoryAudioSettings(next);
+      setAudioSettings(result.settings);
+      setQuotaDraft(String(result.settings.maxTotalMb));
+      setAudioUsage(result.usage);
+    } catch (error) {
+      showAlertDialog({
+        title: "Save Failed",
+        description: "Failed to update recording settings. Please try again.",
+      });
+    }
+  };
+
+  const deleteAllRecordings = () => {
+    showConfirmDialog({
+      title: "Delete All Recordings",
+      description:
+        "Every stored recording will be permanently deleted. Transcriptions are kept. This cannot be undone.",
+      onConfirm: async () => {
+        try {
+          const result = await window.electronAPI.deleteAllHistoryAudio();
+          setAudioUsage({ count: 0, totalBytes: 0 });
+          showAlertDialog({
+            title: "Recordings Deleted",
+            description: `Deleted ${result.deleted} recording${result.deleted === 1 ? "" : "s"}.`,
+          });
+        } catch (error) {
+          showAlertDialog({
+            title: "Delete Failed",
+            description: "Failed to delete recordings. Please try again.",
+          });
+        }
+      },
+      variant: "destructive",
+    });
+  };
+
+  const applyPolicy = async () => {
+    setIsSaving(true);
+    try {
+      const result = await window.electronAPI.setHistoryRetention(policy);
+      setSavedPolicy(result.policy);
+      setPolicy(result.policy);
+      showAlertDialog({
+        title: "Retention Policy Saved",
+        description:
+          result.deleted > 0
+            ? `${result.deleted} transcription${result.deleted === 1 ? " was" : "s were"} permanently deleted.`
+            : "No transcriptions needed to be deleted.",
+      });
+    } catch (error) {
+      showAlertDialog({
+        title: "Save Failed",
+        description: "Failed to save the retention policy. Please try again.",
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSave = () => {
+    // Emptying the trash sooner is not worth a warning; dropping live entries is
+    const hasLimit = policy.maxAgeDays > 0 || policy.maxEntries > 0;
+    if (!hasLimit) {
+      applyPolicy();
+      return;
+    }
+    showConfirmDialog({
+      title: "Apply Retention Policy",
+      description:
+        "Transcriptions outside this policy will be permanently deleted now and automatically from then on. This cannot be undone.",
+      onConfirm: applyPolicy,
+      variant: "destructive",
+    });
+  };
+
+  const updateLimit = (key: "maxAgeDays" | "maxEntries" | "trashDays", value: string) => {
+    const parsed = Math.floor(Number(value));
+    setPolicy((prev) => ({ ...prev, [key]: Number.isFinite(parsed) && parsed > 0 ? parsed : 0 }));
+  };
+
+  return (
+    <div className="space-y-6">
+      <ConfirmDialog
+        open={confirmDialog.open}
+        onOpenChange={hideConfirmDialog}
+        title={confirmDialog.title}
+        description={confirmDialog.description}
+        onConfirm={confirmDialog.onConfirm}
+        variant={confirmDialog.variant}
+      />
+
+      <AlertDialog
+        open={alertDialog.open}
+        onOpenChange={hideAlertDialog}
+        title={alertDialog.title}
+        description={alertDialog.description}
+        onOk={() => {}}
+      />
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 mb-2">Retention</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Automatically delete old transcriptions. The policy is applied when OpenWayl starts and
+          every hour while it runs; deleted text is overwritten on disk.
+        </p>
+      </div>
+
+      <div className="space-y-4 p-4 bg-gray-50 border border-gray-200 rounded-xl">
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <p className="text-sm font-medium text-neutral-800">Keep transcriptions for</p>
+            <p className="text-xs text-neutral-600">
+              Days to keep each entry. 0 keeps them forever.
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <Input
+              type="number"
+              min={0}
+              value={policy.maxAgeDays}
+              onChange={(e) => updateLimit("maxAgeDays", e.target.value)}
+              className="w-24 text-right"
+            />
+            <span className="text-sm text-neutral-600">days</span>
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <p className="text-sm font-medium text-neutral-800">Maximum entries</p>
+            <p className="text-xs text-neutral-600">
+              Oldest entries are deleted beyond this count. 0 means no limit.
+            </p>
+          </div>
+          <Input
+            type="number"
+            min={0}
+            value={policy.maxEntries}
+            onChange={(e) => updateLimit("maxEntries", e.target.value)}
+            className="w-24 text-right"
+          />
+        </div>
+
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <p className="text-sm font-medium text-neutral-800">Keep starred transcriptions</p>
+            <p className="text-xs text-neutral-600">
+              Starred entries never expire and don't count towards the maximum.
+            </p>
+          </div>
+          <Toggle
+            checked={policy.keepStarred}
+            onChange={(keepStarred) => setPolicy((prev) => ({ ...prev, keepStarred }))}
+          />
+        </div>
+
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <p className="text-sm font-medium text-neutral-800">Empty trash after</p>
+            <p className="text-xs text-neutral-600">
+              Deleted transcriptions can be restored until then. 0 keeps them until you empty the
+              trash.
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <Input
+              type="number"
+              min={0}
+              value={policy.trashDays}
+              onChange={(e) => updateLimit("trashDays", e.target.value)}
+              className="w-24 text-right"
+            />
+            <span className="text-sm text-neutral-600">days</span>
+          </div>
+        </div>
+      </div>
+
+      <Button
+        onClick={handleSave}
+        disabled={isSaving || isSamePolicy(policy, savedPolicy)}
+        className="w-full"
+      >
+        {isSaving ? "Applying..." : "Save Retention Policy"}
+      </Button>
+
+      <div className="pt-2">
+        <h3 className="text-lg font-semibold text-gray-900 mb-2">Recordings</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Keep the original audio of each dictation so a transcription can be checked against what
+          was said. Recordings are stored only on this computer and deleted with their entry.
+        </p>
+      </div>
+
+      <div className="space-y-4 p-4 bg-gray-50 border border-gray-200 rounded-xl">
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <p className="text-sm font-medium text-neutral-800">Keep recordings</p>
+            <p className="text-xs text-neutral-600">
+              {audioUsage.count > 0
+                ? `${audioUsage.count} stored, using ${formatBytes(audioUsage.totalBytes)}`
+                : "No recordings stored"}
+            </p>
+          </div>
+          <Toggle
+            checked={audioSettings.enabled}
+            onChange={(enabled) => saveAudioSettings({ enabled })}
+          />
+        </div>
+
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <p className="text-sm font-medium text-neutral-800">Storage limit</p>
+            <p className="text-xs text-neutral-600">
+              The oldest recordings are deleted once this is exceeded.
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <Input
+              type="number"
+              min={1}
+              value={quotaDraft}
+              onChange={(e) => setQuotaDraft(e.target.value)}
+              className="w-24 text-right"
+            />
+            <span className="text-sm text-neutral-600">MB</span>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => saveAudioSettings({ maxTotalMb: Number(quotaDraft) })}
+              disabled={Number(quotaDraft) === audioSettings.maxTotalMb}
+            >
+              Apply
+            </Button>
+          </div>
+        </div>
+
+        {audioUsage.count > 0 && (
+          <Button
+            variant="outline"
+            onClick={deleteAllRecordings}
+            className="w-full text-red-600 border-red-200 hover:bg-red-50 hover:text-red-700"
+          >
+            Delete All Recordings
+          </Button>
+        )}
+      </div>
+
+      <MarkdownVaultSettings />
+
+      <HistoryEncryptionSettings />
+    </div>
+  );
+}
@@ -0,0 +1,165 @@
+import React, { useEffect, useState } from "react";
+import { FolderOpen } from "lucide-react";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Toggle } from "./ui/toggle";
+import { AlertDialog } from "./ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "./ui/select";
+import { useDialogs } from "../hooks/useDialogs";
+import type { MarkdownVaultSettings as VaultSettings } from "../types/electron";
+
+const DEFAULT_SETTINGS: VaultSettings = {
+  enabled: false,
+  directory: "",
+  mode: "all",
+  tags: [],
+};
+
+const parseTags = (value: string) =>
+  value
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+
+export default function MarkdownVaultSettings() {
+  const [settings, setSettings] = useState<VaultSettings>(DEFAULT_SETTINGS);
+  const [tagsDraft, setTagsDraft] = useState("");
+  const { alertDialog, showAlertDialog, hideAlertDialog } = useDialogs();
+
+  const applySettings = (next: VaultSettings) => {
+    setSettings(next);
+    setTagsDraft(next.tags.join(", "));
+  };
+
+  useEffect(() => {
+    window.electronAPI
+      ?.getMarkdownVaultSettings?.()
+      .then(applySettings)
+      .catch(() => {});
+  }, []);
+
+  const save = async (next: Partial<VaultSettings>) => {
+    try {
+      const result = await window.electronAPI.setMarkdownVaultSettings(next);
+      applySettings(result.settings);
+    } catch (error) {
+      showAlertDialog({
+        title: "Save Failed",
+        description: "Failed to update note settings. Please try again.",
+      });
+    }
+  };
+
+  const chooseDirectory = async () => {
+    try {
+      const result = await window.electronAPI.chooseMarkdownVaultDirectory();
+      if (result.settings) applySettings(result.settings);
+    } catch (error) {
+      showAlertDialog({
+        title: "Folder Not Set",
+        description: "Failed to choose the notes folder. Please try again.",
+      });
+    }
+  };
+
+  const tagsChanged = parseTags(tagsDraft).join(",") !== settings.tags.join(",");
+
+  return (
+    <div className="space-y-6">
+      <AlertDialog
+        open={alertDialog.open}
+        onOpenChange={hideAlertDialog}
+        title={alertDialog.title}
+        description={alertDialog.description}
+        onOk={() => {}}
+      />
+
+      <div className="pt-2">
+        <h3 className="text-lg font-semibold text-gray-900 mb-2">Markdown Notes</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Append dictations to a daily note, such as in an Obsidian or Logseq vault. Each day gets
+          its own file named after the date.
+        </p>
+      </div>
+
+      <div className="space-y-4 p-4 bg-gray-50 border border-gray-200 rounded-xl">
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <p className="text-sm font-medium text-neutral-800">Append to daily notes</p>
+            <p className="text-xs text-neutral-600">
+              {settings.directory
+                ? "Notes are written as dictations complete."
+                : "Choose a folder first."}
+            </p>
+          </div>
+          <Toggle
+            checked={settings.enabled}
+            onChange={(enabled) => save({ enabled })}
+            disabled={!settings.directory}
+          />
+        </div>
+
+        <div className="flex items-center justify-between gap-4">
+          <div className="min-w-0">
+            <p className="text-sm font-medium text-neutral-800">Notes folder</p>
+            <p className="text-xs text-neutral-600 truncate" title={settings.directory}>
+              {settings.directory || "Not set"}
+            </p>
+          </div>
+          <Button variant="outline" size="sm" onClick={chooseDirectory}>
+            <FolderOpen size={14} className="mr-1" />
+            Choose...
+          </Button>
+        </div>
+
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <p className="text-sm font-medium text-neutral-800">Dictations to append</p>
+            <p className="text-xs text-neutral-600">
+              Tagged entries are appended when you tag them in history.
+            </p>
+          </div>
+          <Select
+            value={settings.mode}
+            onValueChange={(mode) => save({ mode: mode as VaultSettings["mode"] })}
+          >
+            <SelectTrigger className="w-36">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All</SelectItem>
+              <SelectItem value="tagged">Tagged only</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+
+        {settings.mode === "tagged" && (
+          <div className="flex items-center justify-between gap-4">
+            <div>
+              <p className="text-sm font-medium text-neutral-800">Only these tags</p>
+              <p className="text-xs text-neutral-600">
+                Comma separated. Leave empty to append entries with any tag.
+              </p>
+            </div>
+            <div className="flex items-center gap-2">
+              <Input
+                value={tagsDraft}
+                onChange={(e) => setTagsDraft(e.target.value)}
+                placeholder="notes, journal"
+                className="w-44"
+              />
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => save({ tags: parseTags(tagsDraft) })}
+                disabled={!tagsChanged}
+              >
+                Apply
+              </Button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import React, { useEffect, useRef, useState } from "react";
+import { LifeBuoy, Loader2 } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { useToast } from "./ui/Toast";
+import AudioManager from "../helpers/audioManager";
+import { formatBytes } from "../utils/formatBytes";
+import type { UnfinishedRecording } from "../types/electron";
+
+interface RecoveredRecordingsCardProps {
+  onError?: (message: string) => void;
+}
+
+function formatStartedAt(startedAt: number | null) {
+  if (!startedAt) return "Unknown time";
+  return new Date(startedAt).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+// Dictations left behind by a crash, a reload or a failed transcription
+export default function RecoveredRecordingsCard({ onError }: RecoveredRecordingsCardProps) {
+  const audioManagerRef = useRef<AudioManager | null>(null);
+  const [recordings, setRecordings] = useState<UnfinishedRecording[]>([]);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    window.electronAPI
+      ?.getUnfinishedRecordings?.()
+      .then(setRecordings)
+      .catch(() => {});
+  }, []);
+
+  const remove = (id: string) =>
+    setRecordings((current) => current.filter((recording) => recording.id !== id));
+
+  const transcribe = async (recording: UnfinishedRecording) => {
+    setBusyId(recording.id);
+    try {
+      const audio = await window.electronAPI.readUnfinishedRecording(recording.id);
+      if (!audio) {
+        remove(recording.id);
+        return;
+      }
+
+      if (!audioManagerRef.current) {
+        audioManagerRef.current = new AudioManager();
+      }
+      const audioBlob = new Blob([audio.data], { type: audio.mimeType });
+      const result = await audioManagerRef.current.transcribeRecording(audioBlob);
+      if (!result?.text?.trim()) {
+        throw new Error("No speech was detected in the recording.");
+      }
+
+      const saved = await audioManagerRef.current.saveTranscription(
+        result.text,
+        result.metadata,
+        audioBlob
+      );
+      if (!saved) {
+        throw new Error("The transcription could not be saved to history.");
+      }
+      await window.electronAPI.discardUnfinishedRecording(recording.id);
+      remove(recording.id);
+      toast({
+        title: "Dictation Recovered",
+        description: "The transcription was added to your history.",
+        variant: "success",
+      });
+    } catch (error) {
+      onError?.(
+        `Failed to transcribe the recovered dictation: ${error instanceof Error ? error.message : String(error)}`
+      );
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const discard = async (id: string) => {
+    try {
+      await window.electronAPI.discardUnfinishedRecording(id);
+      remove(id);
+    } catch (error) {
+      onError?.("Failed to discard the recording. Please try again.");
+    }
+  };
+
+  if (recordings.length === 0) {
+    return null;
+  }
+
+  return (
+    <Card className="border-amber-200 bg-amber-50/40">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <LifeBuoy size={18} className="text-amber-600" />
+          Unfinished Dictations
+        </CardTitle>
+        <p className="text-sm text-neutral-600">
+          These recordings were not transcribed because the app closed or transcription failed.
+        </p>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        {recordings.map((recording) => (
+          <div
+            key={recording.id}
+            className="flex items-center justify-between gap-4 p-3 bg-white border border-neutral-200 rounded-lg"
+          >
+            <div>
+              <p className="text-sm font-medium text-neutral-800">
+                {formatStartedAt(recording.startedAt)}
+              </p>
+              <p className="text-xs text-neutral-600">{formatBytes(recording.sizeBytes)}</p>
+            </div>
+            <div className="flex gap-2">
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => discard(recording.id)}
+                disabled={busyId !== null}
+              >
+                Discard
+              </Button>
+              <Button size="sm" onClick={() => transcribe(recording)} disabled={busyId !== null}>
+                {busyId === recording.id && <Loader2 size={14} className="mr-1 animate-spin" />}
+                Transcribe
+              </Button>
+            </div>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
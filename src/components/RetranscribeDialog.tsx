@@ -0,0 +1,242 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Loader2 } from "lucide-react";
+import { Button } from "./ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "./ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "./ui/select";
+import TextDiff from "./ui/TextDiff";
+import AudioManager from "../helpers/audioManager";
+import {
+  getAllReasoningModels,
+  getModelProvider,
+  getTranscriptionModels,
+  getTranscriptionProviderLabel,
+  getTranscriptionProviders,
+  getWhisperModels,
+} from "../models/ModelRegistry";
+import type { TranscriptionItem, TranscriptionRevision } from "../types/electron";
+
+const LOCAL_ENGINE = "local";
+const NO_REASONING = "none";
+
+interface RetranscribeDialogProps {
+  item: TranscriptionItem | null;
+  onOpenChange: (open: boolean) => void;
+  onRevisionSaved?: (revision: TranscriptionRevision) => void;
+}
+
+function getEngineModels(engine: string): Array<{ id: string; name: string }> {
+  if (engine === LOCAL_ENGINE) {
+    return Object.entries(getWhisperModels()).map(([id, info]) => ({ id, name: info.name }));
+  }
+  return getTranscriptionModels(engine).map(({ id, name }) => ({ id, name }));
+}
+
+// Setting values the pipeline reads from localStorage, replaced for this run only
+function buildOverrides(engine: string, model: string, reasoningModel: string) {
+  const overrides: Record<string, string> =
+    engine === LOCAL_ENGINE
+      ? { useLocalWhisper: "true", whisperModel: model }
+      : {
+          useLocalWhisper: "false",
+          cloudTranscriptionProvider: engine,
+          cloudTranscriptionModel: model,
+        };
+
+  if (reasoningModel === NO_REASONING) {
+    overrides.useReasoningModel = "false";
+  } else {
+    overrides.useReasoningModel = "true";
+    overrides.reasoningModel = reasoningModel;
+    overrides.reasoningProvider = getModelProvider(reasoningModel);
+  }
+  return overrides;
+}
+
+export default function RetranscribeDialog({
+  item,
+  onOpenChange,
+  onRevisionSaved,
+}: RetranscribeDialogProps) {
+  const audioManagerRef = useRef<AudioManager | null>(null);
+  const [engine, setEngine] = useState(LOCAL_ENGINE);
+  const [model, setModel] = useState("");
+  const [reasoningModel, setReasoningModel] = useState(NO_REASONING);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [revision, setRevision] = useState<TranscriptionRevision | null>(null);
+
+  const engines = useMemo(
+    () => [
+      { id: LOCAL_ENGINE, name: getTranscriptionProviderLabel(LOCAL_ENGINE) },
+      ...getTranscriptionProviders().map(({ id, name }) => ({ id, name })),
+    ],
+    []
+  );
+  const models = useMemo(() => getEngineModels(engine), [engine]);
+  const reasoningModels = useMemo(() => getAllReasoningModels(), []);
+
+  // Start from the engine that produced the entry so a single change is easy to compare
+  useEffect(() => {
+    if (!item) return;
+    const initialEngine = engines.some((e) => e.id === item.provider)
+      ? (item.provider as string)
+      : LOCAL_ENGINE;
+    const initialModels = getEngineModels(initialEngine);
+    setEngine(initialEngine);
+    setModel(
+      initialModels.some((m) => m.id === item.model) ? item.model : initialModels[0]?.id || ""
+    );
+    setReasoningModel(item.reasoning_model || NO_REASONING);
+    setRevision(null);
+    setError(null);
+  }, [item, engines]);
+
+  useEffect(() => {
+    return () => audioManagerRef.current?.cleanup();
+  }, []);
+
+  const changeEngine = (nextEngine: string) => {
+    setEngine(nextEngine);
+    setModel(getEngineModels(nextEngine)[0]?.id || "");
+  };
+
+  const run = async () => {
+    if (!item) return;
+    setIsRunning(true);
+    setError(null);
+    setRevision(null);
+
+    try {
+      const recording = await window.electronAPI.getTranscriptionAudio(item.id);
+      if (!recording) {
+        throw new Error("This recording is no longer available.");
+      }
+
+      if (!audioManagerRef.current) {
+        audioManagerRef.current = new AudioManager();
+      }
+      const result = await audioManagerRef.current.retranscribe(
+        new Blob([recording.data], { type: recording.mimeType }),
+        buildOverrides(engine, model, reasoningModel),
+        { durationSeconds: item.audio_duration_ms ? item.audio_duration_ms / 1000 : null }
+      );
+      if (!result?.text?.trim()) {
+        throw new Error("No speech was detected in the recording.");
+      }
+
+      const saved = await window.electronAPI.addTranscriptionRevision(item.id, {
+        kind: "retranscription",
+        text: result.text,
+        metadata: result.metadata,
+      });
+      setRevision(saved);
+      onRevisionSaved?.(saved);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : String(err));
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  return (
+    <Dialog open={Boolean(item)} onOpenChange={(open) => !isRunning && onOpenChange(open)}>
+      <DialogContent className="sm:max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Re-transcribe Recording</DialogTitle>
+          <DialogDescription>
+            Run the stored audio through another engine. The result is saved as a revision of this
+            entry; the original text is left unchanged.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid grid-cols-3 gap-3">
+          <div className="space-y-1">
+            <label className="text-xs font-medium text-neutral-600">Engine</label>
+            <Select value={engine} onValueChange={changeEngine} disabled={isRunning}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {engines.map(({ id, name }) => (
+                  <SelectItem key={id} value={id}>
+                    {name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <label className="text-xs font-medium text-neutral-600">Model</label>
+            <Select value={model} onValueChange={setModel} disabled={isRunning}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {models.map(({ id, name }) => (
+                  <SelectItem key={id} value={id}>
+                    {name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <label className="text-xs font-medium text-neutral-600">AI cleanup</label>
+            <Select value={reasoningModel} onValueChange={setReasoningModel} disabled={isRunning}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={NO_REASONING}>None</SelectItem>
+                {reasoningModels.map(({ value, fullLabel }) => (
+                  <SelectItem key={value} value={value}>
+                    {fullLabel}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        {error && (
+          <p className="rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+            {error}
+          </p>
+        )}
+
+        {item && revision && (
+          <div className="grid grid-cols-2 gap-3 text-sm">
+            <div className="rounded-lg border border-neutral-200 bg-neutral-50 p-3">
+              <div className="mb-1 text-xs font-medium text-neutral-500">Original</div>
+              <p className="whitespace-pre-wrap text-neutral-800">{item.text}</p>
+            </div>
+            <div className="rounded-lg border border-indigo-200 bg-indigo-50/40 p-3">
+              <div className="mb-1 text-xs font-medium text-neutral-500">
+                {getTranscriptionProviderLabel(revision.provider || engine)}
+                {revision.model ? ` · ${revision.model}` : ""}
+              </div>
+              <TextDiff before={item.text} after={revision.text} className="text-neutral-800" />
+            </div>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={isRunning}>
+            {revision ? "Done" : "Cancel"}
+          </Button>
+          <Button onClick={run} disabled={isRunning || !model}>
+            {isRunning && <Loader2 size={14} className="mr-2 animate-spin" />}
+            {isRunning ? "Transcribing..." : revision ? "Run Again" : "Re-transcribe"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
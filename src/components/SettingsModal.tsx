@@ -1,5 +1,5 @@
 import React from "react";
-import { Settings, Mic, Brain, User, Sparkles } from "lucide-react";
+import { Settings, Mic, Brain, User, Sparkles, History } from "lucide-react";
 import SidebarModal, { SidebarItem } from "./ui/SidebarModal";
 import SettingsPage, { SettingsSectionType } from "./SettingsPage";
 
@@ -15,6 +15,7 @@ export default function SettingsModal({ open, onOpenChange }: SettingsModalProps
     { id: "aiModels", label: "AI Models", icon: Brain },
     { id: "agentConfig", label: "Agent Configuration", icon: User },
     { id: "prompts", label: "AI Prompts", icon: Sparkles },
+    { id: "history", label: "History", icon: History },
   ];
 
   const [activeSection, setActiveSection] = React.useState<SettingsSectionType>("general");
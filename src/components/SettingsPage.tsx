@@ -5,6 +5,7 @@ import { Toggle } from "./ui/toggle";
 import { RefreshCw, Download, Command, Mic, Shield } from "lucide-react";
 import MarkdownRenderer from "./ui/MarkdownRenderer";
 import MicPermissionWarning from "./ui/MicPermissionWarning";
+import MicrophoneSelector from "./ui/MicrophoneSelector";
 import TranscriptionModelPicker from "./TranscriptionModelPicker";
 import { ConfirmDialog, AlertDialog } from "./ui/dialog";
 import { useSettings } from "../hooks/useSettings";
@@ -18,9 +19,12 @@ import { REASONING_PROVIDERS, getTranscriptionProviders } from "../models/ModelR
 import { formatHotkeyLabel } from "../utils/hotkeys";
 import LanguageSelector from "./ui/LanguageSelector";
 import PromptStudio from "./ui/PromptStudio";
+import HistorySettings from "./HistorySettings";
+import AudioCleanupSettings from "./AudioCleanupSettings";
 import { API_ENDPOINTS } from "../config/constants";
 import ReasoningModelSelector from "./ReasoningModelSelector";
-import type { UpdateInfoResult } from "../types/electron";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "./ui/select";
+import type { RecordingMode, UpdateInfoResult } from "../types/electron";
 import { HotkeyInput } from "./ui/HotkeyInput";
 import { useHotkeyRegistration } from "../hooks/useHotkeyRegistration";
 
@@ -29,7 +33,8 @@ export type SettingsSectionType =
   | "transcription"
   | "aiModels"
   | "agentConfig"
-  | "prompts";
+  | "prompts"
+  | "history";
 
 interface SettingsPageProps {
   activeSection?: SettingsSectionType;
@@ -64,6 +69,16 @@ export default function SettingsPage({ activeSection = "general" }: SettingsPage
     geminiApiKey,
     groqApiKey,
     dictationKey,
+    recordingMode,
+    microphoneDeviceId,
+    warmMicrophone,
+    audioCleanupProfiles,
+    autoStopOnSilence,
+    autoStopSilenceMs,
+    autoStopSensitivity,
+    autoStopMinSpeechMs,
+    progressiveTranscription,
+    trimSilence,
     useGnomeTopBarMode,
     setUseLocalWhisper,
     setWhisperModel,
@@ -83,10 +98,17 @@ export default function SettingsPage({ activeSection = "general" }: SettingsPage
     setGeminiApiKey,
     setGroqApiKey,
     setDictationKey,
+    setRecordingMode,
+    setMicrophoneDeviceId,
+    setWarmMicrophone,
+    setAudioCleanupProfile,
+    setProgressiveTranscription,
+    setTrimSilence,
     setUseGnomeTopBarMode,
     updateTranscriptionSettings,
     updateReasoningSettings,
     updateApiKeys,
+    updateAutoStopSettings,
   } = useSettings();
 
   const [currentVersion, setCurrentVersion] = useState<string>("");
@@ -137,6 +159,25 @@ export default function SettingsPage({ activeSection = "general" }: SettingsPage
     showAlert: showAlertDialog,
   });
 
+  const changeRecordingMode = async (mode: RecordingMode) => {
+    try {
+      const result = await window.electronAPI.setRecordingMode(mode);
+      if (result.success) {
+        setRecordingMode(mode);
+      } else {
+        showAlertDialog({
+          title: "Push-to-Talk Unavailable",
+          description: result.error || "Push-to-talk could not be set up for this hotkey.",
+        });
+      }
+    } catch (error) {
+      showAlertDialog({
+        title: "Recording Mode",
+        description: "Failed to change the recording mode. Please try again.",
+      });
+    }
+  };
+
   const refreshGnomeStatus = useCallback(async () => {
     if (!isLinux || !window.electronAPI?.getGnomeTopBarMode) {
       return;
@@ -715,6 +756,163 @@ export default function SettingsPage({ activeSection = "general" }: SettingsPage
                 }}
                 disabled={isHotkeyRegistering}
               />
+              <div className="mt-4 flex items-center justify-between gap-4">
+                <div>
+                  <p className="text-sm font-medium text-neutral-800">Recording mode</p>
+                  <p className="text-xs text-neutral-600">
+                    {recordingMode === "push-to-talk"
+                      ? "Records while the hotkey is held and stops when it is released."
+                      : "Press the hotkey once to start and again to stop."}
+                  </p>
+                </div>
+                <Select
+                  value={recordingMode}
+                  onValueChange={(mode) => changeRecordingMode(mode as RecordingMode)}
+                >
+                  <SelectTrigger className="w-40">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="toggle">Toggle</SelectItem>
+                    <SelectItem value="push-to-talk">Push-to-talk</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              {recordingMode === "push-to-talk" && isLinux && (
+                <p className="mt-2 text-xs text-neutral-600">
+                  On Wayland, key releases are read from your keyboard devices, which needs your
+                  user in the input group. Remove any desktop shortcut that runs --toggle for this
+                  key.
+                </p>
+              )}
+            </div>
+
+            <div className="border-t pt-8">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900 mb-2">Auto-Stop</h3>
+                <p className="text-sm text-gray-600 mb-6">
+                  End the recording by itself when you stop talking, so you only press the hotkey
+                  once. The dictation button shows a countdown ring before it stops.
+                </p>
+              </div>
+              <div className="space-y-4 p-4 bg-gray-50 border border-gray-200 rounded-xl">
+                <div className="flex items-center justify-between gap-4">
+                  <div>
+                    <p className="text-sm font-medium text-neutral-800">Stop on silence</p>
+                    <p className="text-xs text-neutral-600">
+                      Pressing the hotkey still stops the recording at any time.
+                    </p>
+                  </div>
+                  <Toggle
+                    checked={autoStopOnSilence}
+                    onChange={(enabled) => updateAutoStopSettings({ autoStopOnSilence: enabled })}
+                  />
+                </div>
+
+                {autoStopOnSilence && (
+                  <>
+                    <div className="space-y-1">
+                      <div className="flex items-center justify-between text-sm">
+                        <span className="font-medium text-neutral-800">
+                          Silence before stopping
+                        </span>
+                        <span className="text-neutral-600">
+                          {(autoStopSilenceMs / 1000).toFixed(1)} s
+                        </span>
+                      </div>
+                      <input
+                        type="range"
+                        min={500}
+                        max={5000}
+                        step={100}
+                        value={autoStopSilenceMs}
+                        onChange={(e) =>
+                          updateAutoStopSettings({ autoStopSilenceMs: Number(e.target.value) })
+                        }
+                        className="w-full accent-indigo-600"
+                      />
+                    </div>
+
+                    <div className="space-y-1">
+                      <div className="flex items-center justify-between text-sm">
+                        <span className="font-medium text-neutral-800">Sensitivity</span>
+                        <span className="text-neutral-600">{autoStopSensitivity}</span>
+                      </div>
+                      <input
+                        type="range"
+                        min={0}
+                        max={100}
+                        step={5}
+                        value={autoStopSensitivity}
+                        onChange={(e) =>
+                          updateAutoStopSettings({ autoStopSensitivity: Number(e.target.value) })
+                        }
+                        className="w-full accent-indigo-600"
+                      />
+                      <p className="text-xs text-neutral-600">
+                        Raise it if quiet speech gets cut off; lower it if background noise keeps
+                        the recording going.
+                      </p>
+                    </div>
+
+                    <div className="space-y-1">
+                      <div className="flex items-center justify-between text-sm">
+                        <span className="font-medium text-neutral-800">Minimum speech</span>
+                        <span className="text-neutral-600">
+                          {(autoStopMinSpeechMs / 1000).toFixed(1)} s
+                        </span>
+                      </div>
+                      <input
+                        type="range"
+                        min={0}
+                        max={3000}
+                        step={100}
+                        value={autoStopMinSpeechMs}
+                        onChange={(e) =>
+                          updateAutoStopSettings({ autoStopMinSpeechMs: Number(e.target.value) })
+                        }
+                        className="w-full accent-indigo-600"
+                      />
+                      <p className="text-xs text-neutral-600">
+                        Nothing stops the recording until this much speech has been heard.
+                      </p>
+                    </div>
+                  </>
+                )}
+              </div>
+            </div>
+
+            <div className="border-t pt-8">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900 mb-2">Microphone</h3>
+                <p className="text-sm text-gray-600 mb-6">
+                  Choose which input to dictate with. The list updates when a headset or USB
+                  microphone is plugged in or removed.
+                </p>
+              </div>
+              <div className="space-y-4">
+                <MicrophoneSelector
+                  value={microphoneDeviceId}
+                  onChange={setMicrophoneDeviceId}
+                  onRequestPermission={permissionsHook.requestMicPermission}
+                />
+                <div className="flex items-center justify-between gap-4 p-4 bg-gray-50 border border-gray-200 rounded-xl">
+                  <div>
+                    <p className="text-sm font-medium text-neutral-800">Keep microphone ready</p>
+                    <p className="text-xs text-neutral-600">
+                      Leaves the microphone open between dictations so recording starts instantly
+                      and includes the 1.5 seconds before you pressed the hotkey. Nothing is saved
+                      or sent until you dictate. A red dot on the dictation button shows while the
+                      microphone is on.
+                    </p>
+                  </div>
+                  <Toggle checked={warmMicrophone} onChange={setWarmMicrophone} />
+                </div>
+                <AudioCleanupSettings
+                  profile={audioCleanupProfiles[microphoneDeviceId || "default"]}
+                  onChange={(profile) => setAudioCleanupProfile(microphoneDeviceId, profile)}
+                />
+              </div>
             </div>
 
             <div className="border-t pt-8">
@@ -909,6 +1107,31 @@ export default function SettingsPage({ activeSection = "general" }: SettingsPage
               variant="settings"
             />
 
+            <div className="space-y-4 p-4 bg-gray-50 border border-gray-200 rounded-xl">
+              <div className="flex items-center justify-between gap-4">
+                <div>
+                  <p className="text-sm font-medium text-neutral-800">Transcribe while recording</p>
+                  <p className="text-xs text-neutral-600">
+                    Long dictations are transcribed in 30-second segments as you speak, so the text
+                    is ready seconds after you stop. Segments overlap slightly, which adds a little
+                    to cloud usage.
+                  </p>
+                </div>
+                <Toggle checked={progressiveTranscription} onChange={setProgressiveTranscription} />
+              </div>
+              <div className="flex items-center justify-between gap-4">
+                <div>
+                  <p className="text-sm font-medium text-neutral-800">Trim silence</p>
+                  <p className="text-xs text-neutral-600">
+                    Cuts silence at the start and end and shortens long pauses, which lowers cloud
+                    costs and keeps Whisper from inventing text. Clips under a few seconds are left
+                    as they are.
+                  </p>
+                </div>
+                <Toggle checked={trimSilence} onChange={setTrimSilence} />
+              </div>
+            </div>
+
             <Button
               onClick={() => {
                 const normalizedTranscriptionBase = (cloudTranscriptionBaseUrl || "").trim();
@@ -1070,6 +1293,10 @@ export default function SettingsPage({ activeSection = "general" }: SettingsPage
             <PromptStudio />
           </div>
         );
+
+      case "history":
+        return <HistorySettings />;
+
       default:
         return null;
     }
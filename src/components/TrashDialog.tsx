@@ -0,0 +1,168 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { RotateCcw, Trash2 } from "lucide-react";
+import { Button } from "./ui/button";
+import {
+  ConfirmDialog,
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "./ui/dialog";
+import { useDialogs } from "../hooks/useDialogs";
+import type { TranscriptionItem } from "../types/electron";
+
+interface TrashDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  onRestored?: () => void;
+  onError?: (message: string) => void;
+}
+
+function formatDeletedAt(deletedAt: string) {
+  const date = new Date(deletedAt.endsWith("Z") ? deletedAt : `${deletedAt.replace(" ", "T")}Z`);
+  return Number.isNaN(date.getTime())
+    ? deletedAt
+    : date.toLocaleString("en-US", {
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+}
+
+export default function TrashDialog({ open, onOpenChange, onRestored, onError }: TrashDialogProps) {
+  const [items, setItems] = useState<TranscriptionItem[]>([]);
+  const [trashDays, setTrashDays] = useState(0);
+  const { confirmDialog, showConfirmDialog, hideConfirmDialog } = useDialogs();
+
+  const loadTrash = useCallback(() => {
+    window.electronAPI
+      ?.getTrash?.()
+      .then(setItems)
+      .catch(() => onError?.("Failed to load the trash."));
+  }, [onError]);
+
+  useEffect(() => {
+    if (!open) return;
+    loadTrash();
+    window.electronAPI
+      ?.getHistoryRetention?.()
+      .then((policy) => setTrashDays(policy.trashDays))
+      .catch(() => {});
+
+    // Deletes, restores and automatic purges from anywhere change the list
+    const dispose = window.electronAPI?.onTrashUpdated?.(loadTrash);
+    return () => {
+      if (typeof dispose === "function") dispose();
+    };
+  }, [open, loadTrash]);
+
+  const restore = async (ids: number[]) => {
+    try {
+      const result = await window.electronAPI.restoreTranscriptions(ids);
+      if (result.restored > 0) onRestored?.();
+    } catch (error) {
+      onError?.("Failed to restore transcriptions. Please try again.");
+    }
+  };
+
+  const purge = (ids?: number[]) => {
+    showConfirmDialog({
+      title: ids ? "Delete Permanently" : "Empty Trash",
+      description: ids
+        ? "This transcription and its recording will be permanently deleted. This cannot be undone."
+        : `All ${items.length} transcriptions in the trash will be permanently deleted. This cannot be undone.`,
+      onConfirm: async () => {
+        try {
+          await window.electronAPI.purgeTrash(ids);
+        } catch (error) {
+          onError?.("Failed to delete transcriptions. Please try again.");
+        }
+      },
+      variant: "destructive",
+    });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-2xl">
+        <ConfirmDialog
+          open={confirmDialog.open}
+          onOpenChange={hideConfirmDialog}
+          title={confirmDialog.title}
+          description={confirmDialog.description}
+          onConfirm={confirmDialog.onConfirm}
+          variant={confirmDialog.variant}
+        />
+
+        <DialogHeader>
+          <DialogTitle>Trash</DialogTitle>
+          <DialogDescription>
+            {trashDays > 0
+              ? `Deleted transcriptions are kept here for ${trashDays} day${trashDays === 1 ? "" : "s"} before they are permanently deleted.`
+              : "Deleted transcriptions are kept here until you empty the trash."}
+          </DialogDescription>
+        </DialogHeader>
+
+        {items.length === 0 ? (
+          <p className="py-8 text-center text-sm text-neutral-600">The trash is empty.</p>
+        ) : (
+          <div className="max-h-80 space-y-2 overflow-y-auto">
+            {items.map((item) => (
+              <div
+                key={item.id}
+                className="flex items-start gap-3 rounded-lg border border-neutral-200 bg-white px-3 py-2"
+              >
+                <div className="min-w-0 flex-1">
+                  <p className="line-clamp-2 text-sm text-neutral-800">{item.text}</p>
+                  {item.deleted_at && (
+                    <p className="text-xs text-neutral-500">
+                      Deleted {formatDeletedAt(item.deleted_at)}
+                    </p>
+                  )}
+                </div>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => restore([item.id])}
+                  aria-label="Restore"
+                  className="h-8 w-8 text-neutral-500 hover:text-indigo-700"
+                >
+                  <RotateCcw size={14} />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => purge([item.id])}
+                  aria-label="Delete permanently"
+                  className="h-8 w-8 text-neutral-500 hover:text-red-600"
+                >
+                  <Trash2 size={14} />
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button
+            variant="outline"
+            onClick={() => purge()}
+            disabled={items.length === 0}
+            className="text-red-600 border-red-200 hover:bg-red-50 hover:text-red-700"
+          >
+            Empty Trash
+          </Button>
+          <Button
+            onClick={() => restore(items.map((item) => item.id))}
+            disabled={items.length === 0}
+          >
+            Restore All
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,260 @@
+import React, { useEffect, useState } from "react";
+import { BarChart3, Loader2 } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "./ui/select";
+import { getTranscriptionProviderLabel, getReasoningModelLabel } from "../models/ModelRegistry";
+import { formatLatency } from "../utils/formatDuration";
+import type { LatencySummary, UsageSeriesPoint, UsageStats } from "../types/electron";
+
+const RANGES = [
+  { days: 7, label: "Last 7 days" },
+  { days: 30, label: "Last 30 days" },
+  { days: 90, label: "Last 90 days" },
+  { days: 0, label: "All time" },
+];
+
+interface UsageStatsCardProps {
+  // Changes whenever history does, so the figures refetch
+  refreshKey?: number;
+}
+
+const formatPercent = (ratio: number | null) =>
+  ratio == null ? "—" : `${parseFloat((ratio * 100).toFixed(1))}%`;
+
+const formatMs = (ms: number | null | undefined) => (ms == null ? "—" : formatLatency(ms));
+
+function formatDay(key: string) {
+  const [year, month, day] = key.split("-").map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+  });
+}
+
+function StatTile({ label, value, hint }: { label: string; value: string; hint?: string }) {
+  return (
+    <div className="rounded-lg border border-neutral-200 bg-neutral-50 px-3 py-2">
+      <div className="text-xs text-neutral-500">{label}</div>
+      <div className="text-lg font-semibold text-neutral-900">{value}</div>
+      {hint && <div className="text-xs text-neutral-500">{hint}</div>}
+    </div>
+  );
+}
+
+function WordsChart({
+  title,
+  points,
+}: {
+  title: string;
+  points: Array<UsageSeriesPoint & { label: string }>;
+}) {
+  const max = Math.max(1, ...points.map((point) => point.words));
+  return (
+    <div>
+      <div className="mb-1 text-xs font-medium text-neutral-500">{title}</div>
+      <div className="flex h-24 items-end gap-px rounded-lg border border-neutral-200 bg-neutral-50 p-2">
+        {points.map((point) => (
+          <div
+            key={point.label}
+            title={`${point.label}: ${point.words.toLocaleString()} words in ${point.dictations} dictation${point.dictations === 1 ? "" : "s"}`}
+            className="flex-1 rounded-sm bg-indigo-500/80 hover:bg-indigo-600"
+            style={{ height: `${(point.words / max) * 100}%`, minHeight: point.words > 0 ? 2 : 0 }}
+          />
+        ))}
+      </div>
+      {points.length > 1 && (
+        <div className="mt-0.5 flex justify-between text-[10px] text-neutral-400">
+          <span>{points[0].label}</span>
+          <span>{points[points.length - 1].label}</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function Percentiles({ summary }: { summary: LatencySummary | null }) {
+  if (!summary) return <span className="text-neutral-400">—</span>;
+  return (
+    <span>
+      {formatMs(summary.p50)} / {formatMs(summary.p90)} / {formatMs(summary.p95)}
+    </span>
+  );
+}
+
+export default function UsageStatsCard({ refreshKey }: UsageStatsCardProps) {
+  const [days, setDays] = useState(30);
+  const [stats, setStats] = useState<UsageStats | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    window.electronAPI
+      ?.getUsageStats?.(days)
+      .then((result) => {
+        if (cancelled) return;
+        setStats(result);
+        setError(null);
+      })
+      .catch(() => {
+        if (!cancelled) setError("Failed to load statistics.");
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [days, refreshKey]);
+
+  const renderBody = () => {
+    if (error) {
+      return <p className="text-center py-8 text-sm text-red-600">{error}</p>;
+    }
+    if (!stats) {
+      return null;
+    }
+    if (stats.totals.dictations === 0 && stats.totals.failures === 0) {
+      return <p className="text-center py-8 text-neutral-600">No dictations in this period yet.</p>;
+    }
+
+    const { totals, reasoning } = stats;
+    return (
+      <div className="space-y-5 text-sm">
+        <div className="grid grid-cols-4 gap-3">
+          <StatTile label="Words" value={totals.words.toLocaleString()} />
+          <StatTile label="Dictations" value={totals.dictations.toLocaleString()} />
+          <StatTile
+            label="Words per minute"
+            value={totals.wordsPerMinute == null ? "—" : String(totals.wordsPerMinute)}
+            hint="Of recorded speech"
+          />
+          <StatTile
+            label="Error rate"
+            value={formatPercent(totals.errorRate)}
+            hint={`${totals.failures} failed`}
+          />
+        </div>
+
+        <WordsChart
+          title="Words per day"
+          points={stats.daily.map(({ date, ...point }) => ({ ...point, label: formatDay(date) }))}
+        />
+        {stats.weekly.length > 1 && (
+          <WordsChart
+            title="Words per week"
+            points={stats.weekly.map(({ weekStart, ...point }) => ({
+              ...point,
+              label: `Week of ${formatDay(weekStart)}`,
+            }))}
+          />
+        )}
+
+        <div>
+          <div className="mb-1 text-xs font-medium text-neutral-500">
+            Transcription engines · latency p50 / p90 / p95
+          </div>
+          <div className="overflow-x-auto rounded-lg border border-neutral-200">
+            <table className="w-full text-left text-xs">
+              <thead className="bg-neutral-50 text-neutral-500">
+                <tr>
+                  <th className="px-3 py-2 font-medium">Engine</th>
+                  <th className="px-3 py-2 font-medium text-right">Dictations</th>
+                  <th className="px-3 py-2 font-medium text-right">Errors</th>
+                  <th className="px-3 py-2 font-medium text-right">WPM</th>
+                  <th className="px-3 py-2 font-medium">Transcription</th>
+                  <th className="px-3 py-2 font-medium">Round trip</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-neutral-100 text-neutral-700">
+                {stats.providers.map((row) => (
+                  <tr key={`${row.provider}:${row.model ?? ""}`}>
+                    <td className="px-3 py-2">
+                      {getTranscriptionProviderLabel(row.provider)}
+                      {row.model && <span className="text-neutral-500"> · {row.model}</span>}
+                    </td>
+                    <td className="px-3 py-2 text-right">{row.dictations}</td>
+                    <td className="px-3 py-2 text-right">
+                      {formatPercent(row.errorRate)}
+                      {row.failures > 0 && (
+                        <span className="text-neutral-400"> ({row.failures})</span>
+                      )}
+                    </td>
+                    <td className="px-3 py-2 text-right">{row.wordsPerMinute ?? "—"}</td>
+                    <td className="px-3 py-2">
+                      <Percentiles summary={row.transcription} />
+                    </td>
+                    <td className="px-3 py-2">
+                      <Percentiles summary={row.roundTrip} />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {reasoning.dictations > 0 && (
+          <div>
+            <div className="mb-1 text-xs font-medium text-neutral-500">
+              AI cleanup took {formatPercent(reasoning.share)} of round-trip time across{" "}
+              {reasoning.dictations} dictation{reasoning.dictations === 1 ? "" : "s"}
+            </div>
+            <div className="overflow-x-auto rounded-lg border border-neutral-200">
+              <table className="w-full text-left text-xs">
+                <thead className="bg-neutral-50 text-neutral-500">
+                  <tr>
+                    <th className="px-3 py-2 font-medium">Model</th>
+                    <th className="px-3 py-2 font-medium text-right">Dictations</th>
+                    <th className="px-3 py-2 font-medium">Latency p50 / p90 / p95</th>
+                    <th className="px-3 py-2 font-medium text-right">Share of round trip</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-neutral-100 text-neutral-700">
+                  {reasoning.models.map((row) => (
+                    <tr key={row.model}>
+                      <td className="px-3 py-2">{getReasoningModelLabel(row.model)}</td>
+                      <td className="px-3 py-2 text-right">{row.dictations}</td>
+                      <td className="px-3 py-2">
+                        <Percentiles summary={row.latency} />
+                      </td>
+                      <td className="px-3 py-2 text-right">{formatPercent(row.share)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center gap-2">
+            <BarChart3 size={18} className="text-indigo-600" />
+            Statistics
+            {isLoading && <Loader2 size={14} className="animate-spin text-neutral-400" />}
+          </CardTitle>
+          <Select value={String(days)} onValueChange={(value) => setDays(Number(value))}>
+            <SelectTrigger className="w-36">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {RANGES.map((range) => (
+                <SelectItem key={range.days} value={String(range.days)}>
+                  {range.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </CardHeader>
+      <CardContent>{renderBody()}</CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,56 @@
+import React from "react";
+import { Button } from "./button";
+import { FileDown, Loader2 } from "lucide-react";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "./dropdown-menu";
+import type { TranscriptionExportFormat } from "../../types/electron";
+
+const EXPORT_OPTIONS: Array<{ format: TranscriptionExportFormat; label: string }> = [
+  { format: "markdown", label: "Markdown (grouped by day)" },
+  { format: "json", label: "JSON (with metadata)" },
+  { format: "csv", label: "CSV" },
+  { format: "text", label: "Plain text" },
+];
+
+interface HistoryExportMenuProps {
+  scopeLabel: string;
+  isExporting: boolean;
+  onExport: (format: TranscriptionExportFormat) => void;
+}
+
+export default function HistoryExportMenu({
+  scopeLabel,
+  isExporting,
+  onExport,
+}: HistoryExportMenuProps) {
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="ghost" size="icon" disabled={isExporting} aria-label="Export history">
+          {isExporting ? <Loader2 size={16} className="animate-spin" /> : <FileDown size={16} />}
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="bg-white border border-gray-200 shadow-lg">
+        <DropdownMenuLabel className="text-xs font-normal text-neutral-500">
+          {scopeLabel}
+        </DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        {EXPORT_OPTIONS.map(({ format, label }) => (
+          <DropdownMenuItem
+            key={format}
+            onClick={() => onExport(format)}
+            className="cursor-pointer hover:bg-gray-50 focus:bg-gray-50"
+          >
+            {label}
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
@@ -0,0 +1,53 @@
+import React from "react";
+import { Star, Tag } from "lucide-react";
+import type { HistoryTag } from "../../types/electron";
+
+interface HistoryFilterChipsProps {
+  tags: HistoryTag[];
+  selectedTags: string[];
+  starred: boolean;
+  onToggleTag: (tag: string) => void;
+  onToggleStarred: () => void;
+}
+
+const chipClassName = (active: boolean) =>
+  `inline-flex items-center gap-1 px-2 py-0.5 rounded-full border text-xs transition-colors ${
+    active
+      ? "border-indigo-300 bg-indigo-50 text-indigo-700"
+      : "border-gray-200 text-neutral-600 hover:bg-gray-50"
+  }`;
+
+export default function HistoryFilterChips({
+  tags,
+  selectedTags,
+  starred,
+  onToggleTag,
+  onToggleStarred,
+}: HistoryFilterChipsProps) {
+  const selected = new Set(selectedTags.map((tag) => tag.toLowerCase()));
+  // Keep selected tags visible even after their last entry is untagged, so they can be cleared
+  const missing = selectedTags
+    .filter((tag) => !tags.some(({ name }) => name.toLowerCase() === tag.toLowerCase()))
+    .map((name) => ({ name, count: 0 }));
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5">
+      <button type="button" onClick={onToggleStarred} className={chipClassName(starred)}>
+        <Star size={11} fill={starred ? "currentColor" : "none"} />
+        Starred
+      </button>
+      {[...tags, ...missing].map(({ name, count }) => (
+        <button
+          key={name}
+          type="button"
+          onClick={() => onToggleTag(name)}
+          className={chipClassName(selected.has(name.toLowerCase()))}
+        >
+          <Tag size={11} />
+          {name}
+          <span className="text-neutral-400">{count}</span>
+        </button>
+      ))}
+    </div>
+  );
+}
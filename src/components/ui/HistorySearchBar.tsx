@@ -0,0 +1,111 @@
+import React from "react";
+import { Search, X, Loader2 } from "lucide-react";
+import type { TranscriptionSearchFilters } from "../../hooks/useTranscriptionSearch";
+
+interface HistorySearchBarProps {
+  filters: TranscriptionSearchFilters;
+  isSearching: boolean;
+  resultCount: number | null;
+  onChange: (next: Partial<TranscriptionSearchFilters>) => void;
+  onReset: () => void;
+}
+
+const dateInputClassName =
+  "px-2 py-1.5 text-xs border border-gray-300 rounded-md text-neutral-700 focus:border-indigo-500 focus:ring-1 focus:ring-indigo-500 focus:outline-none";
+
+export default function HistorySearchBar({
+  filters,
+  isSearching,
+  resultCount,
+  onChange,
+  onReset,
+}: HistorySearchBarProps) {
+  const hasFilters = Boolean(
+    filters.query || filters.dateFrom || filters.dateTo || filters.tags.length || filters.starred
+  );
+  const hasQuery = Boolean(filters.query.trim());
+
+  return (
+    <div className="space-y-2">
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400" />
+        <input
+          type="text"
+          value={filters.query}
+          onChange={(e) => onChange({ query: e.target.value })}
+          onKeyDown={(e) => {
+            if (e.key === "Escape" && hasFilters) {
+              e.stopPropagation();
+              onReset();
+            }
+          }}
+          placeholder="Search your dictations..."
+          className="w-full pl-9 pr-8 py-2 text-sm border border-gray-300 rounded-md focus:border-indigo-500 focus:ring-1 focus:ring-indigo-500 focus:outline-none"
+        />
+        {isSearching ? (
+          <Loader2 className="absolute right-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400 animate-spin" />
+        ) : (
+          hasFilters && (
+            <button
+              type="button"
+              onClick={onReset}
+              className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600"
+              aria-label="Clear search"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          )
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-xs text-neutral-600">
+        <label className="flex items-center gap-1">
+          From
+          <input
+            type="date"
+            value={filters.dateFrom}
+            max={filters.dateTo || undefined}
+            onChange={(e) => onChange({ dateFrom: e.target.value })}
+            className={dateInputClassName}
+          />
+        </label>
+        <label className="flex items-center gap-1">
+          To
+          <input
+            type="date"
+            value={filters.dateTo}
+            min={filters.dateFrom || undefined}
+            onChange={(e) => onChange({ dateTo: e.target.value })}
+            className={dateInputClassName}
+          />
+        </label>
+
+        {hasQuery && (
+          <div className="flex items-center gap-1 ml-auto">
+            <span>Sort</span>
+            {(["relevance", "newest"] as const).map((sort) => (
+              <button
+                key={sort}
+                type="button"
+                onClick={() => onChange({ sort })}
+                className={`px-2 py-1 rounded-md border transition-colors ${
+                  filters.sort === sort
+                    ? "border-indigo-300 bg-indigo-50 text-indigo-700"
+                    : "border-gray-200 hover:bg-gray-50"
+                }`}
+              >
+                {sort === "relevance" ? "Relevance" : "Newest"}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {hasFilters && resultCount !== null && (
+          <span className={hasQuery ? "" : "ml-auto"}>
+            {resultCount} {resultCount === 1 ? "match" : "matches"}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import React from "react";
+import { Button } from "./button";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "./select";
+import { useAudioInputDevices } from "../../hooks/useAudioInputDevices";
+
+// Radix Select reserves the empty string, so the system default gets its own value
+const SYSTEM_DEFAULT = "__default__";
+
+interface MicrophoneSelectorProps {
+  value: string;
+  onChange: (deviceId: string) => void;
+  onRequestPermission?: () => Promise<void>;
+}
+
+export default function MicrophoneSelector({
+  value,
+  onChange,
+  onRequestPermission,
+}: MicrophoneSelectorProps) {
+  const { devices, hasLoaded, hasLabels, refresh } = useAudioInputDevices();
+  // Not known to be missing before the devices have been listed
+  const isMissing =
+    hasLoaded && Boolean(value) && !devices.some((device) => device.deviceId === value);
+
+  const requestLabels = async () => {
+    await onRequestPermission?.();
+    await refresh();
+  };
+
+  return (
+    <div className="space-y-2">
+      <Select
+        value={value || SYSTEM_DEFAULT}
+        onValueChange={(next) => onChange(next === SYSTEM_DEFAULT ? "" : next)}
+      >
+        <SelectTrigger className="w-full">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value={SYSTEM_DEFAULT}>System default</SelectItem>
+          {devices.map((device) => (
+            <SelectItem key={device.deviceId} value={device.deviceId}>
+              {device.label}
+            </SelectItem>
+          ))}
+          {isMissing && <SelectItem value={value}>Disconnected microphone</SelectItem>}
+        </SelectContent>
+      </Select>
+
+      {isMissing && (
+        <p className="text-xs text-amber-700">
+          The selected microphone is not connected. The system default is used until it is plugged
+          back in.
+        </p>
+      )}
+
+      {!hasLabels && onRequestPermission && (
+        <div className="flex items-center justify-between gap-4">
+          <p className="text-xs text-neutral-600">Allow microphone access to see device names.</p>
+          <Button variant="outline" size="sm" onClick={requestLabels}>
+            Allow Access
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Button } from "./button";
+import { Play, Square, Loader2 } from "lucide-react";
+
+interface RecordingPlayButtonProps {
+  transcriptionId: number;
+  onError?: (message: string) => void;
+}
+
+// Fetches the stored recording on first play; the object URL lives until unmount
+export default function RecordingPlayButton({
+  transcriptionId,
+  onError,
+}: RecordingPlayButtonProps) {
+  const audioRef = useRef<HTMLAudioElement | null>(null);
+  const urlRef = useRef<string | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  useEffect(() => {
+    return () => {
+      audioRef.current?.pause();
+      if (urlRef.current) {
+        URL.revokeObjectURL(urlRef.current);
+      }
+    };
+  }, []);
+
+  const togglePlayback = async () => {
+    if (isPlaying) {
+      audioRef.current?.pause();
+      if (audioRef.current) audioRef.current.currentTime = 0;
+      setIsPlaying(false);
+      return;
+    }
+
+    try {
+      if (!audioRef.current) {
+        setIsLoading(true);
+        const recording = await window.electronAPI.getTranscriptionAudio(transcriptionId);
+        if (!recording) {
+          onError?.("This recording is no longer available.");
+          return;
+        }
+        urlRef.current = URL.createObjectURL(
+          new Blob([recording.data], { type: recording.mimeType })
+        );
+        audioRef.current = new Audio(urlRef.current);
+        audioRef.current.onended = () => setIsPlaying(false);
+      }
+      await audioRef.current.play();
+      setIsPlaying(true);
+    } catch (error) {
+      onError?.("The recording could not be played.");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <Button
+      size="icon"
+      variant="ghost"
+      onClick={togglePlayback}
+      disabled={isLoading}
+      className={`h-7 w-7 ${isPlaying ? "text-indigo-600 bg-indigo-50" : ""}`}
+      title={isPlaying ? "Stop recording" : "Play recording"}
+    >
+      {isLoading ? (
+        <Loader2 size={12} className="animate-spin" />
+      ) : isPlaying ? (
+        <Square size={12} />
+      ) : (
+        <Play size={12} />
+      )}
+    </Button>
+  );
+}
@@ -0,0 +1,70 @@
+import React, { useId, useState } from "react";
+import { X } from "lucide-react";
+
+interface TagEditorProps {
+  tags: string[];
+  suggestions: string[];
+  onChange: (tags: string[]) => void;
+}
+
+// Enter or comma adds the typed tag; Backspace in an empty field removes the last one
+export default function TagEditor({ tags, suggestions, onChange }: TagEditorProps) {
+  const [draft, setDraft] = useState("");
+  const listId = useId();
+  const current = new Set(tags.map((tag) => tag.toLowerCase()));
+
+  const addDraft = () => {
+    const tag = draft.replace(/\s+/g, " ").trim();
+    setDraft("");
+    if (tag && !current.has(tag.toLowerCase())) {
+      onChange([...tags, tag]);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 rounded-md border border-gray-300 bg-white px-2 py-1 focus-within:border-indigo-500 focus-within:ring-1 focus-within:ring-indigo-500">
+      {tags.map((tag) => (
+        <span
+          key={tag}
+          className="inline-flex items-center gap-1 rounded-full bg-indigo-50 px-2 py-0.5 text-xs text-indigo-700"
+        >
+          {tag}
+          <button
+            type="button"
+            onClick={() => onChange(tags.filter((existing) => existing !== tag))}
+            className="text-indigo-400 hover:text-indigo-700"
+            aria-label={`Remove tag ${tag}`}
+          >
+            <X size={10} />
+          </button>
+        </span>
+      ))}
+      <input
+        type="text"
+        value={draft}
+        list={listId}
+        maxLength={40}
+        autoFocus
+        onChange={(e) => setDraft(e.target.value.replace(",", ""))}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" || e.key === ",") {
+            e.preventDefault();
+            addDraft();
+          } else if (e.key === "Backspace" && !draft && tags.length > 0) {
+            onChange(tags.slice(0, -1));
+          }
+        }}
+        onBlur={addDraft}
+        placeholder={tags.length === 0 ? "Add tags..." : ""}
+        className="min-w-[6rem] flex-1 border-0 bg-transparent py-0.5 text-xs focus:outline-none"
+      />
+      <datalist id={listId}>
+        {suggestions
+          .filter((tag) => !current.has(tag.toLowerCase()))
+          .map((tag) => (
+            <option key={tag} value={tag} />
+          ))}
+      </datalist>
+    </div>
+  );
+}
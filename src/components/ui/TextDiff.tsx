@@ -0,0 +1,28 @@
+import React from "react";
+import { diffWords } from "../../utils/textDiff";
+
+interface TextDiffProps {
+  before: string;
+  after: string;
+  className?: string;
+}
+
+export default function TextDiff({ before, after, className = "" }: TextDiffProps) {
+  return (
+    <p className={`whitespace-pre-wrap ${className}`}>
+      {diffWords(before, after).map((segment, index) =>
+        segment.type === "same" ? (
+          <React.Fragment key={index}>{segment.text}</React.Fragment>
+        ) : segment.type === "added" ? (
+          <ins key={index} className="bg-green-100 text-green-900 no-underline rounded-sm">
+            {segment.text}
+          </ins>
+        ) : (
+          <del key={index} className="bg-red-50 text-red-700 rounded-sm">
+            {segment.text}
+          </del>
+        )
+      )}
+    </p>
+  );
+}
@@ -12,7 +12,7 @@ export interface ToastProps {
 }
 
 export interface ToastContextType {
-  toast: (props: Omit<ToastProps, "id">) => void;
+  toast: (props: Omit<ToastProps, "id">) => string;
   dismiss: (id?: string) => void;
 }
 
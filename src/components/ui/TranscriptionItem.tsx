@@ -1,14 +1,82 @@
-import React from "react";
+import React, { useState } from "react";
 import { Button } from "./button";
-import { Copy, Trash2 } from "lucide-react";
+import RecordingPlayButton from "./RecordingPlayButton";
+import TranscriptionRevisions from "./TranscriptionRevisions";
+import TagEditor from "./TagEditor";
+import { Copy, Trash2, Info, Star, Pin, Tag, Pencil, RefreshCw } from "lucide-react";
+import { HISTORY_SEARCH } from "../../config/constants";
+import { getTranscriptionProviderLabel, getReasoningModelLabel } from "../../models/ModelRegistry";
+import { getLanguageLabel } from "../../utils/languages";
+import { formatLatency, formatClock } from "../../utils/formatDuration";
 import type { TranscriptionItem as TranscriptionItemType } from "../../types/electron";
 
 interface TranscriptionItemProps {
   item: TranscriptionItemType;
-  index: number;
-  total: number;
+  // Position in the chronological feed; omitted for entries shown out of order (pinned)
+  index?: number;
+  total?: number;
   onCopy: (text: string) => void;
   onDelete: (id: number) => void;
+  onToggleStar?: (id: number, starred: boolean) => void;
+  onTogglePin?: (id: number, pinned: boolean) => void;
+  onTagsChange?: (id: number, tags: string[]) => void;
+  onTagClick?: (tag: string) => void;
+  onEditText?: (id: number, text: string) => Promise<boolean>;
+  onRestoreRevision?: (id: number, revisionId: number) => void;
+  tagSuggestions?: string[];
+  onPlaybackError?: (message: string) => void;
+  onRetranscribe?: (item: TranscriptionItemType) => void;
+  latestRevisionId?: number;
+  highlighted?: string | null;
+}
+
+// Split FTS highlight output into plain and matched segments
+function renderHighlighted(highlighted: string) {
+  const { HIGHLIGHT_OPEN, HIGHLIGHT_CLOSE } = HISTORY_SEARCH;
+  return highlighted.split(HIGHLIGHT_OPEN).map((part, i) => {
+    if (i === 0) return <React.Fragment key={i}>{part}</React.Fragment>;
+    const [match, rest = ""] = part.split(HIGHLIGHT_CLOSE);
+    return (
+      <React.Fragment key={i}>
+        <mark className="bg-yellow-200 text-neutral-900 rounded-sm px-0.5">{match}</mark>
+        {rest}
+      </React.Fragment>
+    );
+  });
+}
+
+// Pipeline details worth showing for an entry; older rows have none of these
+function getMetadataRows(item: TranscriptionItemType): Array<[string, string]> {
+  const rows: Array<[string, string]> = [];
+  if (item.provider) {
+    const provider = getTranscriptionProviderLabel(item.provider);
+    rows.push(["Engine", item.model ? `${provider} · ${item.model}` : provider]);
+  }
+  if (item.reasoning_model) {
+    rows.push(["AI cleanup", getReasoningModelLabel(item.reasoning_model)]);
+  }
+  if (item.language) {
+    rows.push([
+      "Language",
+      item.language === "auto" ? "Auto-detect" : getLanguageLabel(item.language),
+    ]);
+  }
+  if (item.audio_duration_ms != null) {
+    rows.push(["Audio", formatClock(item.audio_duration_ms)]);
+  }
+  if (item.audio_conversion_ms != null) {
+    rows.push(["Conversion", formatLatency(item.audio_conversion_ms)]);
+  }
+  if (item.transcription_ms != null) {
+    rows.push(["Transcription", formatLatency(item.transcription_ms)]);
+  }
+  if (item.reasoning_ms != null && item.reasoning_model) {
+    rows.push(["AI cleanup time", formatLatency(item.reasoning_ms)]);
+  }
+  if (item.round_trip_ms != null) {
+    rows.push(["Total", formatLatency(item.round_trip_ms)]);
+  }
+  return rows;
 }
 
 export default function TranscriptionItem({
@@ -17,6 +85,17 @@ export default function TranscriptionItem({
   total,
   onCopy,
   onDelete,
+  onToggleStar,
+  onTogglePin,
+  onTagsChange,
+  onTagClick,
+  tagSuggestions = [],
+  onEditText,
+  onRestoreRevision,
+  onPlaybackError,
+  onRetranscribe,
+  latestRevisionId,
+  highlighted,
 }: TranscriptionItemProps) {
   const timestampSource = item.timestamp.endsWith("Z") ? item.timestamp : `${item.timestamp}Z`;
   const timestampDate = new Date(timestampSource);
@@ -28,6 +107,34 @@ export default function TranscriptionItem({
         hour: "2-digit",
         minute: "2-digit",
       });
+  const [showDetails, setShowDetails] = useState(false);
+  const [isEditingTags, setIsEditingTags] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(item.text);
+  const [isSavingText, setIsSavingText] = useState(false);
+  const metadataRows = getMetadataRows(item);
+  const hasDistinctRawText = Boolean(item.raw_text && item.raw_text.trim() !== item.text.trim());
+  const isStarred = Boolean(item.starred);
+  const isPinned = Boolean(item.pinned);
+  const tags = item.tags || [];
+  const hasDetails = metadataRows.length > 0 || Boolean(item.audio_file || item.edited_at);
+
+  const startEditing = () => {
+    setDraft(item.text);
+    setIsEditing(true);
+  };
+
+  const saveText = async () => {
+    if (!onEditText || !draft.trim()) return;
+    if (draft === item.text) {
+      setIsEditing(false);
+      return;
+    }
+    setIsSavingText(true);
+    const saved = await onEditText(item.id, draft);
+    setIsSavingText(false);
+    if (saved) setIsEditing(false);
+  };
 
   return (
     <div className="relative bg-gradient-to-b from-blue-50/30 to-white rounded-xl shadow-sm hover:shadow-md transition-shadow">
@@ -38,25 +145,208 @@ export default function TranscriptionItem({
               className="flex items-center gap-2 mb-1"
               style={{ marginTop: "2px", lineHeight: "24px" }}
             >
-              <span className="text-indigo-600 text-xs font-medium">#{total - index}</span>
-              <div className="w-px h-3 bg-neutral-300" />
+              {index !== undefined && total !== undefined ? (
+                <>
+                  <span className="text-indigo-600 text-xs font-medium">#{total - index}</span>
+                  <div className="w-px h-3 bg-neutral-300" />
+                </>
+              ) : (
+                isPinned && (
+                  <>
+                    <Pin size={11} className="text-indigo-600" />
+                    <div className="w-px h-3 bg-neutral-300" />
+                  </>
+                )
+              )}
               <span className="text-xs text-neutral-500">{formattedTimestamp}</span>
+              {item.edited_at && <span className="text-xs text-neutral-400">(edited)</span>}
+              {item.provider && (
+                <>
+                  <div className="w-px h-3 bg-neutral-300" />
+                  <span className="text-xs text-neutral-400 truncate">
+                    {getTranscriptionProviderLabel(item.provider)}
+                    {item.model ? ` · ${item.model}` : ""}
+                  </span>
+                </>
+              )}
             </div>
-            <p
-              className="text-neutral-800 text-sm"
-              style={{
-                fontFamily:
-                  'Noto Sans, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif',
-                lineHeight: "24px",
-                textAlign: "left",
-                marginTop: "2px",
-                paddingBottom: "2px",
-              }}
-            >
-              {item.text}
-            </p>
+            {isEditing ? (
+              <div className="mt-0.5 mb-1 space-y-1.5">
+                <textarea
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Escape") {
+                      e.stopPropagation();
+                      setIsEditing(false);
+                    } else if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) {
+                      e.preventDefault();
+                      saveText();
+                    }
+                  }}
+                  autoFocus
+                  rows={Math.min(10, Math.max(3, draft.split("\n").length))}
+                  disabled={isSavingText}
+                  className="w-full rounded-md border border-gray-300 px-2 py-1.5 text-sm text-neutral-800 focus:border-indigo-500 focus:ring-1 focus:ring-indigo-500 focus:outline-none"
+                />
+                <div className="flex justify-end gap-2">
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => setIsEditing(false)}
+                    disabled={isSavingText}
+                  >
+                    Cancel
+                  </Button>
+                  <Button size="sm" onClick={saveText} disabled={isSavingText || !draft.trim()}>
+                    {isSavingText ? "Saving..." : "Save"}
+                  </Button>
+                </div>
+              </div>
+            ) : (
+              <p
+                className="text-neutral-800 text-sm"
+                style={{
+                  fontFamily:
+                    'Noto Sans, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif',
+                  lineHeight: "24px",
+                  textAlign: "left",
+                  marginTop: "2px",
+                  paddingBottom: "2px",
+                }}
+              >
+                {highlighted ? renderHighlighted(highlighted) : item.text}
+              </p>
+            )}
+            {isEditingTags && onTagsChange ? (
+              <div className="mt-1 mb-1">
+                <TagEditor
+                  tags={tags}
+                  suggestions={tagSuggestions}
+                  onChange={(next) => onTagsChange(item.id, next)}
+                />
+              </div>
+            ) : (
+              tags.length > 0 && (
+                <div className="flex flex-wrap gap-1 mt-1 mb-1">
+                  {tags.map((tag) => (
+                    <button
+                      key={tag}
+                      type="button"
+                      onClick={() => onTagClick?.(tag)}
+                      className="inline-flex items-center gap-1 rounded-full bg-neutral-100 px-2 py-0.5 text-xs text-neutral-600 hover:bg-indigo-50 hover:text-indigo-700"
+                      title={`Show entries tagged "${tag}"`}
+                    >
+                      <Tag size={10} />
+                      {tag}
+                    </button>
+                  ))}
+                </div>
+              )
+            )}
+            {showDetails && (
+              <div className="mt-2 mb-1 rounded-lg border border-neutral-200 bg-neutral-50 px-3 py-2 text-xs">
+                <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1">
+                  {metadataRows.map(([label, value]) => (
+                    <React.Fragment key={label}>
+                      <dt className="text-neutral-500">{label}</dt>
+                      <dd className="text-neutral-800">{value}</dd>
+                    </React.Fragment>
+                  ))}
+                </dl>
+                {hasDistinctRawText && (
+                  <div className="mt-2 pt-2 border-t border-neutral-200">
+                    <div className="text-neutral-500 mb-0.5">Raw transcript</div>
+                    <p className="text-neutral-700 whitespace-pre-wrap">{item.raw_text}</p>
+                  </div>
+                )}
+                <TranscriptionRevisions
+                  transcriptionId={item.id}
+                  text={item.text}
+                  latestRevisionId={latestRevisionId}
+                  onRestore={
+                    onRestoreRevision
+                      ? (revisionId) => onRestoreRevision(item.id, revisionId)
+                      : undefined
+                  }
+                />
+              </div>
+            )}
           </div>
           <div className="flex gap-1 flex-shrink-0" style={{ marginTop: "2px" }}>
+            {hasDetails && (
+              <Button
+                size="icon"
+                variant="ghost"
+                onClick={() => setShowDetails((prev) => !prev)}
+                className={`h-7 w-7 ${showDetails ? "text-indigo-600 bg-indigo-50" : ""}`}
+                title={showDetails ? "Hide details" : "Show details"}
+              >
+                <Info size={12} />
+              </Button>
+            )}
+            {item.audio_file && (
+              <RecordingPlayButton
+                key={item.audio_file}
+                transcriptionId={item.id}
+                onError={onPlaybackError}
+              />
+            )}
+            {item.audio_file && onRetranscribe && (
+              <Button
+                size="icon"
+                variant="ghost"
+                onClick={() => onRetranscribe(item)}
+                className="h-7 w-7"
+                title="Re-transcribe with another model"
+              >
+                <RefreshCw size={12} />
+              </Button>
+            )}
+            {onToggleStar && (
+              <Button
+                size="icon"
+                variant="ghost"
+                onClick={() => onToggleStar(item.id, !isStarred)}
+                className={`h-7 w-7 ${isStarred ? "text-amber-500 hover:text-amber-600" : ""}`}
+                title={isStarred ? "Unstar" : "Star (kept by the retention policy)"}
+              >
+                <Star size={12} fill={isStarred ? "currentColor" : "none"} />
+              </Button>
+            )}
+            {onTogglePin && (
+              <Button
+                size="icon"
+                variant="ghost"
+                onClick={() => onTogglePin(item.id, !isPinned)}
+                className={`h-7 w-7 ${isPinned ? "text-indigo-600 hover:text-indigo-700" : ""}`}
+                title={isPinned ? "Unpin" : "Pin to the top of history"}
+              >
+                <Pin size={12} fill={isPinned ? "currentColor" : "none"} />
+              </Button>
+            )}
+            {onEditText && (
+              <Button
+                size="icon"
+                variant="ghost"
+                onClick={() => (isEditing ? setIsEditing(false) : startEditing())}
+                className={`h-7 w-7 ${isEditing ? "text-indigo-600 bg-indigo-50" : ""}`}
+                title={isEditing ? "Cancel editing" : "Edit text"}
+              >
+                <Pencil size={12} />
+              </Button>
+            )}
+            {onTagsChange && (
+              <Button
+                size="icon"
+                variant="ghost"
+                onClick={() => setIsEditingTags((prev) => !prev)}
+                className={`h-7 w-7 ${isEditingTags ? "text-indigo-600 bg-indigo-50" : ""}`}
+                title={isEditingTags ? "Done editing tags" : "Edit tags"}
+              >
+                <Tag size={12} />
+              </Button>
+            )}
             <Button
               size="icon"
               variant="ghost"
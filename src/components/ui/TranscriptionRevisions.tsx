@@ -0,0 +1,114 @@
+import React, { useEffect, useState } from "react";
+import { RotateCcw } from "lucide-react";
+import TextDiff from "./TextDiff";
+import { getTranscriptionProviderLabel, getReasoningModelLabel } from "../../models/ModelRegistry";
+import { formatLatency } from "../../utils/formatDuration";
+import type { TranscriptionRevision } from "../../types/electron";
+
+interface TranscriptionRevisionsProps {
+  transcriptionId: number;
+  text: string;
+  // Changes whenever a revision is added elsewhere, so the list refetches
+  latestRevisionId?: number;
+  onRestore?: (revisionId: number) => void;
+}
+
+const KIND_LABELS: Record<TranscriptionRevision["kind"], string> = {
+  original: "Original",
+  edit: "Edited",
+  restore: "Restored",
+  retranscription: "Re-transcribed",
+};
+
+function formatCreatedAt(createdAt: string) {
+  const date = new Date(createdAt.endsWith("Z") ? createdAt : `${createdAt.replace(" ", "T")}Z`);
+  return Number.isNaN(date.getTime())
+    ? createdAt
+    : date.toLocaleString("en-US", {
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+}
+
+function describeRevision(revision: TranscriptionRevision) {
+  const parts = [KIND_LABELS[revision.kind] || revision.kind, formatCreatedAt(revision.created_at)];
+  if (revision.kind !== "retranscription") {
+    return parts.join(" · ");
+  }
+  if (revision.provider) {
+    const provider = getTranscriptionProviderLabel(revision.provider);
+    parts.push(revision.model ? `${provider} · ${revision.model}` : provider);
+  }
+  if (revision.reasoning_model) {
+    parts.push(getReasoningModelLabel(revision.reasoning_model));
+  }
+  if (revision.round_trip_ms != null) {
+    parts.push(formatLatency(revision.round_trip_ms));
+  }
+  return parts.join(" · ");
+}
+
+export default function TranscriptionRevisions({
+  transcriptionId,
+  text,
+  latestRevisionId,
+  onRestore,
+}: TranscriptionRevisionsProps) {
+  const [revisions, setRevisions] = useState<TranscriptionRevision[]>([]);
+
+  // Edits and restores change the text, so it doubles as a refetch trigger
+  useEffect(() => {
+    let cancelled = false;
+    window.electronAPI
+      ?.getTranscriptionRevisions?.(transcriptionId)
+      .then((rows) => {
+        if (!cancelled) setRevisions(rows);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [transcriptionId, text, latestRevisionId]);
+
+  if (revisions.length === 0) return null;
+
+  return (
+    <div className="mt-2 pt-2 border-t border-neutral-200 space-y-2">
+      <div className="text-neutral-500">Versions</div>
+      {revisions.map((revision) => {
+        const isCurrent = revision.text === text;
+        return (
+          <div
+            key={revision.id}
+            className="rounded-md border border-neutral-200 bg-white px-2 py-1.5"
+          >
+            <div className="flex items-center justify-between gap-2 mb-0.5">
+              <span className="text-neutral-500">{describeRevision(revision)}</span>
+              {isCurrent ? (
+                <span className="text-indigo-600">Current</span>
+              ) : (
+                onRestore && (
+                  <button
+                    type="button"
+                    onClick={() => onRestore(revision.id)}
+                    className="inline-flex items-center gap-1 text-neutral-500 hover:text-indigo-700"
+                  >
+                    <RotateCcw size={10} />
+                    Restore
+                  </button>
+                )
+              )}
+            </div>
+            {isCurrent ? (
+              <p className="whitespace-pre-wrap text-neutral-700">{revision.text}</p>
+            ) : (
+              <TextDiff before={text} after={revision.text} className="text-neutral-700" />
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
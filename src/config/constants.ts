@@ -112,3 +112,11 @@ export const RETRY_CONFIG = {
   MAX_DELAY: 10000, // 10 seconds
   BACKOFF_MULTIPLIER: 2,
 } as const;
+
+// History Search Configuration
+export const HISTORY_SEARCH = {
+  HIGHLIGHT_OPEN: "\uE000", // Must match the markers in helpers/database.js
+  HIGHLIGHT_CLOSE: "\uE001",
+  DEBOUNCE_MS: 200,
+  RESULT_LIMIT: 100,
+} as const;
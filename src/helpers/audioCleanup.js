@@ -0,0 +1,210 @@
+// Speech has almost nothing below this; fans, desk bumps and mains hum do
+const HIGH_PASS_HZ = 80;
+const FRAME_MS = 20;
+// The quietest tenth of the recording is taken as the background noise level
+const NOISE_FLOOR_PERCENTILE = 0.1;
+// Frames this close to the noise floor are treated as background
+const GATE_MARGIN_DB = 8;
+// Background is turned down rather than muted so word onsets and tails survive
+const GATE_ATTENUATION_DB = -18;
+// The gate closes gradually over this many frames to avoid audible pumping
+const GATE_RELEASE_FRAMES = 10;
+const TARGET_SPEECH_DB = -20;
+const MAX_GAIN_DB = 24;
+// -1 dBFS, keeps normalized peaks clear of clipping
+const PEAK_CEILING = 0.89;
+// Silence trimming: frames this far above the noise floor count as speech, within
+// absolute limits so neither a dead-quiet nor a noisy room throws the detection off
+const SPEECH_MARGIN_DB = 10;
+const SPEECH_THRESHOLD_RANGE_DB = [-60, -35];
+// Silence kept before the first and after the last word
+const EDGE_PADDING_MS = 200;
+// Pauses longer than this are shortened to PAUSE_KEEP_MS; shorter ones are left alone
+const MAX_PAUSE_MS = 700;
+const PAUSE_KEEP_MS = 300;
+
+export const AUDIO_CLEANUP_DEFAULTS = {
+  highPass: true,
+  noiseGate: true,
+  normalize: true,
+};
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+const toDb = (value) => (value > 0 ? 20 * Math.log10(value) : -Infinity);
+
+// Second-order Butterworth high-pass (RBJ cookbook biquad)
+function applyHighPass(samples, sampleRate) {
+  const w0 = (2 * Math.PI * HIGH_PASS_HZ) / sampleRate;
+  const cos = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+  const a0 = 1 + alpha;
+  const b0 = (1 + cos) / 2 / a0;
+  const b1 = -(1 + cos) / a0;
+  const a1 = (-2 * cos) / a0;
+  const a2 = (1 - alpha) / a0;
+
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const x = samples[i];
+    const y = b0 * x + b1 * x1 + b0 * x2 - a1 * y1 - a2 * y2;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+    samples[i] = y;
+  }
+}
+
+const frameSizeFor = (sampleRate) => Math.max(1, Math.round((sampleRate * FRAME_MS) / 1000));
+
+function measureFrames(samples, frameSize) {
+  const levels = new Float32Array(Math.ceil(samples.length / frameSize));
+  for (let frame = 0; frame < levels.length; frame++) {
+    const end = Math.min(samples.length, (frame + 1) * frameSize);
+    let sum = 0;
+    for (let i = frame * frameSize; i < end; i++) {
+      sum += samples[i] * samples[i];
+    }
+    levels[frame] = toDb(Math.sqrt(sum / (end - frame * frameSize)));
+  }
+  return levels;
+}
+
+function noiseFloor(levels) {
+  const sorted = Array.from(levels).sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length * NOISE_FLOOR_PERCENTILE)] ?? -Infinity;
+}
+
+// Per-frame gains: open at once (one frame early, so onsets are not cut), close slowly
+function gateGains(levels, thresholdDb) {
+  const closed = dbToGain(GATE_ATTENUATION_DB);
+  const gains = new Float32Array(levels.length);
+  let gain = 1;
+  for (let frame = 0; frame < levels.length; frame++) {
+    const isOpen = levels[frame] >= thresholdDb || levels[frame + 1] >= thresholdDb;
+    gain = isOpen ? 1 : Math.max(closed, gain - (1 - closed) / GATE_RELEASE_FRAMES);
+    gains[frame] = gain;
+  }
+  return gains;
+}
+
+function applyFrameGains(samples, frameSize, gains) {
+  let previous = gains[0];
+  for (let frame = 0; frame < gains.length; frame++) {
+    const start = frame * frameSize;
+    const end = Math.min(samples.length, start + frameSize);
+    // Ramp across the frame so gain steps do not click
+    for (let i = start; i < end; i++) {
+      samples[i] *= previous + ((gains[frame] - previous) * (i - start)) / frameSize;
+    }
+    previous = gains[frame];
+  }
+}
+
+/**
+ * Clean up mono samples in place before transcription: high-pass filter, noise gate and
+ * loudness normalization, each switched by `options` (see AUDIO_CLEANUP_DEFAULTS).
+ * @returns {{ noiseFloorDb: number, gainDb: number }} for logging
+ */
+export function cleanupAudio(samples, sampleRate, options = AUDIO_CLEANUP_DEFAULTS) {
+  if (options.highPass) {
+    applyHighPass(samples, sampleRate);
+  }
+
+  const frameSize = frameSizeFor(sampleRate);
+  const levels = measureFrames(samples, frameSize);
+  const noiseFloorDb = noiseFloor(levels);
+  const thresholdDb = noiseFloorDb + GATE_MARGIN_DB;
+
+  if (options.noiseGate && Number.isFinite(noiseFloorDb)) {
+    applyFrameGains(samples, frameSize, gateGains(levels, thresholdDb));
+  }
+
+  let gainDb = 0;
+  if (options.normalize) {
+    let energy = 0;
+    let speechFrames = 0;
+    levels.forEach((db) => {
+      if (db >= thresholdDb && Number.isFinite(db)) {
+        energy += Math.pow(10, db / 10);
+        speechFrames++;
+      }
+    });
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) {
+      peak = Math.max(peak, Math.abs(samples[i]));
+    }
+
+    if (speechFrames > 0 && peak > 0) {
+      const speechDb = 10 * Math.log10(energy / speechFrames);
+      gainDb = Math.min(TARGET_SPEECH_DB - speechDb, MAX_GAIN_DB, toDb(PEAK_CEILING / peak));
+      const gain = dbToGain(gainDb);
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] *= gain;
+      }
+    }
+  }
+
+  return { noiseFloorDb, gainDb };
+}
+
+/**
+ * Cut leading and trailing silence and shorten long pauses. Recordings without any
+ * speech are returned unchanged so the engine can report that nothing was said.
+ * @returns {{ samples: Float32Array, removedMs: number }}
+ */
+export function trimSilence(samples, sampleRate) {
+  const frameSize = frameSizeFor(sampleRate);
+  const levels = measureFrames(samples, frameSize);
+  const [minThreshold, maxThreshold] = SPEECH_THRESHOLD_RANGE_DB;
+  const floorDb = noiseFloor(levels);
+  const thresholdDb = Math.min(
+    maxThreshold,
+    Math.max(minThreshold, Number.isFinite(floorDb) ? floorDb + SPEECH_MARGIN_DB : minThreshold)
+  );
+
+  const speechFrames = [];
+  levels.forEach((db, frame) => db >= thresholdDb && speechFrames.push(frame));
+  if (speechFrames.length === 0) {
+    return { samples, removedMs: 0 };
+  }
+
+  const toFrames = (ms) => Math.round(ms / FRAME_MS);
+  const padding = toFrames(EDGE_PADDING_MS);
+  const keepHalf = toFrames(PAUSE_KEEP_MS / 2);
+  // [start, end) frame ranges to keep
+  const ranges = [];
+  let start = Math.max(0, speechFrames[0] - padding);
+  for (let i = 1; i < speechFrames.length; i++) {
+    const previous = speechFrames[i - 1];
+    const current = speechFrames[i];
+    if ((current - previous - 1) * FRAME_MS > MAX_PAUSE_MS) {
+      ranges.push([start, previous + 1 + keepHalf]);
+      start = current - keepHalf;
+    }
+  }
+  ranges.push([
+    start,
+    Math.min(levels.length, speechFrames[speechFrames.length - 1] + 1 + padding),
+  ]);
+
+  const kept = ranges.reduce(
+    (total, [from, to]) => total + Math.min(samples.length, to * frameSize) - from * frameSize,
+    0
+  );
+  const trimmed = new Float32Array(kept);
+  let offset = 0;
+  for (const [from, to] of ranges) {
+    const part = samples.subarray(from * frameSize, Math.min(samples.length, to * frameSize));
+    trimmed.set(part, offset);
+    offset += part.length;
+  }
+
+  return {
+    samples: trimmed,
+    removedMs: Math.round(((samples.length - kept) / sampleRate) * 1000),
+  };
+}
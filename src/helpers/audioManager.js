@@ -1,9 +1,23 @@
 import ReasoningService from "../services/ReasoningService";
 import { API_ENDPOINTS, buildApiUrl, normalizeBaseUrl } from "../config/constants";
 import logger from "../utils/logger";
+import InputLevelMonitor from "./inputLevelMonitor";
+import VoiceActivityDetector, { VAD_DEFAULTS } from "./voiceActivityDetector";
+import ChunkedTranscriber, { stitchTranscripts } from "./chunkedTranscriber";
+import { AUDIO_CLEANUP_DEFAULTS, cleanupAudio, trimSilence } from "./audioCleanup";
+import WarmMicrophone from "./warmMicrophone";
+import { encodeOggOpus } from "./oggOpusEncoder";
 
 const SHORT_CLIP_DURATION_SECONDS = 2.5;
 const REASONING_CACHE_TTL = 30000; // 30 seconds
+// MediaRecorder hands over data this often, so a crash loses at most this much audio
+const SPOOL_TIMESLICE_MS = 1000;
+// Key for the system default microphone in per-device settings
+const DEFAULT_INPUT_KEY = "default";
+// Transcribed files were not recorded with any microphone, so no cleanup profile applies
+const FILE_INPUT_KEY = "file";
+// A segment that fails is sent again this many times before the whole recording is
+const SEGMENT_RETRIES = 1;
 
 const PLACEHOLDER_KEYS = {
   openai: "your_openai_api_key_here",
@@ -16,6 +30,12 @@ const isValidApiKey = (key, provider = "openai") => {
   return key !== placeholder;
 };
 
+// Too short to gain anything from re-encoding or trimming
+const isShortClip = (durationSeconds) =>
+  typeof durationSeconds === "number" &&
+  durationSeconds > 0 &&
+  durationSeconds < SHORT_CLIP_DURATION_SECONDS;
+
 class AudioManager {
   constructor() {
     this.mediaRecorder = null;
@@ -25,20 +45,237 @@ class AudioManager {
     this.onStateChange = null;
     this.onError = null;
     this.onTranscriptionComplete = null;
+    this.onAutoStopProgress = null;
+    this.onInputLevel = null;
+    this.inputLevelMonitor = null;
+    this.voiceActivity = null;
+    this.chunkedTranscriber = null;
+    this.spool = null;
+    this.warmMicrophone = null;
+    this.warmInputKey = DEFAULT_INPUT_KEY;
+    this.onWarmMicrophoneChange = null;
     this.cachedApiKey = null;
     this.cachedApiKeyProvider = null;
     this.cachedTranscriptionEndpoint = null;
     this.cachedEndpointProvider = null;
     this.cachedEndpointBaseUrl = null;
     this.recordingStartTime = null;
+    this.recordingInputKey = DEFAULT_INPUT_KEY;
     this.reasoningAvailabilityCache = { value: false, expiresAt: 0 };
     this.cachedReasoningPreference = null;
+    this.settingOverrides = null;
+  }
+
+  // Settings come from localStorage unless a re-transcription overrides them for one run
+  getSetting(key) {
+    if (this.settingOverrides && key in this.settingOverrides) {
+      return this.settingOverrides[key];
+    }
+    return localStorage.getItem(key);
   }
 
-  setCallbacks({ onStateChange, onError, onTranscriptionComplete }) {
+  setCallbacks({
+    onStateChange,
+    onError,
+    onTranscriptionComplete,
+    onAutoStopProgress,
+    onInputLevel,
+    onWarmMicrophoneChange,
+  }) {
     this.onStateChange = onStateChange;
     this.onError = onError;
     this.onTranscriptionComplete = onTranscriptionComplete;
+    this.onAutoStopProgress = onAutoStopProgress;
+    this.onInputLevel = onInputLevel;
+    this.onWarmMicrophoneChange = onWarmMicrophoneChange;
+  }
+
+  readNumberSetting(key, fallback) {
+    const raw = this.getSetting(key);
+    const value = Number(raw);
+    return raw !== null && raw !== "" && Number.isFinite(value) ? value : fallback;
+  }
+
+  // Drives the level meter and, when enabled, ends the recording once the speaker
+  // stops talking
+  startInputMonitoring(stream) {
+    if (this.getSetting("autoStopOnSilence") === "true") {
+      this.voiceActivity = new VoiceActivityDetector({
+        silenceMs: this.readNumberSetting("autoStopSilenceMs", VAD_DEFAULTS.silenceMs),
+        sensitivity: this.readNumberSetting("autoStopSensitivity", VAD_DEFAULTS.sensitivity),
+        minSpeechMs: this.readNumberSetting("autoStopMinSpeechMs", VAD_DEFAULTS.minSpeechMs),
+        onSilenceProgress: (progress) => this.onAutoStopProgress?.(progress),
+        onSilence: () => {
+          logger.debug("Silence detected, stopping recording", {}, "audio");
+          this.stopRecording();
+        },
+      });
+    }
+
+    try {
+      this.inputLevelMonitor = new InputLevelMonitor(stream, {
+        onLevel: (reading) => {
+          this.voiceActivity?.update(reading);
+          this.chunkedTranscriber?.update(reading);
+          this.onInputLevel?.({ level: reading.level, clipping: reading.clipping });
+        },
+      });
+      this.inputLevelMonitor.start();
+    } catch (error) {
+      // Recording still works without it; the hotkey stops it as usual
+      logger.warn("Input level monitoring unavailable", { error: error.message }, "audio");
+      this.inputLevelMonitor = null;
+    }
+  }
+
+  stopInputMonitoring() {
+    this.inputLevelMonitor?.stop();
+    this.inputLevelMonitor = null;
+    this.voiceActivity?.stop();
+    this.voiceActivity = null;
+  }
+
+  // Long dictations are transcribed in segments while they are still being recorded,
+  // so stopping only has to wait for the last one. Off by default: the overlap between
+  // segments is paid for twice with cloud engines.
+  startChunkedTranscription(stream, preRoll = null) {
+    if (this.getSetting("progressiveTranscription") !== "true") {
+      return;
+    }
+    const inputKey = this.recordingInputKey;
+    try {
+      this.chunkedTranscriber = new ChunkedTranscriber(stream, {
+        mimeType: this.recordingMimeType,
+        // Only the first segment lines up with the pre-roll
+        transcribe: (audioBlob, index) =>
+          this.transcribeChunk(audioBlob, inputKey, index === 0 ? preRoll : null),
+      });
+      this.chunkedTranscriber.start();
+    } catch (error) {
+      // The full recording is transcribed after stopping instead
+      logger.warn("Progressive transcription unavailable", { error: error.message }, "audio");
+      this.chunkedTranscriber = null;
+    }
+  }
+
+  // Mirrors the recording to a spool file in the main process as chunks arrive, so a
+  // crash, a reload or a failed transcription does not lose it
+  beginSpool(mimeType) {
+    if (!window.electronAPI?.beginRecordingSpool) {
+      return null;
+    }
+    const spool = { id: `${Date.now()}-${Math.random().toString(36).slice(2, 10)}` };
+    spool.writes = window.electronAPI
+      .beginRecordingSpool(spool.id, { mimeType, startedAt: Date.now() })
+      .catch((error) => {
+        logger.warn("Recording spool unavailable", { error: error.message }, "audio");
+        spool.failed = true;
+      });
+    return spool;
+  }
+
+  appendToSpool(spool, data) {
+    if (!spool) return;
+    spool.writes = spool.writes
+      .then(async () => {
+        if (!spool.failed) {
+          await window.electronAPI.appendRecordingSpool(spool.id, await data.arrayBuffer());
+        }
+      })
+      .catch((error) => {
+        logger.debug("Failed to spool recording chunk", { error: error.message }, "audio");
+      });
+  }
+
+  // With `keep` the spooled copy stays behind to be recovered from the control panel
+  async endSpool(spool, { keep = false } = {}) {
+    if (!spool) return;
+    await spool.writes;
+    await window.electronAPI.endRecordingSpool(spool.id, { keep }).catch(() => {});
+  }
+
+  // Opens the microphone chosen in settings, or the system default when none is chosen
+  // or the chosen one is not connected
+  async openInputStream() {
+    const deviceId = this.getSetting("microphoneDeviceId");
+    this.recordingInputKey = DEFAULT_INPUT_KEY;
+    if (deviceId) {
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({
+          audio: { deviceId: { exact: deviceId } },
+        });
+        this.recordingInputKey = deviceId;
+        return stream;
+      } catch (error) {
+        if (error.name !== "OverconstrainedError" && error.name !== "NotFoundError") {
+          throw error;
+        }
+        logger.warn(
+          "Selected microphone is unavailable, using the default input",
+          { deviceId },
+          "audio"
+        );
+      }
+    }
+    return navigator.mediaDevices.getUserMedia({ audio: true });
+  }
+
+  /**
+   * Open or close the warm microphone to match the settings. Safe to call at any time:
+   * a live stream for the selected microphone is left alone, and nothing changes while
+   * a dictation is in progress.
+   */
+  async refreshWarmMicrophone() {
+    if (this.isRecording || this.isProcessing) {
+      return;
+    }
+    const enabled = this.getSetting("warmMicrophone") === "true";
+    const inputKey = this.getSetting("microphoneDeviceId") || DEFAULT_INPUT_KEY;
+    const current = this.warmMicrophone;
+    if (enabled && current?.isLive() && current.inputKey === inputKey) {
+      return;
+    }
+
+    if (current) {
+      current.stop();
+      this.warmMicrophone = null;
+    }
+    if (!enabled) {
+      this.onWarmMicrophoneChange?.(false);
+      return;
+    }
+
+    try {
+      const stream = await this.openInputStream();
+      const openedInputKey = this.recordingInputKey;
+      // Settings may have changed or a dictation started while the device was opening
+      if (this.warmMicrophone || this.isRecording || this.getSetting("warmMicrophone") !== "true") {
+        stream.getTracks().forEach((track) => track.stop());
+        return;
+      }
+      // Compared against the setting, so a fallback to the default input is retried later
+      const warmMicrophone = new WarmMicrophone(stream, {
+        inputKey,
+        onEnded: () => {
+          logger.warn("Warm microphone disconnected", {}, "audio");
+          this.warmMicrophone = null;
+          this.onWarmMicrophoneChange?.(false);
+        },
+      });
+      this.warmMicrophone = warmMicrophone;
+      await warmMicrophone.start();
+      // Cleaned up while the audio worklet was loading
+      if (this.warmMicrophone !== warmMicrophone) {
+        return;
+      }
+      this.warmInputKey = openedInputKey;
+      this.onWarmMicrophoneChange?.(true);
+    } catch (error) {
+      logger.warn("Warm microphone unavailable", { error: error.message }, "audio");
+      this.warmMicrophone?.stop();
+      this.warmMicrophone = null;
+      this.onWarmMicrophoneChange?.(false);
+    }
   }
 
   async startRecording() {
@@ -47,18 +284,28 @@ class AudioManager {
         return false;
       }
 
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      // The warm microphone is already open and has the moments before the key press
+      const warm = this.warmMicrophone?.isLive() ? this.warmMicrophone : null;
+      const stream = warm ? warm.stream : await this.openInputStream();
+      const preRoll = warm ? warm.takePreRoll() : null;
+      if (warm) {
+        this.recordingInputKey = this.warmInputKey;
+      }
 
       this.mediaRecorder = new MediaRecorder(stream);
       this.audioChunks = [];
       this.recordingStartTime = Date.now();
       this.recordingMimeType = this.mediaRecorder.mimeType || "audio/webm";
+      const spool = this.beginSpool(this.recordingMimeType);
+      this.spool = spool;
 
       this.mediaRecorder.ondataavailable = (event) => {
         this.audioChunks.push(event.data);
+        this.appendToSpool(spool, event.data);
       };
 
       this.mediaRecorder.onstop = async () => {
+        this.stopInputMonitoring();
         this.isRecording = false;
         this.isProcessing = true;
         this.onStateChange?.({ isRecording: false, isProcessing: true });
@@ -69,15 +316,37 @@ class AudioManager {
           ? (Date.now() - this.recordingStartTime) / 1000
           : null;
         this.recordingStartTime = null;
-        await this.processAudio(audioBlob, { durationSeconds });
+        const chunkedTranscriber = this.chunkedTranscriber;
+        this.chunkedTranscriber = null;
+        this.spool = null;
+        await this.processAudio(audioBlob, {
+          durationSeconds,
+          chunkedTranscriber,
+          spool,
+          preRoll,
+          inputKey: this.recordingInputKey,
+        });
 
         // Clean up stream
-        stream.getTracks().forEach((track) => track.stop());
+        if (!warm) {
+          stream.getTracks().forEach((track) => track.stop());
+        }
+        this.refreshWarmMicrophone();
       };
 
-      this.mediaRecorder.start();
+      // Unplugging the microphone mid-dictation ends the track; keep what was captured
+      stream.getAudioTracks().forEach((track) => {
+        track.onended = () => {
+          logger.warn("Microphone disconnected while recording", { label: track.label }, "audio");
+          this.stopRecording();
+        };
+      });
+
+      this.mediaRecorder.start(SPOOL_TIMESLICE_MS);
       this.isRecording = true;
       this.onStateChange?.({ isRecording: true, isProcessing: false });
+      this.startInputMonitoring(stream);
+      this.startChunkedTranscription(stream, preRoll);
 
       return true;
     } catch (error) {
@@ -118,16 +387,22 @@ class AudioManager {
   cancelRecording() {
     if (this.mediaRecorder && this.mediaRecorder.state === "recording") {
       this.mediaRecorder.onstop = () => {
+        this.stopInputMonitoring();
+        this.chunkedTranscriber?.cancel();
+        this.chunkedTranscriber = null;
+        this.endSpool(this.spool);
+        this.spool = null;
         this.isRecording = false;
         this.isProcessing = false;
         this.audioChunks = [];
         this.recordingStartTime = null;
         this.onStateChange?.({ isRecording: false, isProcessing: false });
+        this.refreshWarmMicrophone();
       };
 
       this.mediaRecorder.stop();
 
-      if (this.mediaRecorder.stream) {
+      if (this.mediaRecorder.stream && this.mediaRecorder.stream !== this.warmMicrophone?.stream) {
         this.mediaRecorder.stream.getTracks().forEach((track) => track.stop());
       }
 
@@ -136,42 +411,222 @@ class AudioManager {
     return false;
   }
 
-  async processAudio(audioBlob, metadata = {}) {
+  // Transcribe (and optionally clean up) a recording with the current settings
+  async runPipeline(audioBlob, metadata = {}) {
     const pipelineStart = performance.now();
+    const useLocalWhisper = this.getSetting("useLocalWhisper") === "true";
+    const whisperModel = this.getSetting("whisperModel") || "base";
+
+    let result = null;
+    if (metadata.fileSegments) {
+      result = await this.transcribeFileSegments(metadata.fileSegments, metadata.onProgress);
+    } else if (metadata.chunkedTranscriber) {
+      result = await this.finishChunkedTranscription(metadata.chunkedTranscriber);
+    }
+    if (!result && useLocalWhisper) {
+      result = await this.processWithLocalWhisper(audioBlob, whisperModel, metadata);
+    } else if (!result) {
+      result = await this.processWithOpenAIAPI(audioBlob, metadata);
+    }
 
+    const roundTripDurationMs = Math.round(performance.now() - pipelineStart);
+
+    const timingData = {
+      mode: useLocalWhisper ? "local" : "cloud",
+      model: useLocalWhisper ? whisperModel : this.getTranscriptionModel(),
+      audioDurationMs: metadata.durationSeconds ? Math.round(metadata.durationSeconds * 1000) : null,
+      reasoningProcessingDurationMs: result?.timings?.reasoningProcessingDurationMs ?? null,
+      roundTripDurationMs,
+      audioSizeBytes: audioBlob.size,
+      audioFormat: audioBlob.type,
+      outputTextLength: result?.text?.length,
+    };
+
+    if (useLocalWhisper) {
+      timingData.audioConversionDurationMs = result?.timings?.audioConversionDurationMs ?? null;
+    }
+    timingData.transcriptionProcessingDurationMs = result?.timings?.transcriptionProcessingDurationMs ?? null;
+    timingData.silenceRemovedMs = result?.timings?.silenceRemovedMs ?? null;
+    if (result?.chunkCount) {
+      timingData.chunkCount = result.chunkCount;
+    }
+
+    logger.info("Pipeline timing", timingData, "performance");
+
+    return { result, timingData };
+  }
+
+  /**
+   * Wait for the segments transcribed while recording and combine them. Returns null when
+   * the full recording should be transcribed instead: it was too short to be split, a
+   * segment failed, or no segment had any text.
+   */
+  async finishChunkedTranscription(chunkedTranscriber) {
+    const waitStart = performance.now();
+    let segments;
     try {
-      const useLocalWhisper = localStorage.getItem("useLocalWhisper") === "true";
-      const whisperModel = localStorage.getItem("whisperModel") || "base";
+      segments = await chunkedTranscriber.finish();
+    } catch (error) {
+      logger.warn(
+        "Segment transcription failed, transcribing the full recording",
+        { error: error.message },
+        "transcription"
+      );
+      return null;
+    }
 
-      let result;
-      if (useLocalWhisper) {
-        result = await this.processWithLocalWhisper(audioBlob, whisperModel, metadata);
-      } else {
-        result = await this.processWithOpenAIAPI(audioBlob, metadata);
-      }
+    // Only the wait after stopping; earlier segments were transcribed while recording
+    return segments ? this.combineSegments(segments, waitStart) : null;
+  }
 
-      this.onTranscriptionComplete?.(result);
+  // Segments of a converted file are transcribed one at a time, in order
+  async transcribeFileSegments(segmentBlobs, onProgress) {
+    const start = performance.now();
+    const segments = [];
+    for (const audioBlob of segmentBlobs) {
+      segments.push(await this.transcribeChunk(audioBlob, FILE_INPUT_KEY));
+      onProgress?.(segments.length);
+    }
 
-      const roundTripDurationMs = Math.round(performance.now() - pipelineStart);
+    const result = await this.combineSegments(segments, start);
+    if (!result) {
+      throw new Error("No audio detected");
+    }
+    return result;
+  }
 
-      const timingData = {
-        mode: useLocalWhisper ? "local" : "cloud",
-        model: useLocalWhisper ? whisperModel : this.getTranscriptionModel(),
-        audioDurationMs: metadata.durationSeconds ? Math.round(metadata.durationSeconds * 1000) : null,
-        reasoningProcessingDurationMs: result?.timings?.reasoningProcessingDurationMs ?? null,
-        roundTripDurationMs,
-        audioSizeBytes: audioBlob.size,
-        audioFormat: audioBlob.type,
-        outputTextLength: result?.text?.length,
-      };
+  /**
+   * Stitch transcribed segments and run reasoning once on the whole text. Resolves to
+   * null when none of them had any text. Transcription time is counted from `startedAt`.
+   */
+  async combineSegments(segments, startedAt) {
+    const rawText = stitchTranscripts(segments.map((segment) => segment.text));
+    if (!rawText) {
+      return null;
+    }
+
+    const trimmedSegments = segments.filter(
+      (segment) => typeof segment.timings?.silenceRemovedMs === "number"
+    );
+    const timings = {
+      transcriptionProcessingDurationMs: Math.round(performance.now() - startedAt),
+      silenceRemovedMs: trimmedSegments.length
+        ? trimmedSegments.reduce((total, segment) => total + segment.timings.silenceRemovedMs, 0)
+        : null,
+    };
+    const engine = segments.filter((segment) => segment.text).pop();
+
+    const reasoningStart = performance.now();
+    const { text, reasoningModel } = await this.processTranscriptionWithDetails(
+      rawText,
+      engine.source
+    );
+    timings.reasoningProcessingDurationMs = Math.round(performance.now() - reasoningStart);
+
+    return {
+      success: true,
+      text: text || rawText,
+      rawText,
+      source: engine.source,
+      provider: engine.provider,
+      model: engine.model,
+      reasoningModel,
+      timings,
+      chunkCount: segments.length,
+    };
+  }
 
-      if (useLocalWhisper) {
-        timingData.audioConversionDurationMs = result?.timings?.audioConversionDurationMs ?? null;
+  // Transcribes one segment of a recording; reasoning waits for the stitched text
+  async transcribeChunk(audioBlob, inputKey, preRoll = null, attempt = 0) {
+    const metadata = { isChunk: true, inputKey, preRoll };
+    try {
+      return this.getSetting("useLocalWhisper") === "true"
+        ? await this.processWithLocalWhisper(
+            audioBlob,
+            this.getSetting("whisperModel") || "base",
+            metadata
+          )
+        : await this.processWithOpenAIAPI(audioBlob, metadata);
+    } catch (error) {
+      // A segment that is all pause; the rest of the recording still has speech
+      if (error.message === "No audio detected") {
+        return { text: "" };
       }
-      timingData.transcriptionProcessingDurationMs = result?.timings?.transcriptionProcessingDurationMs ?? null;
+      // Only this segment is sent again, not everything recorded so far
+      if (attempt < SEGMENT_RETRIES) {
+        logger.warn(
+          "Segment transcription failed, retrying",
+          { error: error.message, attempt: attempt + 1 },
+          "transcription"
+        );
+        return this.transcribeChunk(audioBlob, inputKey, preRoll, attempt + 1);
+      }
+      throw error;
+    }
+  }
+
+  // Transcribe a recording that did not come from the microphone, such as a recovered
+  // dictation, with the current settings. Nothing is pasted or saved.
+  async transcribeRecording(audioBlob, metadata = {}) {
+    const { result, timingData } = await this.runPipeline(audioBlob, metadata);
+    return { ...result, metadata: this.buildHistoryMetadata(result, timingData) };
+  }
+
+  /**
+   * Transcribe an audio or video file converted into segments in the main process (see
+   * MediaFileConverter). `onProgress` receives the number of segments done. Nothing is
+   * pasted or saved.
+   */
+  async transcribeFile(segmentBlobs, { durationSeconds = null, onProgress } = {}) {
+    if (segmentBlobs.length === 1) {
+      const result = await this.transcribeRecording(segmentBlobs[0], {
+        durationSeconds,
+        inputKey: FILE_INPUT_KEY,
+      });
+      onProgress?.(1);
+      return result;
+    }
+    // Only measured for the timing log; the segments are what gets transcribed
+    const audioBlob = new Blob(segmentBlobs, { type: segmentBlobs[0].type });
+    return this.transcribeRecording(audioBlob, {
+      durationSeconds,
+      inputKey: FILE_INPUT_KEY,
+      fileSegments: segmentBlobs,
+      onProgress,
+    });
+  }
+
+  /**
+   * Run a stored recording through the pipeline again with some settings replaced
+   * (engine, model, reasoning). Nothing is pasted or saved; fallbacks are disabled so
+   * the result really comes from the requested engine.
+   */
+  async retranscribe(audioBlob, overrides = {}, metadata = {}) {
+    this.settingOverrides = {
+      allowOpenAIFallback: "false",
+      allowLocalFallback: "false",
+      ...overrides,
+    };
+    try {
+      const { result, timingData } = await this.runPipeline(audioBlob, metadata);
+      return { ...result, metadata: this.buildHistoryMetadata(result, timingData) };
+    } finally {
+      this.settingOverrides = null;
+    }
+  }
 
-      logger.info("Pipeline timing", timingData, "performance");
+  async processAudio(audioBlob, metadata = {}) {
+    const pipelineStart = performance.now();
 
+    try {
+      const { result, timingData } = await this.runPipeline(audioBlob, metadata);
+
+      this.onTranscriptionComplete?.({
+        ...result,
+        metadata: this.buildHistoryMetadata(result, timingData),
+        audioBlob,
+      });
+      this.endSpool(metadata.spool);
     } catch (error) {
       const errorAtMs = Math.round(performance.now() - pipelineStart);
 
@@ -180,7 +635,11 @@ class AudioManager {
         error: error.message,
       }, "performance");
 
+      // A silent recording has nothing worth recovering
+      this.endSpool(metadata.spool, { keep: error.message !== "No audio detected" });
+
       if (error.message !== "No audio detected") {
+        this.recordFailure(error, errorAtMs, metadata);
         this.onError?.({
           title: "Transcription Error",
           description: `Transcription failed: ${error.message}`,
@@ -192,16 +651,73 @@ class AudioManager {
     }
   }
 
+  buildHistoryMetadata(result, timingData) {
+    return {
+      rawText: result?.rawText ?? null,
+      source: result?.source ?? null,
+      provider: result?.provider ?? timingData.mode,
+      model: result?.model ?? timingData.model,
+      reasoningModel: result?.reasoningModel ?? null,
+      language: this.getSetting("preferredLanguage") || "auto",
+      audioDurationMs: timingData.audioDurationMs,
+      audioConversionDurationMs: timingData.audioConversionDurationMs ?? null,
+      transcriptionProcessingDurationMs: timingData.transcriptionProcessingDurationMs,
+      reasoningProcessingDurationMs: timingData.reasoningProcessingDurationMs,
+      roundTripDurationMs: timingData.roundTripDurationMs,
+    };
+  }
+
+  // Failed dictations never reach history; keep enough to compute error rates per engine
+  recordFailure(error, elapsedMs, metadata = {}) {
+    const useLocalWhisper = this.getSetting("useLocalWhisper") === "true";
+    const useReasoning = this.getSetting("useReasoningModel") === "true";
+    window.electronAPI
+      ?.recordPipelineFailure?.({
+        provider: useLocalWhisper
+          ? "local"
+          : this.getSetting("cloudTranscriptionProvider") || "openai",
+        model: useLocalWhisper
+          ? this.getSetting("whisperModel") || "base"
+          : this.getTranscriptionModel(),
+        reasoningModel: useReasoning ? this.getSetting("reasoningModel") || null : null,
+        error: error.message,
+        audioDurationMs: metadata.durationSeconds
+          ? Math.round(metadata.durationSeconds * 1000)
+          : null,
+        elapsedMs,
+      })
+      .catch(() => {});
+  }
+
+  /**
+   * Cleanup settings for the microphone a recording came from, or null when cleanup is
+   * off for it. Recordings without a known input (re-transcriptions) use the microphone
+   * currently selected.
+   */
+  getAudioCleanup(metadata = {}) {
+    const inputKey =
+      metadata.inputKey ?? (this.getSetting("microphoneDeviceId") || DEFAULT_INPUT_KEY);
+    try {
+      const profile = JSON.parse(this.getSetting("audioCleanupProfiles") || "{}")?.[inputKey];
+      return profile?.enabled ? { ...AUDIO_CLEANUP_DEFAULTS, ...profile } : null;
+    } catch {
+      return null;
+    }
+  }
+
   async processWithLocalWhisper(audioBlob, model = "base", metadata = {}) {
     const timings = {};
 
     try {
       const conversionStart = performance.now();
-      const wavBlob = await this.optimizeAudio(audioBlob);
+      const { audio: wavBlob, silenceRemovedMs } = await this.prepareAudio(audioBlob, metadata, {
+        convert: true,
+      });
       timings.audioConversionDurationMs = Math.round(performance.now() - conversionStart);
+      timings.silenceRemovedMs = silenceRemovedMs;
 
       const arrayBuffer = await wavBlob.arrayBuffer();
-      const language = localStorage.getItem("preferredLanguage");
+      const language = this.getSetting("preferredLanguage");
       const options = { model };
       if (language && language !== "auto") {
         options.language = language;
@@ -225,15 +741,29 @@ class AudioManager {
 
       if (result.success && result.text) {
         const reasoningStart = performance.now();
-        const text = await this.processTranscription(result.text, "local");
+        const { text, reasoningModel } = metadata.isChunk
+          ? { text: result.text.trim(), reasoningModel: null }
+          : await this.processTranscriptionWithDetails(result.text, "local");
         timings.reasoningProcessingDurationMs = Math.round(performance.now() - reasoningStart);
 
         if (text !== null && text !== undefined) {
-          return { success: true, text: text || result.text, source: "local", timings };
+          return {
+            success: true,
+            text: text || result.text,
+            rawText: result.text,
+            source: "local",
+            provider: "local",
+            model,
+            reasoningModel,
+            timings,
+          };
         } else {
           throw new Error("No text transcribed");
         }
       } else if (result.success === false && result.message === "No audio detected") {
+        if (metadata.isChunk) {
+          throw new Error("No audio detected");
+        }
         this.onError?.({
           title: "No Audio Detected",
           description:
@@ -248,8 +778,8 @@ class AudioManager {
         throw error;
       }
 
-      const allowOpenAIFallback = localStorage.getItem("allowOpenAIFallback") === "true";
-      const isLocalMode = localStorage.getItem("useLocalWhisper") === "true";
+      const allowOpenAIFallback = this.getSetting("allowOpenAIFallback") === "true";
+      const isLocalMode = this.getSetting("useLocalWhisper") === "true";
 
       if (allowOpenAIFallback && isLocalMode) {
         try {
@@ -270,7 +800,7 @@ class AudioManager {
     // Get the current transcription provider
     const provider =
       typeof localStorage !== "undefined"
-        ? localStorage.getItem("cloudTranscriptionProvider") || "openai"
+        ? this.getSetting("cloudTranscriptionProvider") || "openai"
         : "openai";
 
     // Check cache (invalidate if provider changed)
@@ -318,7 +848,33 @@ class AudioManager {
     return apiKey;
   }
 
-  async optimizeAudio(audioBlob) {
+  /**
+   * Audio preparation shared by both engines. Converts to 16 kHz mono WAV when `convert`
+   * is set; otherwise the audio is only re-encoded, as Ogg Opus so the upload stays
+   * small, when there is pre-roll to prepend or cleanup or silence trimming is enabled.
+   * Short clips are not trimmed. `silenceRemovedMs` is null when trimming did not run.
+   */
+  async prepareAudio(audioBlob, metadata = {}, { convert = false } = {}) {
+    const cleanup = this.getAudioCleanup(metadata);
+    const shouldTrim =
+      this.getSetting("trimSilence") === "true" && !isShortClip(metadata.durationSeconds);
+    const preRoll = metadata.preRoll ?? null;
+    if (!convert && !cleanup && !shouldTrim && !preRoll) {
+      return { audio: audioBlob, silenceRemovedMs: null };
+    }
+    return this.optimizeAudio(audioBlob, {
+      cleanup,
+      trimSilence: shouldTrim,
+      preRoll,
+      format: convert ? "wav" : "ogg",
+    });
+  }
+
+  // Resolves to the original blob, untouched, when it cannot be decoded or encoded
+  async optimizeAudio(
+    audioBlob,
+    { cleanup = null, trimSilence: shouldTrim = false, preRoll = null, format = "wav" } = {}
+  ) {
     return new Promise((resolve) => {
       const audioContext = new (window.AudioContext || window.webkitAudioContext)();
       const reader = new FileReader();
@@ -331,24 +887,68 @@ class AudioManager {
           // Convert to 16kHz mono for smaller size and faster upload
           const sampleRate = 16000;
           const channels = 1;
-          const length = Math.floor(audioBuffer.duration * sampleRate);
+          const preRollBuffer = preRoll?.samples.length
+            ? new AudioBuffer({
+                length: preRoll.samples.length,
+                sampleRate: preRoll.sampleRate,
+                numberOfChannels: 1,
+              })
+            : null;
+          preRollBuffer?.copyToChannel(preRoll.samples, 0);
+          const offset = preRollBuffer ? preRollBuffer.duration : 0;
+
+          const length = Math.floor((audioBuffer.duration + offset) * sampleRate);
           const offlineContext = new OfflineAudioContext(channels, length, sampleRate);
 
+          if (preRollBuffer) {
+            const preRollSource = offlineContext.createBufferSource();
+            preRollSource.buffer = preRollBuffer;
+            preRollSource.connect(offlineContext.destination);
+            preRollSource.start();
+          }
+
           const source = offlineContext.createBufferSource();
           source.buffer = audioBuffer;
           source.connect(offlineContext.destination);
-          source.start();
+          source.start(offset);
 
-          const renderedBuffer = await offlineContext.startRendering();
-          const wavBlob = this.audioBufferToWav(renderedBuffer);
-          resolve(wavBlob);
+          let renderedBuffer = await offlineContext.startRendering();
+          if (cleanup) {
+            const stats = cleanupAudio(renderedBuffer.getChannelData(0), sampleRate, cleanup);
+            logger.debug("Audio cleanup applied", { ...cleanup, ...stats }, "audio");
+          }
+
+          let silenceRemovedMs = null;
+          if (shouldTrim) {
+            const { samples, removedMs } = trimSilence(
+              renderedBuffer.getChannelData(0),
+              sampleRate
+            );
+            silenceRemovedMs = removedMs;
+            if (removedMs > 0) {
+              renderedBuffer = new AudioBuffer({
+                length: samples.length,
+                sampleRate,
+                numberOfChannels: channels,
+              });
+              renderedBuffer.copyToChannel(samples, 0);
+            }
+          }
+
+          const audio =
+            format === "ogg"
+              ? await encodeOggOpus(renderedBuffer)
+              : this.audioBufferToWav(renderedBuffer);
+          resolve(
+            audio ? { audio, silenceRemovedMs } : { audio: audioBlob, silenceRemovedMs: null }
+          );
         } catch (error) {
           // If optimization fails, use original
-          resolve(audioBlob);
+          resolve({ audio: audioBlob, silenceRemovedMs: null });
         }
       };
 
-      reader.onerror = () => resolve(audioBlob);
+      reader.onerror = () => resolve({ audio: audioBlob, silenceRemovedMs: null });
       reader.readAsArrayBuffer(audioBlob);
     });
   }
@@ -432,7 +1032,7 @@ class AudioManager {
       return false;
     }
 
-    const storedValue = localStorage.getItem("useReasoningModel");
+    const storedValue = this.getSetting("useReasoningModel");
     const now = Date.now();
     const cacheValid =
       this.reasoningAvailabilityCache &&
@@ -493,6 +1093,15 @@ class AudioManager {
   }
 
   async processTranscription(text, source) {
+    const { text: processedText } = await this.processTranscriptionWithDetails(text, source);
+    return processedText;
+  }
+
+  /**
+   * Same as processTranscription, but also reports which reasoning model (if any)
+   * actually rewrote the text so it can be stored with the history entry.
+   */
+  async processTranscriptionWithDetails(text, source) {
     const normalizedText = typeof text === "string" ? text.trim() : "";
 
     logger.logReasoning("TRANSCRIPTION_RECEIVED", {
@@ -504,21 +1113,21 @@ class AudioManager {
 
     const reasoningModel =
       typeof window !== "undefined" && window.localStorage
-        ? localStorage.getItem("reasoningModel") || ""
+        ? this.getSetting("reasoningModel") || ""
         : "";
     const reasoningProvider =
       typeof window !== "undefined" && window.localStorage
-        ? localStorage.getItem("reasoningProvider") || "auto"
+        ? this.getSetting("reasoningProvider") || "auto"
         : "auto";
     const agentName =
       typeof window !== "undefined" && window.localStorage
-        ? localStorage.getItem("agentName") || null
+        ? this.getSetting("agentName") || null
         : null;
     if (!reasoningModel) {
       logger.logReasoning("REASONING_SKIPPED", {
         reason: "No reasoning model selected",
       });
-      return normalizedText;
+      return { text: normalizedText, reasoningModel: null };
     }
 
     const useReasoning = await this.isReasoningAvailable();
@@ -553,7 +1162,7 @@ class AudioManager {
           processingTime: new Date().toISOString(),
         });
 
-        return result;
+        return { text: result, reasoningModel };
       } catch (error) {
         logger.logReasoning("REASONING_FAILED", {
           error: error.message,
@@ -568,7 +1177,7 @@ class AudioManager {
       reason: useReasoning ? "Reasoning failed" : "Reasoning not enabled",
     });
 
-    return normalizedText;
+    return { text: normalizedText, reasoningModel: null };
   }
 
   shouldStreamTranscription(model, provider) {
@@ -728,19 +1337,16 @@ class AudioManager {
 
   async processWithOpenAIAPI(audioBlob, metadata = {}) {
     const timings = {};
-    const language = localStorage.getItem("preferredLanguage");
-    const allowLocalFallback = localStorage.getItem("allowLocalFallback") === "true";
-    const fallbackModel = localStorage.getItem("fallbackWhisperModel") || "base";
+    const language = this.getSetting("preferredLanguage");
+    const allowLocalFallback = this.getSetting("allowLocalFallback") === "true";
+    const fallbackModel = this.getSetting("fallbackWhisperModel") || "base";
 
     try {
       const durationSeconds = metadata.durationSeconds ?? null;
-      const shouldSkipOptimizationForDuration =
-        typeof durationSeconds === "number" &&
-        durationSeconds > 0 &&
-        durationSeconds < SHORT_CLIP_DURATION_SECONDS;
+      const shouldSkipOptimizationForDuration = isShortClip(durationSeconds);
 
       const model = this.getTranscriptionModel();
-      const provider = localStorage.getItem("cloudTranscriptionProvider") || "openai";
+      const provider = this.getSetting("cloudTranscriptionProvider") || "openai";
 
       logger.debug(
         "Transcription request starting",
@@ -771,10 +1377,13 @@ class AudioManager {
         "transcription"
       );
 
-      const [apiKey, optimizedAudio] = await Promise.all([
+      const [apiKey, { audio: optimizedAudio, silenceRemovedMs }] = await Promise.all([
         this.getAPIKey(),
-        shouldOptimize ? this.optimizeAudio(audioBlob) : Promise.resolve(audioBlob),
+        // Without `convert` pre-roll, cleanup and trimming produce Ogg Opus, which every
+        // model accepts
+        this.prepareAudio(audioBlob, metadata, { convert: shouldOptimize }),
       ]);
+      timings.silenceRemovedMs = silenceRemovedMs;
 
       const formData = new FormData();
       // Determine the correct file extension based on the blob type
@@ -922,7 +1531,9 @@ class AudioManager {
         timings.transcriptionProcessingDurationMs = Math.round(performance.now() - apiCallStart);
 
         const reasoningStart = performance.now();
-        const text = await this.processTranscription(result.text, "openai");
+        const { text, reasoningModel } = metadata.isChunk
+          ? { text: result.text.trim(), reasoningModel: null }
+          : await this.processTranscriptionWithDetails(result.text, "openai");
         timings.reasoningProcessingDurationMs = Math.round(performance.now() - reasoningStart);
 
         const source = (await this.isReasoningAvailable()) ? "openai-reasoned" : "openai";
@@ -937,7 +1548,19 @@ class AudioManager {
           },
           "transcription"
         );
-        return { success: true, text, source, timings };
+        return {
+          success: true,
+          text,
+          rawText: result.text,
+          source,
+          provider,
+          model,
+          reasoningModel,
+          timings,
+        };
+      } else if (metadata.isChunk) {
+        // Silence in one segment is expected in a long dictation
+        return { success: true, text: "", source: "openai", provider, model, timings };
       } else {
         // Log at info level so it shows without debug mode
         logger.info(
@@ -968,7 +1591,7 @@ class AudioManager {
         );
       }
     } catch (error) {
-      const isOpenAIMode = localStorage.getItem("useLocalWhisper") !== "true";
+      const isOpenAIMode = this.getSetting("useLocalWhisper") !== "true";
 
       if (allowLocalFallback && isOpenAIMode) {
         try {
@@ -981,9 +1604,19 @@ class AudioManager {
           const result = await window.electronAPI.transcribeLocalWhisper(arrayBuffer, options);
 
           if (result.success && result.text) {
-            const text = await this.processTranscription(result.text, "local-fallback");
+            const { text, reasoningModel } = metadata.isChunk
+              ? { text: result.text.trim(), reasoningModel: null }
+              : await this.processTranscriptionWithDetails(result.text, "local-fallback");
             if (text) {
-              return { success: true, text, source: "local-fallback" };
+              return {
+                success: true,
+                text,
+                rawText: result.text,
+                source: "local-fallback",
+                provider: "local",
+                model: fallbackModel,
+                reasoningModel,
+              };
             }
           }
           throw error;
@@ -1002,12 +1635,12 @@ class AudioManager {
     try {
       const provider =
         typeof localStorage !== "undefined"
-          ? localStorage.getItem("cloudTranscriptionProvider") || "openai"
+          ? this.getSetting("cloudTranscriptionProvider") || "openai"
           : "openai";
 
       const model =
         typeof localStorage !== "undefined"
-          ? localStorage.getItem("cloudTranscriptionModel") || ""
+          ? this.getSetting("cloudTranscriptionModel") || ""
           : "";
 
       const trimmedModel = model.trim();
@@ -1042,11 +1675,11 @@ class AudioManager {
     // Get current provider and base URL to check if cache is valid
     const currentProvider =
       typeof localStorage !== "undefined"
-        ? localStorage.getItem("cloudTranscriptionProvider") || "openai"
+        ? this.getSetting("cloudTranscriptionProvider") || "openai"
         : "openai";
     const currentBaseUrl =
       typeof localStorage !== "undefined"
-        ? localStorage.getItem("cloudTranscriptionBaseUrl") || ""
+        ? this.getSetting("cloudTranscriptionBaseUrl") || ""
         : "";
 
     // Invalidate cache if provider or base URL changed
@@ -1114,9 +1747,17 @@ class AudioManager {
     }
   }
 
-  async saveTranscription(text) {
+  async saveTranscription(text, metadata = {}, audioBlob = null) {
     try {
-      await window.electronAPI.saveTranscription(text);
+      // Only ship the recording to the main process when the user opted in to keeping it
+      let audio = null;
+      if (audioBlob?.size > 0) {
+        const audioSettings = await window.electronAPI.getHistoryAudioSettings?.();
+        if (audioSettings?.enabled) {
+          audio = { data: await audioBlob.arrayBuffer(), mimeType: audioBlob.type };
+        }
+      }
+      await window.electronAPI.saveTranscription(text, metadata, audio);
       return true;
     } catch (error) {
       return false;
@@ -1134,9 +1775,15 @@ class AudioManager {
     if (this.mediaRecorder?.state === "recording") {
       this.stopRecording();
     }
+    this.stopInputMonitoring();
+    this.warmMicrophone?.stop();
+    this.warmMicrophone = null;
     this.onStateChange = null;
     this.onError = null;
     this.onTranscriptionComplete = null;
+    this.onAutoStopProgress = null;
+    this.onInputLevel = null;
+    this.onWarmMicrophoneChange = null;
   }
 }
 
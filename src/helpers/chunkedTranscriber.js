@@ -0,0 +1,149 @@
+// A segment is cut at the first pause after this length...
+const TARGET_SEGMENT_MS = 30000;
+// ...or at this length when the speaker never pauses
+const MAX_SEGMENT_MS = 45000;
+// The next segment starts this long before the previous one stops, so a word spoken
+// across the cut is heard whole by at least one of them
+const OVERLAP_MS = 1500;
+// Readings quieter than this count as a pause
+const PAUSE_THRESHOLD_DB = -45;
+// Longest run of repeated words removed where two segments meet
+const MAX_OVERLAP_WORDS = 12;
+// A cut in the middle of a word can leave a fragment before the repeated words start
+const MAX_FRAGMENT_WORDS = 2;
+
+const normalizeWord = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, "");
+
+// Number of leading words of `head` that repeat the end of `tail`
+function findOverlap(tail, head) {
+  for (let length = Math.min(MAX_OVERLAP_WORDS, tail.length, head.length); length > 0; length--) {
+    for (let skip = 0; skip <= MAX_FRAGMENT_WORDS && skip + length <= head.length; skip++) {
+      // A single matching word after a fragment is too weak to drop anything for
+      if (skip > 0 && length < 2) break;
+      let matches = true;
+      for (let i = 0; i < length && matches; i++) {
+        matches = tail[tail.length - length + i] === head[skip + i];
+      }
+      if (matches) return skip + length;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Join segment transcripts in order, dropping the words each one repeats from the
+ * overlap with the previous segment.
+ */
+export function stitchTranscripts(texts) {
+  return texts.reduce((stitched, text) => {
+    const words = (text || "").trim().split(/\s+/).filter(Boolean);
+    if (!stitched || words.length === 0) {
+      return stitched || words.join(" ");
+    }
+    const tail = stitched.split(/\s+/).slice(-MAX_OVERLAP_WORDS).map(normalizeWord);
+    const skip = findOverlap(tail, words.map(normalizeWord));
+    return [stitched, ...words.slice(skip)].join(" ");
+  }, "");
+}
+
+/**
+ * Records a stream as a series of self-contained, slightly overlapping segments next to
+ * the main recording and transcribes each one in the background as soon as it is cut.
+ * Segments are cut at pauses reported through `update` (see InputLevelMonitor) and are
+ * transcribed one at a time, in order, through `transcribe(blob, segmentIndex)`.
+ */
+class ChunkedTranscriber {
+  constructor(stream, { mimeType, transcribe } = {}) {
+    this.stream = stream;
+    this.mimeType = mimeType;
+    this.transcribe = transcribe;
+    this.current = null;
+    this.pendingStops = new Set();
+    this.results = [];
+    this.queue = Promise.resolve();
+    this.isCancelled = false;
+  }
+
+  start() {
+    this.current = this.startSegment();
+  }
+
+  startSegment() {
+    const options =
+      this.mimeType && MediaRecorder.isTypeSupported?.(this.mimeType)
+        ? { mimeType: this.mimeType }
+        : undefined;
+    const recorder = new MediaRecorder(this.stream, options);
+    const parts = [];
+    const blob = new Promise((resolve) => {
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) parts.push(event.data);
+      };
+      recorder.onstop = () =>
+        resolve(new Blob(parts, { type: recorder.mimeType || this.mimeType }));
+    });
+    recorder.start();
+    return { recorder, blob, startedAt: performance.now() };
+  }
+
+  update({ db, now }) {
+    if (!this.current) return;
+    const age = now - this.current.startedAt;
+    if ((age >= TARGET_SEGMENT_MS && db < PAUSE_THRESHOLD_DB) || age >= MAX_SEGMENT_MS) {
+      const previous = this.current;
+      this.current = this.startSegment();
+      this.results.push(this.enqueue(previous, OVERLAP_MS));
+    }
+  }
+
+  // Stops a segment after `delayMs` and queues its transcription behind the earlier ones
+  enqueue(segment, delayMs) {
+    const stop = () => {
+      clearTimeout(segment.stopTimer);
+      this.pendingStops.delete(stop);
+      if (segment.recorder.state !== "inactive") segment.recorder.stop();
+    };
+    segment.stopTimer = setTimeout(stop, delayMs);
+    this.pendingStops.add(stop);
+
+    const index = this.results.length;
+    const result = this.queue.then(async () => {
+      const blob = await segment.blob;
+      return this.isCancelled ? null : this.transcribe(blob, index);
+    });
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  stopPending() {
+    [...this.pendingStops].forEach((stop) => stop());
+  }
+
+  /**
+   * Cut the last segment and wait for every transcription. Resolves to null when the
+   * recording ended before a first cut, in which case the full recording should be
+   * transcribed instead. Rejects when any segment failed.
+   */
+  async finish() {
+    if (this.results.length === 0) {
+      this.cancel();
+      return null;
+    }
+    this.results.push(this.enqueue(this.current, 0));
+    this.current = null;
+    this.stopPending();
+    return Promise.all(this.results);
+  }
+
+  // Transcriptions already running finish in the background; their results are dropped
+  cancel() {
+    this.isCancelled = true;
+    if (this.current) {
+      this.enqueue(this.current, 0);
+      this.current = null;
+    }
+    this.stopPending();
+  }
+}
+
+export default ChunkedTranscriber;
@@ -3,48 +3,519 @@ const path = require("path");
 const fs = require("fs");
 const os = require("os");
 const { app } = require("electron");
+const { runMigrations, pruneOldBackups, DatabaseError } = require("./databaseMigrations");
+const encryption = require("./databaseEncryption");
+
+// Encrypted history lives in memory; changes are written back at most this long after they
+// happen, and right away for new, edited and deleted transcriptions (see persistNow)
+const ENCRYPTED_PERSIST_INTERVAL_MS = 2000;
+
+// Errors that leave history unavailable instead of stopping the app
+const RECOVERABLE_INIT_ERRORS = new Set([
+  "DATABASE_TOO_NEW",
+  "DATABASE_LOCKED",
+  "DATABASE_CORRUPT",
+]);
+// Encrypted history that cannot be opened; it can be recovered or set aside from settings
+const LOCKED_INIT_ERRORS = new Set(["DATABASE_LOCKED", "DATABASE_CORRUPT"]);
+
+// Private-use markers wrapped around matched terms; the renderer splits on these
+// instead of trusting HTML from dictated text.
+const HIGHLIGHT_OPEN = "\uE000";
+const HIGHLIGHT_CLOSE = "\uE001";
+
+/**
+ * Turn free-form user input into a safe FTS5 MATCH expression.
+ * Every term is quoted (so FTS operators in dictated text are literal) and
+ * prefix-matched so results update while the user is still typing.
+ */
+function buildMatchExpression(query) {
+  if (typeof query !== "string") return "";
+  const terms = query
+    .split(/\s+/)
+    .map((term) => term.replace(/"/g, "").trim())
+    .filter(Boolean);
+  return terms.map((term) => `"${term}"*`).join(" ");
+}
+
+const METADATA_TEXT_FIELDS = [
+  "rawText",
+  "source",
+  "provider",
+  "model",
+  "reasoningModel",
+  "language",
+];
+const METADATA_DURATION_FIELDS = [
+  "audioDurationMs",
+  "audioConversionDurationMs",
+  "transcriptionProcessingDurationMs",
+  "reasoningProcessingDurationMs",
+  "roundTripDurationMs",
+];
+
+// Columns a revision copies from its entry, and copies back when it is restored
+const VERSION_COLUMNS = [
+  "text",
+  "raw_text",
+  "source",
+  "provider",
+  "model",
+  "reasoning_model",
+  "language",
+  "audio_duration_ms",
+  "audio_conversion_ms",
+  "transcription_ms",
+  "reasoning_ms",
+  "round_trip_ms",
+];
+
+const MAX_TAG_LENGTH = 40;
+
+// Trimmed, whitespace-collapsed tag names without case-insensitive duplicates
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  const seen = new Set();
+  return tags
+    .map((tag) => (typeof tag === "string" ? tag.replace(/\s+/g, " ").trim() : ""))
+    .filter((tag) => {
+      const key = tag.toLowerCase();
+      if (!tag || tag.length > MAX_TAG_LENGTH || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * WHERE conditions shared by search and export for the non-text filters.
+ * `tags` requires every listed tag; `starred` and `pinned` keep only flagged rows.
+ */
+function buildFilterConditions({ from, to, tags, starred, pinned }, params) {
+  const conditions = ["t.deleted_at IS NULL"];
+  if (from) {
+    conditions.push("t.timestamp >= datetime(@from)");
+    params.from = from;
+  }
+  if (to) {
+    conditions.push("t.timestamp <= datetime(@to)");
+    params.to = to;
+  }
+  const tagNames = normalizeTags(tags);
+  if (tagNames.length > 0) {
+    conditions.push(
+      `t.id IN (
+        SELECT tt.transcription_id FROM transcription_tags tt
+        JOIN tags g ON g.id = tt.tag_id
+        WHERE g.name IN (SELECT value FROM json_each(@tags))
+        GROUP BY tt.transcription_id HAVING COUNT(*) = @tagCount
+      )`
+    );
+    params.tags = JSON.stringify(tagNames);
+    params.tagCount = tagNames.length;
+  }
+  if (starred) {
+    conditions.push("t.starred = 1");
+  }
+  if (pinned) {
+    conditions.push("t.pinned = 1");
+  }
+  return conditions;
+}
+
+// Metadata comes from the renderer over IPC; coerce it to what the columns expect
+function normalizeMetadata(metadata) {
+  const source = metadata && typeof metadata === "object" ? metadata : {};
+  const normalized = {};
+  METADATA_TEXT_FIELDS.forEach((field) => {
+    const value = source[field];
+    normalized[field] = typeof value === "string" && value.length > 0 ? value : null;
+  });
+  METADATA_DURATION_FIELDS.forEach((field) => {
+    const value = Number(source[field]);
+    normalized[field] =
+      source[field] !== null && Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+  });
+  return normalized;
+}
 
 class DatabaseManager {
   constructor() {
     this.db = null;
+    this.initError = null;
+    // { key, header, persistedChanges } while history is encrypted at rest
+    this.encryption = null;
+    this.persistTimer = null;
     this.initDatabase();
   }
 
+  getDatabasePath() {
+    const dbFileName =
+      process.env.NODE_ENV === "development" ? "transcriptions-dev.db" : "transcriptions.db";
+    return path.join(app.getPath("userData"), dbFileName);
+  }
+
+  getEncryptedDatabasePath() {
+    return `${this.getDatabasePath()}.enc`;
+  }
+
+  // safeStorage-encrypted data key; only this machine's keyring can read it
+  getKeyPath() {
+    return this.getDatabasePath().replace(/\.db$/, ".key");
+  }
+
+  getBackupDir() {
+    return path.join(app.getPath("userData"), "backups");
+  }
+
+  // Pre-migration backups are named "<prefix><timestamp>-v<version>.db", or ".db.enc"
+  getBackupPrefix() {
+    return `${path.basename(this.getDatabasePath(), ".db")}.backup-`;
+  }
+
+  // null while history is unencrypted or locked
+  getDataKey() {
+    return this.encryption?.key ?? null;
+  }
+
+  isEncrypted() {
+    return fs.existsSync(this.getEncryptedDatabasePath());
+  }
+
   initDatabase() {
-    try {
-      const dbFileName =
-        process.env.NODE_ENV === "development" ? "transcriptions-dev.db" : "transcriptions.db";
+    const dbPath = this.getDatabasePath();
 
-      const dbPath = path.join(app.getPath("userData"), dbFileName);
+    if (this.isEncrypted()) {
+      // The keyring is only reachable once the app is ready; main.js opens it again then
+      if (!app.isReady()) return false;
+      return this.openEncryptedDatabase();
+    }
 
+    try {
       this.db = new Database(dbPath);
+      this.prepareDatabase({ dbPath, backupDir: this.getBackupDir() });
+      return true;
+    } catch (error) {
+      return this.handleInitError(error);
+    }
+  }
 
-      this.db.exec(`
-        CREATE TABLE IF NOT EXISTS transcriptions (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          text TEXT NOT NULL,
-          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
+  prepareDatabase(migrationOptions) {
+    // Overwrite deleted content instead of leaving it in free pages
+    this.db.pragma("secure_delete = ON");
+
+    const { fromVersion, toVersion, backupPath } = runMigrations(this.db, migrationOptions);
 
+    if (fromVersion !== toVersion) {
+      console.log(
+        `Database migrated from v${fromVersion} to v${toVersion}` +
+          (backupPath ? ` (backup: ${backupPath})` : "")
+      );
+    }
+  }
+
+  handleInitError(error) {
+    console.error("Database initialization failed:", error.message);
+
+    // A database from a newer app version, or an encrypted one whose key is missing or
+    // whose file is damaged, is left untouched; history is disabled instead of crashing the app.
+    if (error instanceof DatabaseError && RECOVERABLE_INIT_ERRORS.has(error.code)) {
+      this.db?.close();
+      this.db = null;
+      this.initError = error;
+      return false;
+    }
+
+    throw error;
+  }
+
+  openEncryptedDatabase() {
+    try {
+      const file = fs.readFileSync(this.getEncryptedDatabasePath());
+      const header = encryption.readHeader(file);
+      const key = encryption.loadKeyFromKeyring(this.getKeyPath());
+      if (!key) {
+        throw new DatabaseError(
+          "The history encryption key is missing from the keyring",
+          "DATABASE_LOCKED",
+          { reason: "missing-key" }
+        );
+      }
+
+      let image;
+      try {
+        image = encryption.decryptDatabase(file, key);
+      } catch {
+        throw new DatabaseError(
+          "The key in the keyring does not match the encrypted history",
+          "DATABASE_LOCKED",
+          { reason: "wrong-key" }
+        );
+      }
+
+      this.attachEncryptedDatabase(new Database(image), key, header);
+      this.initError = null;
       return true;
     } catch (error) {
-      console.error("Database initialization failed:", error.message);
+      this.stopPersistence();
+      this.encryption = null;
+      return this.handleInitError(error);
+    }
+  }
+
+  attachEncryptedDatabase(db, key, header) {
+    this.db = db;
+    this.encryption = { key, header, persistedChanges: -1 };
+    this.prepareDatabase({
+      dbPath: this.getEncryptedDatabasePath(),
+      backupDir: this.getBackupDir(),
+      backup: (fromVersion) => this.writeEncryptedBackup(fromVersion),
+    });
+    // Migrations don't count as changes; write once so the file matches the schema
+    this.flush({ force: true });
+    this.startPersistence();
+  }
+
+  startPersistence() {
+    this.stopPersistence();
+    this.persistTimer = setInterval(() => {
+      try {
+        this.flush();
+      } catch (error) {
+        console.error("Error persisting encrypted history:", error.message);
+      }
+    }, ENCRYPTED_PERSIST_INTERVAL_MS);
+    this.persistTimer.unref?.();
+  }
+
+  stopPersistence() {
+    if (this.persistTimer) {
+      clearInterval(this.persistTimer);
+      this.persistTimer = null;
+    }
+  }
+
+  // Write the in-memory database to its encrypted file if anything changed since the last write
+  flush({ force = false } = {}) {
+    if (!this.db || !this.encryption) return;
+    const { changes } = this.db.prepare("SELECT total_changes() AS changes").get();
+    if (!force && changes === this.encryption.persistedChanges) return;
+
+    encryption.writeEncryptedDatabase(
+      this.getEncryptedDatabasePath(),
+      this.db.serialize(),
+      this.encryption.key,
+      this.encryption.header
+    );
+    this.encryption.persistedChanges = changes;
+  }
+
+  // A crash must not lose a dictation or bring back a deleted one, so these changes don't
+  // wait for the timer. The change itself stands if writing fails; the timer retries.
+  persistNow() {
+    try {
+      this.flush();
+    } catch (error) {
+      console.error("Error persisting encrypted history:", error.message);
+    }
+  }
+
+  writeEncryptedBackup(fromVersion) {
+    const backupDir = this.getBackupDir();
+    fs.mkdirSync(backupDir, { recursive: true });
+    const prefix = this.getBackupPrefix();
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const backupPath = path.join(backupDir, `${prefix}${stamp}-v${fromVersion}.db.enc`);
+    encryption.writeEncryptedDatabase(
+      backupPath,
+      this.db.serialize(),
+      this.encryption.key,
+      this.encryption.header
+    );
+    pruneOldBackups(backupDir, prefix, ".db.enc");
+    return backupPath;
+  }
+
+  // Pre-migration backups of one form or the other, removed when the mode changes
+  removeBackups(extension) {
+    const prefix = this.getBackupPrefix();
+    try {
+      fs.readdirSync(this.getBackupDir())
+        .filter((name) => name.startsWith(prefix) && name.endsWith(extension))
+        .forEach((name) => encryption.shredFile(path.join(this.getBackupDir(), name)));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+
+  getEncryptionStatus() {
+    return {
+      enabled: this.isEncrypted(),
+      locked: LOCKED_INIT_ERRORS.has(this.initError?.code),
+      damaged: this.initError?.code === "DATABASE_CORRUPT",
+      keyringAvailable: encryption.isKeyringAvailable(),
+      keyringBackend: encryption.getKeyringBackend(),
+    };
+  }
+
+  /**
+   * Move history into an encrypted file whose key is kept in the OS keyring.
+   * The plaintext database and its backups are overwritten and deleted.
+   * @returns {{ success: boolean, recoveryKey: string }} the recovery key is shown once
+   */
+  enableEncryption() {
+    try {
+      if (!this.db) {
+        throw new Error("Database not initialized");
+      }
+      if (this.encryption) {
+        throw new Error("History is already encrypted");
+      }
+      if (!encryption.isKeyringAvailable()) {
+        throw new DatabaseError(
+          "No secure keyring is available to hold the encryption key",
+          "KEYRING_UNAVAILABLE",
+          { backend: encryption.getKeyringBackend() }
+        );
+      }
+
+      const dbPath = this.getDatabasePath();
+      const encryptedPath = this.getEncryptedDatabasePath();
+      const key = encryption.createDataKey();
+      const recoveryKey = encryption.createRecoveryKey();
+      const header = encryption.createHeader(key, recoveryKey);
+      const image = this.db.serialize();
+
+      try {
+        encryption.writeEncryptedDatabase(encryptedPath, image, key, header);
+        // Prove the file opens before the only plaintext copy goes away
+        encryption.decryptDatabase(fs.readFileSync(encryptedPath), key);
+        encryption.saveKeyToKeyring(this.getKeyPath(), key);
+      } catch (error) {
+        fs.rmSync(encryptedPath, { force: true });
+        throw error;
+      }
+
+      this.db.close();
+      this.db = null;
+      ["", "-wal", "-shm", "-journal"].forEach((suffix) =>
+        encryption.shredFile(`${dbPath}${suffix}`)
+      );
+      this.removeBackups(".db");
+
+      this.attachEncryptedDatabase(new Database(image), key, header);
+      return { success: true, recoveryKey };
+    } catch (error) {
+      console.error("Error enabling history encryption:", error.message);
       throw error;
     }
   }
 
-  saveTranscription(text) {
+  disableEncryption() {
+    try {
+      if (!this.db || !this.encryption) {
+        throw new Error("History is not encrypted");
+      }
+
+      const dbPath = this.getDatabasePath();
+      encryption.writeFileAtomic(dbPath, this.db.serialize());
+
+      this.stopPersistence();
+      this.db.close();
+      this.db = null;
+      this.encryption = null;
+      encryption.shredFile(this.getEncryptedDatabasePath());
+      fs.rmSync(this.getKeyPath(), { force: true });
+      this.removeBackups(".db.enc");
+
+      this.db = new Database(dbPath);
+      this.db.pragma("secure_delete = ON");
+      return { success: true };
+    } catch (error) {
+      console.error("Error disabling history encryption:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Unlock encrypted history after its keyring entry was lost (new machine,
+   * reset keyring) and store the key in the current keyring again.
+   */
+  recoverEncryption(recoveryKey) {
+    try {
+      if (this.db) {
+        throw new Error("History is already unlocked");
+      }
+      const file = fs.readFileSync(this.getEncryptedDatabasePath());
+      const key = encryption.unwrapWithRecoveryKey(encryption.readHeader(file), recoveryKey);
+      encryption.decryptDatabase(file, key);
+      encryption.saveKeyToKeyring(this.getKeyPath(), key);
+      return { success: this.openEncryptedDatabase() };
+    } catch (error) {
+      console.error("Error recovering encrypted history:", error.message);
+      throw error;
+    }
+  }
+
+  // Replace the recovery key, e.g. when the old one was lost while history is still unlocked
+  regenerateRecoveryKey() {
+    try {
+      if (!this.db || !this.encryption) {
+        throw new Error("History is not encrypted");
+      }
+      const recoveryKey = encryption.createRecoveryKey();
+      this.encryption.header = encryption.createHeader(this.encryption.key, recoveryKey);
+      this.flush({ force: true });
+      return { success: true, recoveryKey };
+    } catch (error) {
+      console.error("Error regenerating recovery key:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Give up on locked history and start an empty one. The encrypted file is set
+   * aside rather than deleted, so it can still be opened if the recovery key turns up.
+   */
+  resetEncryptedDatabase() {
+    try {
+      if (this.db) {
+        throw new Error("History is unlocked; turn encryption off instead");
+      }
+      const encryptedPath = this.getEncryptedDatabasePath();
+      const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const archiveSuffix = `.locked-${stamp}`;
+      const archivedPath = `${encryptedPath}${archiveSuffix}`;
+      fs.renameSync(encryptedPath, archivedPath);
+      fs.rmSync(this.getKeyPath(), { force: true });
+      this.initError = null;
+      this.initDatabase();
+      return { success: true, archivedPath, archiveSuffix };
+    } catch (error) {
+      console.error("Error resetting encrypted history:", error.message);
+      throw error;
+    }
+  }
+
+  saveTranscription(text, metadata = {}) {
     try {
       if (!this.db) {
         throw new Error("Database not initialized");
       }
-      const stmt = this.db.prepare("INSERT INTO transcriptions (text) VALUES (?)");
-      const result = stmt.run(text);
+      const stmt = this.db.prepare(`
+        INSERT INTO transcriptions (
+          text, raw_text, source, provider, model, reasoning_model, language,
+          audio_duration_ms, audio_conversion_ms, transcription_ms, reasoning_ms, round_trip_ms
+        ) VALUES (
+          @text, @rawText, @source, @provider, @model, @reasoningModel, @language,
+          @audioDurationMs, @audioConversionDurationMs, @transcriptionProcessingDurationMs,
+          @reasoningProcessingDurationMs, @roundTripDurationMs
+        )
+      `);
+      const result = stmt.run({ text, ...normalizeMetadata(metadata) });
 
       const fetchStmt = this.db.prepare("SELECT * FROM transcriptions WHERE id = ?");
-      const transcription = fetchStmt.get(result.lastInsertRowid);
+      const [transcription] = this.withTags([fetchStmt.get(result.lastInsertRowid)]);
+      this.persistNow();
 
       return { id: result.lastInsertRowid, success: true, transcription };
     } catch (error) {
@@ -53,64 +524,831 @@ class DatabaseManager {
     }
   }
 
-  getTranscriptions(limit = 50) {
+  recordPipelineFailure({
+    provider,
+    model,
+    reasoningModel,
+    error,
+    audioDurationMs,
+    elapsedMs,
+  } = {}) {
     try {
       if (!this.db) {
         throw new Error("Database not initialized");
       }
-      const stmt = this.db.prepare("SELECT * FROM transcriptions ORDER BY timestamp DESC LIMIT ?");
-      const transcriptions = stmt.all(limit);
-      return transcriptions;
+      const result = this.db
+        .prepare(
+          `INSERT INTO pipeline_failures
+             (provider, model, reasoning_model, error, audio_duration_ms, elapsed_ms)
+           VALUES (?, ?, ?, ?, ?, ?)`
+        )
+        .run(
+          provider ?? null,
+          model ?? null,
+          reasoningModel ?? null,
+          error ? String(error).slice(0, 500) : null,
+          Number.isFinite(audioDurationMs) ? Math.round(audioDurationMs) : null,
+          Number.isFinite(elapsedMs) ? Math.round(elapsedMs) : null
+        );
+      return { id: result.lastInsertRowid, success: true };
+    } catch (error) {
+      console.error("Error recording pipeline failure:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Raw rows behind the usage statistics, oldest first.
+   * @param {number} days - how far back to look; 0 returns everything
+   */
+  getUsageSamples(days = 0) {
+    try {
+      if (!this.db) {
+        throw new Error("Database not initialized");
+      }
+      const since = days > 0 ? `-${days} days` : null;
+      const transcriptions = this.db
+        .prepare(
+          `SELECT text, raw_text, timestamp, provider, model, reasoning_model,
+                  audio_duration_ms, transcription_ms, reasoning_ms, round_trip_ms
+           FROM transcriptions
+           WHERE deleted_at IS NULL AND (@since IS NULL OR timestamp >= datetime('now', @since))
+           ORDER BY timestamp ASC, id ASC`
+        )
+        .all({ since });
+      const failures = this.db
+        .prepare(
+          `SELECT provider, model, reasoning_model, created_at
+           FROM pipeline_failures
+           WHERE @since IS NULL OR created_at >= datetime('now', @since)
+           ORDER BY created_at ASC, id ASC`
+        )
+        .all({ since });
+      return { transcriptions, failures };
+    } catch (error) {
+      console.error("Error getting usage samples:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Newest-first page of transcriptions.
+   * @param {number} limit
+   * @param {{ beforeTimestamp: string, beforeId: number } | null} cursor - keyset cursor taken
+   *   from the last row of the previous page; omit for the first page
+   */
+  getTranscriptions(limit = 50, cursor = null) {
+    try {
+      if (!this.db) {
+        throw new Error("Database not initialized");
+      }
+      const pageSize = Math.min(Math.max(Number(limit) || 50, 1), 500);
+
+      if (cursor?.beforeTimestamp && Number.isInteger(cursor.beforeId)) {
+        const page = this.db
+          .prepare(
+            `SELECT * FROM transcriptions
+             WHERE deleted_at IS NULL
+               AND (timestamp < @beforeTimestamp
+                 OR (timestamp = @beforeTimestamp AND id < @beforeId))
+             ORDER BY timestamp DESC, id DESC
+             LIMIT @pageSize`
+          )
+          .all({ beforeTimestamp: cursor.beforeTimestamp, beforeId: cursor.beforeId, pageSize });
+        return this.withTags(page);
+      }
+
+      const stmt = this.db.prepare(
+        "SELECT * FROM transcriptions WHERE deleted_at IS NULL ORDER BY timestamp DESC, id DESC LIMIT ?"
+      );
+      const transcriptions = stmt.all(pageSize);
+      return this.withTags(transcriptions);
     } catch (error) {
       console.error("Error getting transcriptions:", error.message);
       throw error;
     }
   }
 
+  getTranscriptionCount() {
+    try {
+      if (!this.db) {
+        throw new Error("Database not initialized");
+      }
+      const { count } = this.db
+        .prepare("SELECT COUNT(*) AS count FROM transcriptions WHERE deleted_at IS NULL")
+        .get();
+      return count;
+    } catch (error) {
+      console.error("Error counting transcriptions:", error.message);
+      throw error;
+    }
+  }
+
+  searchTranscriptions(options = {}) {
+    try {
+      if (!this.db) {
+        throw new Error("Database not initialized");
+      }
+
+      const { query = "", sort = "relevance", limit = 50 } = options;
+      const matchExpression = buildMatchExpression(query);
+
+      const params = { limit: Math.min(Math.max(Number(limit) || 50, 1), 500) };
+      const conditions = buildFilterConditions(options, params);
+
+      if (!matchExpression) {
+        const rows = this.db
+          .prepare(
+            `SELECT t.*, NULL AS highlighted, NULL AS rank FROM transcriptions t
+             WHERE ${conditions.join(" AND ")}
+             ORDER BY t.timestamp DESC, t.id DESC LIMIT @limit`
+          )
+          .all(params);
+        return this.withTags(rows);
+      }
+
+      conditions.unshift("transcriptions_fts MATCH @match");
+      params.match = matchExpression;
+      params.open = HIGHLIGHT_OPEN;
+      params.close = HIGHLIGHT_CLOSE;
+
+      const orderBy =
+        sort === "newest" ? "t.timestamp DESC, t.id DESC" : "rank ASC, t.timestamp DESC";
+
+      const rows = this.db
+        .prepare(
+          `SELECT t.*,
+                  highlight(transcriptions_fts, 0, @open, @close) AS highlighted,
+                  bm25(transcriptions_fts) AS rank
+           FROM transcriptions_fts
+           JOIN transcriptions t ON t.id = transcriptions_fts.rowid
+           WHERE ${conditions.join(" AND ")}
+           ORDER BY ${orderBy}
+           LIMIT @limit`
+        )
+        .all(params);
+      return this.withTags(rows);
+    } catch (error) {
+      console.error("Error searching transcriptions:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Every transcription matching the given scope, oldest first, for export.
+   * `ids` selects specific rows; the other options apply the same filters as
+   * searchTranscriptions but without its result limit.
+   */
+  getTranscriptionsForExport(options = {}) {
+    try {
+      if (!this.db) {
+        throw new Error("Database not initialized");
+      }
+
+      const { ids = null, query = "" } = options;
+      const matchExpression = buildMatchExpression(query);
+      const params = {};
+      const conditions = buildFilterConditions(options, params);
+
+      if (Array.isArray(ids)) {
+        conditions.push("t.id IN (SELECT value FROM json_each(@ids))");
+        params.ids = JSON.stringify(ids.filter((id) => Number.isInteger(id)));
+      }
+      if (matchExpression) {
+        conditions.push(
+          "t.id IN (SELECT rowid FROM transcriptions_fts WHERE transcriptions_fts MATCH @match)"
+        );
+        params.match = matchExpression;
+      }
+
+      const rows = this.db
+        .prepare(
+          `SELECT t.* FROM transcriptions t WHERE ${conditions.join(" AND ")}
+           ORDER BY t.timestamp ASC, t.id ASC`
+        )
+        .all(params);
+      return this.withTags(rows);
+    } catch (error) {
+      console.error("Error loading transcriptions for export:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Insert previously recorded transcriptions, keeping their original timestamps.
+   * Entries whose text and timestamp already exist are skipped, so importing the
+   * same file twice is harmless.
+   * @param {Array<{ text: string, timestamp: string, metadata?: object }>} entries -
+   *   timestamps in SQLite's "YYYY-MM-DD HH:MM:SS" UTC form
+   * @returns {{ imported: number, skipped: number }}
+   */
+  importTranscriptions(entries) {
+    try {
+      if (!this.db) {
+        throw new Error("Database not initialized");
+      }
+
+      // Entries in the trash count too; importing them again would undo the deletion
+      const existsStmt = this.db.prepare(
+        "SELECT 1 FROM transcriptions WHERE timestamp = ? AND text = ? LIMIT 1"
+      );
+      const insertStmt = this.db.prepare(`
+        INSERT INTO transcriptions (
+          text, timestamp, created_at, raw_text, source, provider, model, reasoning_model,
+          language, audio_duration_ms, audio_conversion_ms, transcription_ms, reasoning_ms,
+          round_trip_ms
+        ) VALUES (
+          @text, @timestamp, @timestamp, @rawText, @source, @provider, @model, @reasoningModel,
+          @language, @audioDurationMs, @audioConversionDurationMs,
+          @transcriptionProcessingDurationMs, @reasoningProcessingDurationMs, @roundTripDurationMs
+        )
+      `);
+
+      const importAll = this.db.transaction((items) => {
+        let imported = 0;
+        let skipped = 0;
+        items.forEach(({ text, timestamp, metadata }) => {
+          if (existsStmt.get(timestamp, text)) {
+            skipped += 1;
+            return;
+          }
+          insertStmt.run({ text, timestamp, ...normalizeMetadata(metadata) });
+          imported += 1;
+        });
+        return { imported, skipped };
+      });
+
+      return importAll(entries);
+    } catch (error) {
+      console.error("Error importing transcriptions:", error.message);
+      throw error;
+    }
+  }
+
+  getTranscriptionById(id) {
+    try {
+      if (!this.db) {
+        throw new Error("Database not initialized");
+      }
+      const row = this.db.prepare("SELECT * FROM transcriptions WHERE id = ?").get(id);
+      return row ? this.withTags([row])[0] : null;
+    } catch (error) {
+      console.error("Error getting transcription:", error.message);
+      throw error;
+    }
+  }
+
+  // Pass a null file to unlink the recording from the row
+  setTranscriptionAudio(id, audioFile, sizeBytes = null) {
+    try {
+      if (!this.db) {
+        throw new Error("Database not initialized");
+      }
+      this.db
+        .prepare("UPDATE transcriptions SET audio_file = ?, audio_size_bytes = ? WHERE id = ?")
+        .run(audioFile, audioFile ? sizeBytes : null, id);
+      return this.getTranscriptionById(id);
+    } catch (error) {
+      console.error("Error linking transcription audio:", error.message);
+      throw error;
+    }
+  }
+
+  // Rows with a stored recording, oldest first (eviction order for the audio quota)
+  getTranscriptionsWithAudio() {
+    try {
+      if (!this.db) {
+        throw new Error("Database not initialized");
+      }
+      return this.db
+        .prepare(
+          `SELECT id, audio_file, audio_size_bytes FROM transcriptions
+           WHERE audio_file IS NOT NULL ORDER BY timestamp ASC, id ASC`
+        )
+        .all();
+    } catch (error) {
+      console.error("Error listing transcription audio:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Store an alternative version of a transcription without touching its current text.
+   * @param {number} transcriptionId
+   * @param {{ kind: string, text: string, metadata?: object }} revision - kind says where the
+   *   text came from, e.g. "retranscription"
+   */
+  addTranscriptionRevision(transcriptionId, { kind, text, metadata = {} } = {}) {
+    try {
+      if (!this.db) {
+        throw new Error("Database not initialized");
+      }
+      if (typeof text !== "string" || !text.trim()) {
+        throw new Error("Revision text is required");
+      }
+      if (!this.getTranscriptionById(transcriptionId)) {
+        throw new Error(`Transcription ${transcriptionId} not found`);
+      }
+
+      const result = this.db
+        .prepare(
+          `INSERT INTO transcription_revisions (
+            transcription_id, kind, text, raw_text, source, provider, model, reasoning_model,
+            language, audio_duration_ms, audio_conversion_ms, transcription_ms, reasoning_ms,
+            round_trip_ms
+          ) VALUES (
+            @transcriptionId, @kind, @text, @rawText, @source, @provider, @model, @reasoningModel,
+            @language, @audioDurationMs, @audioConversionDurationMs,
+            @transcriptionProcessingDurationMs, @reasoningProcessingDurationMs, @roundTripDurationMs
+          )`
+        )
+        .run({
+          transcriptionId,
+          kind: String(kind || "revision"),
+          text,
+          ...normalizeMetadata(metadata),
+        });
+
+      return this.db
+        .prepare("SELECT * FROM transcription_revisions WHERE id = ?")
+        .get(result.lastInsertRowid);
+    } catch (error) {
+      console.error("Error saving transcription revision:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the text of a transcription with a manual correction. The first
+   * change also snapshots the text as dictated, so every version can be restored.
+   * @returns {{ success: boolean, transcription: object | null }}
+   */
+  updateTranscriptionText(id, text) {
+    try {
+      if (!this.db) {
+        throw new Error("Database not initialized");
+      }
+      if (typeof text !== "string" || !text.trim()) {
+        throw new Error("Transcription text is required");
+      }
+      const current = this.getTranscriptionById(id);
+      if (!current) {
+        return { success: false, transcription: null };
+      }
+      if (current.text === text) {
+        return { success: true, transcription: current };
+      }
+      return this.replaceCurrentVersion(id, "edit", { text });
+    } catch (error) {
+      console.error("Error updating transcription text:", error.message);
+      throw error;
+    }
+  }
+
+  // Make an earlier version (or a re-transcription) the current one, pipeline details included
+  restoreTranscriptionRevision(id, revisionId) {
+    try {
+      if (!this.db) {
+        throw new Error("Database not initialized");
+      }
+      const revision = this.db
+        .prepare("SELECT * FROM transcription_revisions WHERE id = ? AND transcription_id = ?")
+        .get(revisionId, id);
+      if (!revision) {
+        throw new Error(`Revision ${revisionId} not found`);
+      }
+      const fields = Object.fromEntries(
+        VERSION_COLUMNS.map((column) => [column, revision[column]])
+      );
+      return this.replaceCurrentVersion(id, "restore", fields);
+    } catch (error) {
+      console.error("Error restoring transcription revision:", error.message);
+      throw error;
+    }
+  }
+
+  // Update the row and record the result as a revision of the given kind, in one transaction
+  replaceCurrentVersion(id, kind, fields) {
+    const columns = VERSION_COLUMNS.join(", ");
+    const snapshot = this.db.prepare(
+      `INSERT INTO transcription_revisions (transcription_id, kind, ${columns})
+       SELECT id, ?, ${columns} FROM transcriptions WHERE id = ?`
+    );
+    const hasVersions = this.db.prepare(
+      `SELECT 1 FROM transcription_revisions
+       WHERE transcription_id = ? AND kind != 'retranscription' LIMIT 1`
+    );
+    const assignments = Object.keys(fields)
+      .filter((column) => VERSION_COLUMNS.includes(column))
+      .map((column) => `${column} = @${column}`)
+      .join(", ");
+
+    const replaced = this.db.transaction(() => {
+      if (!hasVersions.get(id)) {
+        snapshot.run("original", id);
+      }
+      const { changes } = this.db
+        .prepare(
+          `UPDATE transcriptions SET ${assignments}, edited_at = CURRENT_TIMESTAMP WHERE id = @id`
+        )
+        .run({ ...fields, id });
+      if (changes === 0) return false;
+      snapshot.run(kind, id);
+      return true;
+    })();
+    this.persistNow();
+
+    return { success: replaced, transcription: this.getTranscriptionById(id) };
+  }
+
+  // Newest first
+  getTranscriptionRevisions(transcriptionId) {
+    try {
+      if (!this.db) {
+        throw new Error("Database not initialized");
+      }
+      return this.db
+        .prepare(
+          "SELECT * FROM transcription_revisions WHERE transcription_id = ? ORDER BY id DESC"
+        )
+        .all(transcriptionId);
+    } catch (error) {
+      console.error("Error getting transcription revisions:", error.message);
+      throw error;
+    }
+  }
+
+  setTranscriptionStarred(id, starred) {
+    try {
+      if (!this.db) {
+        throw new Error("Database not initialized");
+      }
+      const result = this.db
+        .prepare("UPDATE transcriptions SET starred = ? WHERE id = ?")
+        .run(starred ? 1 : 0, id);
+      return { success: result.changes > 0, transcription: this.getTranscriptionById(id) };
+    } catch (error) {
+      console.error("Error updating starred state:", error.message);
+      throw error;
+    }
+  }
+
+  setTranscriptionPinned(id, pinned) {
+    try {
+      if (!this.db) {
+        throw new Error("Database not initialized");
+      }
+      const result = this.db
+        .prepare("UPDATE transcriptions SET pinned = ? WHERE id = ?")
+        .run(pinned ? 1 : 0, id);
+      return { success: result.changes > 0, transcription: this.getTranscriptionById(id) };
+    } catch (error) {
+      console.error("Error updating pinned state:", error.message);
+      throw error;
+    }
+  }
+
+  // Pinned rows are few and shown above the paginated feed, so they load in one go
+  getPinnedTranscriptions() {
+    try {
+      if (!this.db) {
+        throw new Error("Database not initialized");
+      }
+      const rows = this.db
+        .prepare(
+          `SELECT * FROM transcriptions WHERE pinned = 1 AND deleted_at IS NULL
+           ORDER BY timestamp DESC, id DESC`
+        )
+        .all();
+      return this.withTags(rows);
+    } catch (error) {
+      console.error("Error getting pinned transcriptions:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the tags of a transcription. Unknown tags are created; tags no
+   * entry uses any more are deleted.
+   * @param {number} id
+   * @param {string[]} tags
+   */
+  setTranscriptionTags(id, tags) {
+    try {
+      if (!this.db) {
+        throw new Error("Database not initialized");
+      }
+      if (!this.getTranscriptionById(id)) {
+        return { success: false, transcription: null };
+      }
+
+      const names = normalizeTags(tags);
+      const insertTag = this.db.prepare("INSERT OR IGNORE INTO tags (name) VALUES (?)");
+      const linkTag = this.db.prepare(
+        `INSERT OR IGNORE INTO transcription_tags (transcription_id, tag_id)
+         SELECT ?, id FROM tags WHERE name = ?`
+      );
+
+      this.db.transaction(() => {
+        this.db.prepare("DELETE FROM transcription_tags WHERE transcription_id = ?").run(id);
+        names.forEach((name) => {
+          insertTag.run(name);
+          linkTag.run(id, name);
+        });
+        this.db.exec(
+          "DELETE FROM tags WHERE id NOT IN (SELECT DISTINCT tag_id FROM transcription_tags)"
+        );
+      })();
+
+      return { success: true, transcription: this.getTranscriptionById(id) };
+    } catch (error) {
+      console.error("Error updating transcription tags:", error.message);
+      throw error;
+    }
+  }
+
+  // Every tag in use with its entry count, alphabetical
+  getTags() {
+    try {
+      if (!this.db) {
+        throw new Error("Database not initialized");
+      }
+      return this.db
+        .prepare(
+          `SELECT g.name, COUNT(tt.transcription_id) AS count
+           FROM tags g
+           JOIN transcription_tags tt ON tt.tag_id = g.id
+           JOIN transcriptions t ON t.id = tt.transcription_id AND t.deleted_at IS NULL
+           GROUP BY g.id ORDER BY g.name COLLATE NOCASE`
+        )
+        .all();
+    } catch (error) {
+      console.error("Error getting tags:", error.message);
+      throw error;
+    }
+  }
+
+  // Adds each row's tag names (alphabetical) with a single lookup for the whole page
+  withTags(rows) {
+    if (rows.length === 0) return rows;
+    const tagsById = new Map(rows.map((row) => [row.id, []]));
+    this.db
+      .prepare(
+        `SELECT tt.transcription_id AS id, g.name
+         FROM transcription_tags tt JOIN tags g ON g.id = tt.tag_id
+         WHERE tt.transcription_id IN (SELECT value FROM json_each(?))
+         ORDER BY g.name COLLATE NOCASE`
+      )
+      .all(JSON.stringify([...tagsById.keys()]))
+      .forEach(({ id, name }) => tagsById.get(id)?.push(name));
+    return rows.map((row) => ({ ...row, tags: tagsById.get(row.id) || [] }));
+  }
+
+  /**
+   * Permanently delete transcriptions outside the retention policy and trash
+   * older than its grace period, then rewrite the file so nothing recoverable
+   * is left behind.
+   * @param {{ maxAgeDays: number, maxEntries: number, keepStarred: boolean, trashDays: number }} policy -
+   *   0 disables the corresponding limit; starred rows neither expire
+   *   nor count towards maxEntries when keepStarred is set
+   * @returns {{ deleted: number }}
+   */
+  applyRetention({ maxAgeDays = 0, maxEntries = 0, keepStarred = true, trashDays = 0 } = {}) {
+    try {
+      if (!this.db) {
+        throw new Error("Database not initialized");
+      }
+
+      const eligible = keepStarred ? "starred = 0" : "1 = 1";
+      const prune = this.db.transaction(() => {
+        let deleted = 0;
+        if (maxAgeDays > 0) {
+          deleted += this.db
+            .prepare(
+              `DELETE FROM transcriptions
+               WHERE ${eligible} AND timestamp < datetime('now', @modifier)`
+            )
+            .run({ modifier: `-${maxAgeDays} days` }).changes;
+          this.db
+            .prepare("DELETE FROM pipeline_failures WHERE created_at < datetime('now', ?)")
+            .run(`-${maxAgeDays} days`);
+        }
+        if (maxEntries > 0) {
+          // Entries in the trash neither count towards the limit nor make room for others
+          deleted += this.db
+            .prepare(
+              `DELETE FROM transcriptions
+               WHERE ${eligible} AND deleted_at IS NULL AND id NOT IN (
+                 SELECT id FROM transcriptions WHERE ${eligible} AND deleted_at IS NULL
+                 ORDER BY timestamp DESC, id DESC LIMIT @maxEntries
+               )`
+            )
+            .run({ maxEntries }).changes;
+        }
+        if (trashDays > 0) {
+          deleted += this.db
+            .prepare("DELETE FROM transcriptions WHERE deleted_at < datetime('now', ?)")
+            .run(`-${trashDays} days`).changes;
+        }
+        return deleted;
+      });
+
+      const deleted = prune();
+      if (deleted > 0) {
+        this.compact();
+        this.persistNow();
+      }
+      return { deleted };
+    } catch (error) {
+      console.error("Error applying retention policy:", error.message);
+      throw error;
+    }
+  }
+
+  // Merge FTS segments so old tokens are dropped, then rebuild the file
+  compact() {
+    this.db.exec("INSERT INTO transcriptions_fts(transcriptions_fts) VALUES ('optimize')");
+    this.db.exec("VACUUM");
+  }
+
+  /**
+   * Move every transcription to the trash.
+   * @returns {{ cleared: number, ids: number[], success: boolean }} - `ids` lets the
+   *   caller undo the clear with restoreTranscriptions
+   */
   clearTranscriptions() {
     try {
       if (!this.db) {
         throw new Error("Database not initialized");
       }
-      const stmt = this.db.prepare("DELETE FROM transcriptions");
-      const result = stmt.run();
-      return { cleared: result.changes, success: true };
+      const clear = this.db.transaction(() => {
+        const ids = this.db
+          .prepare("SELECT id FROM transcriptions WHERE deleted_at IS NULL")
+          .pluck()
+          .all();
+        this.db
+          .prepare(
+            "UPDATE transcriptions SET deleted_at = CURRENT_TIMESTAMP WHERE deleted_at IS NULL"
+          )
+          .run();
+        // Error counts only feed the statistics and are not part of an undo
+        this.db.prepare("DELETE FROM pipeline_failures").run();
+        return ids;
+      });
+      const ids = clear();
+      this.persistNow();
+      return { cleared: ids.length, ids, success: true };
     } catch (error) {
       console.error("Error clearing transcriptions:", error.message);
       throw error;
     }
   }
 
+  // Moves the entry to the trash; the returned row is what an undo puts back
   deleteTranscription(id) {
     try {
       if (!this.db) {
         throw new Error("Database not initialized");
       }
-      const stmt = this.db.prepare("DELETE FROM transcriptions WHERE id = ?");
+      const stmt = this.db.prepare(
+        "UPDATE transcriptions SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL"
+      );
       const result = stmt.run(id);
-      console.log(`🗑️ Deleted transcription ${id}, affected rows: ${result.changes}`);
-      return { success: result.changes > 0, id };
+      this.persistNow();
+      console.log(`🗑️ Moved transcription ${id} to trash, affected rows: ${result.changes}`);
+      return {
+        success: result.changes > 0,
+        id,
+        transcription: result.changes > 0 ? this.getTranscriptionById(id) : null,
+      };
     } catch (error) {
       console.error("❌ Error deleting transcription:", error);
       throw error;
     }
   }
 
-  cleanup() {
-    console.log("Starting database cleanup...");
+  /**
+   * Take entries back out of the trash.
+   * @param {number[]} ids
+   * @returns {{ restored: number, transcriptions: object[] }}
+   */
+  restoreTranscriptions(ids) {
     try {
-      const dbPath = path.join(
-        app.getPath("userData"),
-        process.env.NODE_ENV === "development" ? "transcriptions-dev.db" : "transcriptions.db"
-      );
-      if (fs.existsSync(dbPath)) {
-        fs.unlinkSync(dbPath);
-        console.log("✅ Database file deleted:", dbPath);
+      if (!this.db) {
+        throw new Error("Database not initialized");
       }
+      const idList = JSON.stringify((ids || []).filter((id) => Number.isInteger(id)));
+      const restore = this.db.transaction(() => {
+        const rows = this.db
+          .prepare(
+            `SELECT id FROM transcriptions
+             WHERE deleted_at IS NOT NULL AND id IN (SELECT value FROM json_each(?))`
+          )
+          .pluck()
+          .all(idList);
+        this.db
+          .prepare(
+            `UPDATE transcriptions SET deleted_at = NULL
+             WHERE id IN (SELECT value FROM json_each(?))`
+          )
+          .run(JSON.stringify(rows));
+        return rows;
+      });
+      const restoredIds = restore();
+      this.persistNow();
+      const transcriptions =
+        restoredIds.length > 0
+          ? this.withTags(
+              this.db
+                .prepare(
+                  `SELECT * FROM transcriptions WHERE id IN (SELECT value FROM json_each(?))
+                   ORDER BY timestamp DESC, id DESC`
+                )
+                .all(JSON.stringify(restoredIds))
+            )
+          : [];
+      return { restored: restoredIds.length, transcriptions };
     } catch (error) {
-      console.error("❌ Error deleting database file:", error);
+      console.error("Error restoring transcriptions:", error.message);
+      throw error;
     }
   }
+
+  // Most recently deleted first
+  getTrash() {
+    try {
+      if (!this.db) {
+        throw new Error("Database not initialized");
+      }
+      const rows = this.db
+        .prepare(
+          `SELECT * FROM transcriptions WHERE deleted_at IS NOT NULL
+           ORDER BY deleted_at DESC, id DESC`
+        )
+        .all();
+      return this.withTags(rows);
+    } catch (error) {
+      console.error("Error getting trash:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete entries from the trash; every trashed entry when `ids` is omitted.
+   * @param {number[] | null} ids
+   * @returns {{ purged: number, audioFiles: string[] }} - recordings the caller should remove
+   */
+  purgeTrash(ids = null) {
+    try {
+      if (!this.db) {
+        throw new Error("Database not initialized");
+      }
+      const scope = Array.isArray(ids)
+        ? "deleted_at IS NOT NULL AND id IN (SELECT value FROM json_each(@ids))"
+        : "deleted_at IS NOT NULL";
+      const params = Array.isArray(ids)
+        ? { ids: JSON.stringify(ids.filter((id) => Number.isInteger(id))) }
+        : {};
+      const purge = this.db.transaction(() => {
+        const audioFiles = this.db
+          .prepare(
+            `SELECT audio_file FROM transcriptions WHERE ${scope} AND audio_file IS NOT NULL`
+          )
+          .pluck()
+          .all(params);
+        const purged = this.db
+          .prepare(`DELETE FROM transcriptions WHERE ${scope}`)
+          .run(params).changes;
+        return { purged, audioFiles };
+      });
+      const result = purge();
+      if (result.purged > 0) {
+        this.compact();
+        this.persistNow();
+      }
+      return result;
+    } catch (error) {
+      console.error("Error purging trash:", error.message);
+      throw error;
+    }
+  }
+
+  cleanup() {
+    console.log("Starting database cleanup...");
+    this.stopPersistence();
+    [this.getDatabasePath(), this.getEncryptedDatabasePath(), this.getKeyPath()].forEach(
+      (filePath) => {
+        try {
+          if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+            console.log("✅ Database file deleted:", filePath);
+          }
+        } catch (error) {
+          console.error("❌ Error deleting database file:", error);
+        }
+      }
+    );
+  }
 }
 
 module.exports = DatabaseManager;
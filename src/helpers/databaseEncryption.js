@@ -0,0 +1,304 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { safeStorage } = require("electron");
+const { DatabaseError } = require("./databaseMigrations");
+
+/**
+ * On-disk format for encrypted history:
+ *
+ *   "OWDBENC1" | header length (uint32 BE) | header JSON | IV (12) | auth tag (16) | ciphertext
+ *
+ * The ciphertext is the serialized SQLite database under AES-256-GCM with a
+ * random data key. That key lives in the OS keyring (through safeStorage); the
+ * header carries a second copy wrapped with a key derived from the recovery key,
+ * which is the only way back in if the keyring entry is lost. The header is
+ * authenticated as additional data, so it cannot be swapped without detection.
+ */
+const MAGIC = Buffer.from("OWDBENC1", "ascii");
+// Files kept next to history (recordings, the recording spool) under the same data key:
+//   "OWBLOB01" | IV (12) | auth tag (16) | ciphertext
+const BLOB_MAGIC = Buffer.from("OWBLOB01", "ascii");
+const FORMAT_VERSION = 1;
+const CIPHER = "aes-256-gcm";
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+// Crockford base32 without ambiguous letters; 20 random bytes become 32 characters
+const RECOVERY_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const RECOVERY_KEY_BYTES = 20;
+
+// Linux falls back to a hardcoded password when no secret service is running
+const INSECURE_BACKENDS = new Set(["basic_text", "unknown"]);
+
+function encrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  if (aad) cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function decrypt(key, { iv, tag, ciphertext }, aad) {
+  const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+  if (aad) decipher.setAAD(aad);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function encodeRecoveryKey(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += RECOVERY_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  return output.match(/.{1,4}/g).join("-");
+}
+
+// Users retype the key by hand: ignore case, dashes and spaces, and read O/I/L as 0/1/1
+function normalizeRecoveryKey(recoveryKey) {
+  return String(recoveryKey || "")
+    .toUpperCase()
+    .replace(/[^0-9A-Z]/g, "")
+    .replace(/O/g, "0")
+    .replace(/[IL]/g, "1");
+}
+
+function deriveRecoveryWrappingKey(recoveryKey, salt, params) {
+  return crypto.scryptSync(normalizeRecoveryKey(recoveryKey), salt, KEY_BYTES, {
+    ...SCRYPT_PARAMS,
+    ...params,
+  });
+}
+
+function createDataKey() {
+  return crypto.randomBytes(KEY_BYTES);
+}
+
+function createRecoveryKey() {
+  return encodeRecoveryKey(crypto.randomBytes(RECOVERY_KEY_BYTES));
+}
+
+/** Header for a new encrypted database, wrapping the data key for recovery. */
+function createHeader(dataKey, recoveryKey) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const wrapped = encrypt(deriveRecoveryWrappingKey(recoveryKey, salt, { N, r, p }), dataKey);
+  return {
+    version: FORMAT_VERSION,
+    cipher: CIPHER,
+    recovery: {
+      kdf: "scrypt",
+      N,
+      r,
+      p,
+      salt: salt.toString("base64"),
+      iv: wrapped.iv.toString("base64"),
+      tag: wrapped.tag.toString("base64"),
+      wrappedKey: wrapped.ciphertext.toString("base64"),
+    },
+  };
+}
+
+function encodeHeader(header) {
+  const json = Buffer.from(JSON.stringify(header), "utf8");
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(json.length);
+  return Buffer.concat([MAGIC, length, json]);
+}
+
+function parseFile(file) {
+  if (file.length < MAGIC.length + 4 || !file.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw new DatabaseError("Not an encrypted OpenWayl database", "DATABASE_CORRUPT");
+  }
+  const headerLength = file.readUInt32BE(MAGIC.length);
+  const headerEnd = MAGIC.length + 4 + headerLength;
+  if (headerEnd + IV_BYTES + TAG_BYTES > file.length) {
+    throw new DatabaseError("The encrypted database is truncated", "DATABASE_CORRUPT");
+  }
+  let header = null;
+  try {
+    header = JSON.parse(file.subarray(MAGIC.length + 4, headerEnd).toString("utf8"));
+  } catch {
+    // Reported below along with headers that parse but are not ours
+  }
+  if (typeof header?.version !== "number") {
+    throw new DatabaseError("The encrypted database header is damaged", "DATABASE_CORRUPT");
+  }
+  if (header.version !== FORMAT_VERSION) {
+    throw new DatabaseError(
+      `Unsupported encrypted database format ${header.version}`,
+      "DATABASE_TOO_NEW",
+      { fromVersion: header.version, supportedVersion: FORMAT_VERSION }
+    );
+  }
+  return {
+    header,
+    aad: file.subarray(0, headerEnd),
+    iv: file.subarray(headerEnd, headerEnd + IV_BYTES),
+    tag: file.subarray(headerEnd + IV_BYTES, headerEnd + IV_BYTES + TAG_BYTES),
+    ciphertext: file.subarray(headerEnd + IV_BYTES + TAG_BYTES),
+  };
+}
+
+function readHeader(file) {
+  return parseFile(file).header;
+}
+
+/** @throws when the key does not match or the file was modified */
+function decryptDatabase(file, dataKey) {
+  const { aad, ...payload } = parseFile(file);
+  return decrypt(dataKey, payload, aad);
+}
+
+function encryptBlob(data, dataKey) {
+  const { iv, tag, ciphertext } = encrypt(dataKey, data, BLOB_MAGIC);
+  return Buffer.concat([BLOB_MAGIC, iv, tag, ciphertext]);
+}
+
+function isEncryptedBlob(data) {
+  return data.length >= BLOB_MAGIC.length && data.subarray(0, BLOB_MAGIC.length).equals(BLOB_MAGIC);
+}
+
+/** @throws when the key does not match or the data was modified */
+function decryptBlob(data, dataKey) {
+  const ivStart = BLOB_MAGIC.length;
+  const tagStart = ivStart + IV_BYTES;
+  return decrypt(
+    dataKey,
+    {
+      iv: data.subarray(ivStart, tagStart),
+      tag: data.subarray(tagStart, tagStart + TAG_BYTES),
+      ciphertext: data.subarray(tagStart + TAG_BYTES),
+    },
+    BLOB_MAGIC
+  );
+}
+
+// Tells which data key a file was written with without storing anything that reveals the key
+function getKeyId(dataKey) {
+  return crypto.createHash("sha256").update(dataKey).digest("hex").slice(0, 16);
+}
+
+// Write to a temporary file and rename over the target so a crash never leaves half a file
+function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.tmp`;
+  const fd = fs.openSync(tempPath, "w", 0o600);
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+}
+
+function writeEncryptedDatabase(filePath, image, dataKey, header) {
+  const aad = encodeHeader(header);
+  const { iv, tag, ciphertext } = encrypt(dataKey, image, aad);
+  writeFileAtomic(filePath, Buffer.concat([aad, iv, tag, ciphertext]));
+}
+
+/** @throws {DatabaseError} INVALID_RECOVERY_KEY */
+function unwrapWithRecoveryKey(header, recoveryKey) {
+  const { salt, iv, tag, wrappedKey, N, r, p } = header.recovery || {};
+  try {
+    const wrappingKey = deriveRecoveryWrappingKey(recoveryKey, Buffer.from(salt, "base64"), {
+      N,
+      r,
+      p,
+    });
+    return decrypt(wrappingKey, {
+      iv: Buffer.from(iv, "base64"),
+      tag: Buffer.from(tag, "base64"),
+      ciphertext: Buffer.from(wrappedKey, "base64"),
+    });
+  } catch {
+    throw new DatabaseError(
+      "The recovery key does not match this database",
+      "INVALID_RECOVERY_KEY"
+    );
+  }
+}
+
+function getKeyringBackend() {
+  if (process.platform !== "linux") return null;
+  try {
+    return safeStorage.getSelectedStorageBackend();
+  } catch {
+    return "unknown";
+  }
+}
+
+function isKeyringAvailable() {
+  if (!safeStorage.isEncryptionAvailable()) return false;
+  return !INSECURE_BACKENDS.has(getKeyringBackend());
+}
+
+function saveKeyToKeyring(keyPath, dataKey) {
+  if (!isKeyringAvailable()) {
+    throw new DatabaseError(
+      "No secure keyring is available to hold the encryption key",
+      "KEYRING_UNAVAILABLE",
+      { backend: getKeyringBackend() }
+    );
+  }
+  writeFileAtomic(keyPath, safeStorage.encryptString(dataKey.toString("base64")));
+}
+
+// null when the entry is missing or the keyring can no longer decrypt it
+function loadKeyFromKeyring(keyPath) {
+  try {
+    const key = Buffer.from(safeStorage.decryptString(fs.readFileSync(keyPath)), "base64");
+    return key.length === KEY_BYTES ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+// Best-effort overwrite before unlinking; SSDs and copy-on-write filesystems may keep old blocks
+function shredFile(filePath) {
+  try {
+    const { size } = fs.statSync(filePath);
+    const fd = fs.openSync(filePath, "r+");
+    try {
+      const zeros = Buffer.alloc(Math.min(size, 1024 * 1024));
+      for (let offset = 0; offset < size; offset += zeros.length) {
+        fs.writeSync(fd, zeros, 0, Math.min(zeros.length, size - offset), offset);
+      }
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.unlinkSync(filePath);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+}
+
+module.exports = {
+  createDataKey,
+  createRecoveryKey,
+  createHeader,
+  readHeader,
+  decryptDatabase,
+  writeEncryptedDatabase,
+  encryptBlob,
+  isEncryptedBlob,
+  decryptBlob,
+  getKeyId,
+  writeFileAtomic,
+  unwrapWithRecoveryKey,
+  isKeyringAvailable,
+  getKeyringBackend,
+  saveKeyToKeyring,
+  loadKeyFromKeyring,
+  shredFile,
+};
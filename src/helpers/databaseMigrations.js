@@ -0,0 +1,339 @@
+const fs = require("fs");
+const path = require("path");
+
+const MAX_BACKUPS = 3;
+
+class DatabaseError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = "DatabaseError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Ordered schema migrations. Each step runs once, inside a transaction, and
+ * bumps PRAGMA user_version to its own version. Never edit a released step;
+ * append a new one instead.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create-transcriptions",
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS transcriptions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          text TEXT NOT NULL,
+          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: "add-search-index",
+    up(db) {
+      // External-content FTS5 table: the index mirrors transcriptions.text without
+      // storing a second copy of every dictation.
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS transcriptions_fts USING fts5(
+          text,
+          content='transcriptions',
+          content_rowid='id',
+          tokenize='unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS transcriptions_fts_insert AFTER INSERT ON transcriptions BEGIN
+          INSERT INTO transcriptions_fts(rowid, text) VALUES (new.id, new.text);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS transcriptions_fts_delete AFTER DELETE ON transcriptions BEGIN
+          INSERT INTO transcriptions_fts(transcriptions_fts, rowid, text)
+            VALUES ('delete', old.id, old.text);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS transcriptions_fts_update AFTER UPDATE OF text ON transcriptions BEGIN
+          INSERT INTO transcriptions_fts(transcriptions_fts, rowid, text)
+            VALUES ('delete', old.id, old.text);
+          INSERT INTO transcriptions_fts(rowid, text) VALUES (new.id, new.text);
+        END;
+
+        INSERT INTO transcriptions_fts(transcriptions_fts) VALUES ('rebuild');
+      `);
+    },
+  },
+  {
+    version: 3,
+    name: "add-pipeline-metadata",
+    up(db) {
+      // text stays the final (post-reasoning) output; raw_text is the engine's transcript
+      db.exec(`
+        ALTER TABLE transcriptions ADD COLUMN raw_text TEXT;
+        ALTER TABLE transcriptions ADD COLUMN source TEXT;
+        ALTER TABLE transcriptions ADD COLUMN provider TEXT;
+        ALTER TABLE transcriptions ADD COLUMN model TEXT;
+        ALTER TABLE transcriptions ADD COLUMN reasoning_model TEXT;
+        ALTER TABLE transcriptions ADD COLUMN language TEXT;
+        ALTER TABLE transcriptions ADD COLUMN audio_duration_ms INTEGER;
+        ALTER TABLE transcriptions ADD COLUMN audio_conversion_ms INTEGER;
+        ALTER TABLE transcriptions ADD COLUMN transcription_ms INTEGER;
+        ALTER TABLE transcriptions ADD COLUMN reasoning_ms INTEGER;
+        ALTER TABLE transcriptions ADD COLUMN round_trip_ms INTEGER;
+      `);
+    },
+  },
+  {
+    version: 4,
+    name: "add-history-order-index",
+    up(db) {
+      // Serves newest-first listing and keyset pagination on (timestamp, id)
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_transcriptions_timestamp_id
+          ON transcriptions (timestamp DESC, id DESC);
+      `);
+    },
+  },
+  {
+    version: 5,
+    name: "add-starred-flag",
+    up(db) {
+      // Starred rows can be exempted from the retention policy
+      db.exec(`
+        ALTER TABLE transcriptions ADD COLUMN starred INTEGER NOT NULL DEFAULT 0;
+      `);
+    },
+  },
+  {
+    version: 6,
+    name: "add-audio-recording",
+    up(db) {
+      // audio_file is relative to the managed recordings directory (see historyAudio.js)
+      db.exec(`
+        ALTER TABLE transcriptions ADD COLUMN audio_file TEXT;
+        ALTER TABLE transcriptions ADD COLUMN audio_size_bytes INTEGER;
+      `);
+    },
+  },
+  {
+    version: 7,
+    name: "add-transcription-revisions",
+    up(db) {
+      // Alternative versions of an entry's text; the transcriptions row keeps the current one.
+      // Revisions go with their entry, whichever path deletes it.
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS transcription_revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          transcription_id INTEGER NOT NULL,
+          kind TEXT NOT NULL,
+          text TEXT NOT NULL,
+          raw_text TEXT,
+          source TEXT,
+          provider TEXT,
+          model TEXT,
+          reasoning_model TEXT,
+          language TEXT,
+          audio_duration_ms INTEGER,
+          audio_conversion_ms INTEGER,
+          transcription_ms INTEGER,
+          reasoning_ms INTEGER,
+          round_trip_ms INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_transcription_revisions_transcription
+          ON transcription_revisions (transcription_id, id);
+
+        CREATE TRIGGER IF NOT EXISTS transcription_revisions_cascade AFTER DELETE ON transcriptions BEGIN
+          DELETE FROM transcription_revisions WHERE transcription_id = old.id;
+        END;
+      `);
+    },
+  },
+  {
+    version: 8,
+    name: "add-tags-and-pinning",
+    up(db) {
+      // Tag names are unique regardless of case; unused tags are pruned when entries are retagged
+      db.exec(`
+        ALTER TABLE transcriptions ADD COLUMN pinned INTEGER NOT NULL DEFAULT 0;
+
+        CREATE TABLE IF NOT EXISTS tags (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS transcription_tags (
+          transcription_id INTEGER NOT NULL,
+          tag_id INTEGER NOT NULL,
+          PRIMARY KEY (transcription_id, tag_id)
+        ) WITHOUT ROWID;
+
+        CREATE INDEX IF NOT EXISTS idx_transcription_tags_tag
+          ON transcription_tags (tag_id, transcription_id);
+
+        CREATE TRIGGER IF NOT EXISTS transcription_tags_cascade AFTER DELETE ON transcriptions BEGIN
+          DELETE FROM transcription_tags WHERE transcription_id = old.id;
+        END;
+      `);
+    },
+  },
+  {
+    version: 9,
+    name: "add-edited-timestamp",
+    up(db) {
+      // Set when a manual edit or a restored revision replaces the text
+      db.exec(`
+        ALTER TABLE transcriptions ADD COLUMN edited_at DATETIME;
+      `);
+    },
+  },
+  {
+    version: 10,
+    name: "add-pipeline-failures",
+    up(db) {
+      // Failed dictations never reach history; usage statistics need them for error rates
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS pipeline_failures (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          provider TEXT,
+          model TEXT,
+          reasoning_model TEXT,
+          error TEXT,
+          audio_duration_ms INTEGER,
+          elapsed_ms INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_pipeline_failures_created_at
+          ON pipeline_failures (created_at);
+      `);
+    },
+  },
+  {
+    version: 11,
+    name: "add-trash",
+    up(db) {
+      // Deleted entries stay in the trash until restored or purged; every listing skips them
+      db.exec(`
+        ALTER TABLE transcriptions ADD COLUMN deleted_at DATETIME;
+
+        CREATE INDEX IF NOT EXISTS idx_transcriptions_deleted_at
+          ON transcriptions (deleted_at) WHERE deleted_at IS NOT NULL;
+      `);
+    },
+  },
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function hasUserTables(db) {
+  const row = db
+    .prepare(
+      "SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'"
+    )
+    .get();
+  return row.count > 0;
+}
+
+function backupDatabase(db, { dbPath, backupDir, fromVersion }) {
+  fs.mkdirSync(backupDir, { recursive: true });
+
+  const baseName = path.basename(dbPath, path.extname(dbPath));
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const prefix = `${baseName}.backup-`;
+  const backupPath = path.join(backupDir, `${prefix}${stamp}-v${fromVersion}.db`);
+
+  // VACUUM INTO writes a consistent, compacted snapshot without closing the connection
+  db.prepare("VACUUM INTO ?").run(backupPath);
+
+  pruneOldBackups(backupDir, prefix, ".db");
+  return backupPath;
+}
+
+/**
+ * Keep only the most recent backups for a database (ISO stamps sort chronologically).
+ * With `cutoffMs`, backups last modified before that time are removed as well.
+ */
+function pruneOldBackups(backupDir, prefix, extension, { cutoffMs = null } = {}) {
+  const backups = fs
+    .readdirSync(backupDir)
+    .filter((name) => name.startsWith(prefix) && name.endsWith(extension))
+    .sort();
+  const expired = backups.filter(
+    (name, index) =>
+      index < backups.length - MAX_BACKUPS ||
+      (cutoffMs !== null && fs.statSync(path.join(backupDir, name)).mtimeMs < cutoffMs)
+  );
+  expired.forEach((name) => {
+    try {
+      fs.unlinkSync(path.join(backupDir, name));
+    } catch {
+      // Stale backup cleanup is best-effort
+    }
+  });
+}
+
+/**
+ * Bring the database schema up to LATEST_VERSION.
+ * @param {import("better-sqlite3").Database} db
+ * @param {{ dbPath: string, backupDir: string, backup?: (fromVersion: number) => string }} options -
+ *   `backup` replaces the default plaintext snapshot (encrypted databases write their own)
+ * @returns {{ fromVersion: number, toVersion: number, backupPath: string | null }}
+ * @throws {DatabaseError} DATABASE_TOO_NEW when the file was written by a newer app version
+ */
+function runMigrations(db, { dbPath, backupDir, backup = null }) {
+  const fromVersion = db.pragma("user_version", { simple: true });
+
+  if (fromVersion > LATEST_VERSION) {
+    throw new DatabaseError(
+      `Database schema version ${fromVersion} is newer than this app supports (${LATEST_VERSION}). Please update OpenWayl.`,
+      "DATABASE_TOO_NEW",
+      { dbPath, fromVersion, supportedVersion: LATEST_VERSION }
+    );
+  }
+
+  if (fromVersion === LATEST_VERSION) {
+    return { fromVersion, toVersion: fromVersion, backupPath: null };
+  }
+
+  // Fresh databases have nothing worth backing up
+  let backupPath = null;
+  if (hasUserTables(db)) {
+    backupPath = backup
+      ? backup(fromVersion)
+      : backupDatabase(db, { dbPath, backupDir, fromVersion });
+  }
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= fromVersion) continue;
+
+    const apply = db.transaction(() => {
+      migration.up(db);
+      db.pragma(`user_version = ${migration.version}`);
+    });
+
+    try {
+      apply();
+    } catch (error) {
+      throw new DatabaseError(
+        `Migration ${migration.version} (${migration.name}) failed: ${error.message}`,
+        "MIGRATION_FAILED",
+        { dbPath, version: migration.version, backupPath }
+      );
+    }
+  }
+
+  return { fromVersion, toVersion: LATEST_VERSION, backupPath };
+}
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_VERSION,
+  DatabaseError,
+  runMigrations,
+  pruneOldBackups,
+};
@@ -0,0 +1,288 @@
+const EventEmitter = require("events");
+const fs = require("fs");
+const os = require("os");
+const debugLogger = require("./debugLogger");
+
+// Wayland gives applications no key-release events for global shortcuts, so push-to-talk
+// reads the kernel's input devices instead. This needs read access to /dev/input/event*,
+// which members of the "input" group already have for ydotool (see WAYLAND_SETUP.md).
+
+const EV_KEY = 1;
+const KEY_RELEASED = 0;
+const KEY_PRESSED = 1;
+
+// struct input_event is a timeval followed by type (u16), code (u16) and value (s32)
+const EVENT_SIZE = ["x64", "arm64", "ppc64", "s390x", "riscv64", "loong64"].includes(os.arch())
+  ? 24
+  : 16;
+const TYPE_OFFSET = EVENT_SIZE - 8;
+
+// Reads are non-blocking and polled; a blocking read would hold a libuv thread per keyboard
+const POLL_INTERVAL_MS = 20;
+// Keyboards plugged in later are picked up on the next rescan
+const RESCAN_INTERVAL_MS = 3000;
+
+const MODIFIER_CODES = {
+  commandorcontrol: [29, 97],
+  cmdorctrl: [29, 97],
+  control: [29, 97],
+  ctrl: [29, 97],
+  shift: [42, 54],
+  alt: [56, 100],
+  option: [56, 100],
+  altgr: [100],
+  super: [125, 126],
+  meta: [125, 126],
+  command: [125, 126],
+  cmd: [125, 126],
+};
+
+// Electron accelerator key names (lowercased) to Linux KEY_* codes
+const KEY_CODES = {
+  "`": 41,
+  "-": 12,
+  "=": 13,
+  "[": 26,
+  "]": 27,
+  "\\": 43,
+  ";": 39,
+  "'": 40,
+  ",": 51,
+  ".": 52,
+  "/": 53,
+  space: 57,
+  tab: 15,
+  enter: 28,
+  return: 28,
+  esc: 1,
+  escape: 1,
+  backspace: 14,
+  capslock: 58,
+  numlock: 69,
+  scrolllock: 70,
+  pause: 119,
+  printscreen: 99,
+  insert: 110,
+  delete: 111,
+  home: 102,
+  end: 107,
+  pageup: 104,
+  pagedown: 109,
+  up: 103,
+  down: 108,
+  left: 105,
+  right: 106,
+  num0: 82,
+  num1: 79,
+  num2: 80,
+  num3: 81,
+  num4: 75,
+  num5: 76,
+  num6: 77,
+  num7: 71,
+  num8: 72,
+  num9: 73,
+  numadd: 78,
+  numsub: 74,
+  nummult: 55,
+  numdiv: 98,
+  numdec: 83,
+  mediaplaypause: 164,
+  mediastop: 166,
+};
+"QWERTYUIOP".split("").forEach((key, index) => (KEY_CODES[key.toLowerCase()] = 16 + index));
+"ASDFGHJKL".split("").forEach((key, index) => (KEY_CODES[key.toLowerCase()] = 30 + index));
+"ZXCVBNM".split("").forEach((key, index) => (KEY_CODES[key.toLowerCase()] = 44 + index));
+"1234567890".split("").forEach((key, index) => (KEY_CODES[key] = 2 + index));
+for (let n = 1; n <= 24; n++) {
+  KEY_CODES[`f${n}`] = n <= 10 ? 58 + n : n <= 12 ? 76 + n : 170 + n;
+}
+
+/**
+ * Translate an Electron accelerator into evdev key codes.
+ * @returns {{ key: number, modifiers: number[][] } | null} null when a part has no evdev code
+ */
+function parseAccelerator(accelerator) {
+  const parts = String(accelerator || "")
+    .split("+")
+    .map((part) => part.trim().toLowerCase());
+  // "+" itself is written as "Plus" in accelerators, so an empty part means a malformed one
+  if (parts.some((part) => !part)) return null;
+
+  const keyName = parts.pop();
+  const key = KEY_CODES[keyName] ?? MODIFIER_CODES[keyName]?.[0];
+  if (key === undefined) return null;
+
+  const modifiers = [];
+  for (const part of parts) {
+    if (!MODIFIER_CODES[part]) return null;
+    modifiers.push(MODIFIER_CODES[part]);
+  }
+  return { key, modifiers };
+}
+
+// Devices the kernel routes to the keyboard handler, from /proc/bus/input/devices
+function findKeyboardDevices() {
+  const listing = fs.readFileSync("/proc/bus/input/devices", "utf8");
+  return listing
+    .split(/\n\s*\n/)
+    .map((block) => block.match(/^H: Handlers=(.*)$/m)?.[1] || "")
+    .filter((handlers) => /\bkbd\b/.test(handlers))
+    .map((handlers) => handlers.match(/\bevent\d+\b/)?.[0])
+    .filter(Boolean)
+    .map((name) => `/dev/input/${name}`);
+}
+
+/**
+ * Emits "down" when the accelerator is pressed and "up" when its key or any of its
+ * modifiers is released. Key repeats are ignored.
+ */
+class EvdevKeyListener extends EventEmitter {
+  constructor() {
+    super();
+    this.devices = [];
+    this.timer = null;
+    this.lastScan = 0;
+    this.binding = null;
+    this.pressed = new Set();
+    this.isActive = false;
+  }
+
+  static isSupported() {
+    return process.platform === "linux";
+  }
+
+  /**
+   * Start watching for an accelerator, replacing any previous one.
+   * @returns {{ success: boolean, error?: string }}
+   */
+  start(accelerator) {
+    this.stop();
+
+    const binding = parseAccelerator(accelerator);
+    if (!binding) {
+      return { success: false, error: `"${accelerator}" cannot be used for push-to-talk.` };
+    }
+
+    let denied;
+    try {
+      denied = this.openDevices();
+    } catch (error) {
+      return { success: false, error: `Could not list input devices: ${error.message}` };
+    }
+
+    if (this.devices.length === 0) {
+      return {
+        success: false,
+        error:
+          denied.length > 0
+            ? "Push-to-talk needs read access to keyboard devices. Add your user to the input group and log in again."
+            : "No keyboard devices were found for push-to-talk.",
+      };
+    }
+
+    this.binding = binding;
+    this.timer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    debugLogger.log(
+      `[EvdevKeyListener] Watching "${accelerator}" on ${this.devices.map((d) => d.path).join(", ")}`
+    );
+    return { success: true };
+  }
+
+  // Opens keyboards that are not open yet; returns the paths that were not readable
+  openDevices() {
+    this.lastScan = Date.now();
+    const denied = [];
+    for (const devicePath of findKeyboardDevices()) {
+      if (this.devices.some((device) => device.path === devicePath)) continue;
+      try {
+        const fd = fs.openSync(devicePath, fs.constants.O_RDONLY | fs.constants.O_NONBLOCK);
+        this.devices.push({ path: devicePath, fd, buffer: Buffer.alloc(EVENT_SIZE * 64) });
+      } catch (error) {
+        if (error.code === "EACCES" || error.code === "EPERM") denied.push(devicePath);
+        debugLogger.log(`[EvdevKeyListener] Cannot open ${devicePath}: ${error.message}`);
+      }
+    }
+    return denied;
+  }
+
+  poll() {
+    if (Date.now() - this.lastScan >= RESCAN_INTERVAL_MS) {
+      try {
+        this.openDevices();
+      } catch {
+        // Keep the keyboards that are already open
+      }
+    }
+
+    for (const device of [...this.devices]) {
+      try {
+        let bytesRead;
+        while ((bytesRead = fs.readSync(device.fd, device.buffer, 0, device.buffer.length)) > 0) {
+          for (let offset = 0; offset + EVENT_SIZE <= bytesRead; offset += EVENT_SIZE) {
+            this.handleEvent(
+              device.buffer.readUInt16LE(offset + TYPE_OFFSET),
+              device.buffer.readUInt16LE(offset + TYPE_OFFSET + 2),
+              device.buffer.readInt32LE(offset + TYPE_OFFSET + 4)
+            );
+          }
+        }
+      } catch (error) {
+        if (error.code === "EAGAIN") continue;
+        // ENODEV: the keyboard was unplugged
+        debugLogger.log(`[EvdevKeyListener] Dropping ${device.path}: ${error.message}`);
+        this.closeDevice(device);
+      }
+    }
+  }
+
+  handleEvent(type, code, value) {
+    if (type !== EV_KEY || (value !== KEY_PRESSED && value !== KEY_RELEASED)) return;
+
+    if (value === KEY_PRESSED) {
+      this.pressed.add(code);
+    } else {
+      this.pressed.delete(code);
+    }
+
+    const { key, modifiers } = this.binding;
+    const isBindingCode = code === key || modifiers.some((codes) => codes.includes(code));
+    if (!isBindingCode) return;
+
+    const isHeld =
+      this.pressed.has(key) && modifiers.every((codes) => codes.some((c) => this.pressed.has(c)));
+    if (isHeld && !this.isActive && value === KEY_PRESSED) {
+      this.isActive = true;
+      this.emit("down");
+    } else if (!isHeld && this.isActive) {
+      this.isActive = false;
+      this.emit("up");
+    }
+  }
+
+  closeDevice(device) {
+    try {
+      fs.closeSync(device.fd);
+    } catch {
+      // Already gone
+    }
+    this.devices = this.devices.filter((entry) => entry !== device);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    [...this.devices].forEach((device) => this.closeDevice(device));
+    this.pressed.clear();
+    if (this.isActive) {
+      this.isActive = false;
+      this.emit("up");
+    }
+    this.binding = null;
+  }
+}
+
+module.exports = EvdevKeyListener;
+module.exports.parseAccelerator = parseAccelerator;
@@ -11,6 +11,8 @@ class IndicatorInterface extends Interface {
     super(INTERFACE_NAME);
     this._recording = false;
     this._processing = false;
+    this._level = 0;
+    this._clipping = false;
     this._clientCount = 0;
     this._onClientChange = onClientChange;
   }
@@ -23,6 +25,14 @@ class IndicatorInterface extends Interface {
     return this._processing;
   }
 
+  get Level() {
+    return this._level;
+  }
+
+  get Clipping() {
+    return this._clipping;
+  }
+
   get ClientCount() {
     return this._clientCount;
   }
@@ -49,6 +59,15 @@ class IndicatorInterface extends Interface {
       Processing: this._processing,
     });
     this.StateChanged(this._recording, this._processing);
+    if (!recording) {
+      this.setLevel(0, false);
+    }
+  }
+
+  setLevel(level, clipping) {
+    this._level = Math.min(1, Math.max(0, Number(level) || 0));
+    this._clipping = Boolean(clipping);
+    this.LevelChanged(this._level, this._clipping);
   }
 
   _emitClientChange() {
@@ -58,6 +77,8 @@ class IndicatorInterface extends Interface {
 
   StateChanged(_recording, _processing) {}
 
+  LevelChanged(_level, _clipping) {}
+
   ClientCountChanged(_count) {}
 }
 
@@ -75,6 +96,14 @@ IndicatorInterface.prototype.Processing = property({
   signature: "b",
   access: "read",
 })(IndicatorInterface.prototype.Processing);
+IndicatorInterface.prototype.Level = property({
+  signature: "d",
+  access: "read",
+})(IndicatorInterface.prototype.Level);
+IndicatorInterface.prototype.Clipping = property({
+  signature: "b",
+  access: "read",
+})(IndicatorInterface.prototype.Clipping);
 IndicatorInterface.prototype.ClientCount = property({
   signature: "u",
   access: "read",
@@ -82,6 +111,9 @@ IndicatorInterface.prototype.ClientCount = property({
 IndicatorInterface.prototype.StateChanged = signal({ signature: "bb" })(
   IndicatorInterface.prototype.StateChanged
 );
+IndicatorInterface.prototype.LevelChanged = signal({ signature: "db" })(
+  IndicatorInterface.prototype.LevelChanged
+);
 IndicatorInterface.prototype.ClientCountChanged = signal({ signature: "u" })(
   IndicatorInterface.prototype.ClientCountChanged
 );
@@ -126,11 +158,16 @@ class GnomeIndicatorBridge {
     this.windowManager?.setGnomeTopBarMode?.(this.enabled);
   }
 
-  setState({ isRecording, isProcessing }) {
+  setState({ isRecording, isProcessing, level, clipping }) {
     if (!this.interface || !this.enabled) {
       return;
     }
 
+    // Level updates are sent without a state change, only while recording
+    if (level !== undefined) {
+      this.interface.setLevel(level, clipping);
+      return;
+    }
     this.interface.setState(Boolean(isRecording), Boolean(isProcessing));
   }
 
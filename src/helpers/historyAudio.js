@@ -0,0 +1,228 @@
+const fs = require("fs");
+const path = require("path");
+const { app } = require("electron");
+const debugLogger = require("./debugLogger");
+const encryption = require("./databaseEncryption");
+
+const SETTINGS_KEY = "historyAudio";
+const BYTES_PER_MB = 1024 * 1024;
+
+// Recordings are opt-in; the quota only matters once the user turns them on
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  maxTotalMb: 500,
+};
+
+const EXTENSIONS_BY_MIME = {
+  "audio/webm": "webm",
+  "audio/ogg": "ogg",
+  "audio/mp4": "m4a",
+  "audio/mpeg": "mp3",
+  "audio/wav": "wav",
+  "audio/x-wav": "wav",
+};
+
+const MIME_BY_EXTENSION = Object.fromEntries(
+  Object.entries(EXTENSIONS_BY_MIME).map(([mimeType, extension]) => [extension, mimeType])
+);
+
+function normalizeSettings(settings = {}) {
+  const maxTotalMb = Math.floor(Number(settings.maxTotalMb));
+  return {
+    enabled: Boolean(settings.enabled),
+    maxTotalMb:
+      Number.isFinite(maxTotalMb) && maxTotalMb > 0 ? maxTotalMb : DEFAULT_SETTINGS.maxTotalMb,
+  };
+}
+
+/**
+ * Keeps the original recording for each transcription in userData/history-audio.
+ * Files are named after their row id and linked through transcriptions.audio_file;
+ * the oldest recordings are evicted once the directory exceeds the size quota. While
+ * history is encrypted, recordings are encrypted with the same data key.
+ */
+class HistoryAudioStore {
+  constructor({ databaseManager, settingsStore }) {
+    this.databaseManager = databaseManager;
+    this.settingsStore = settingsStore;
+  }
+
+  getAudioDir() {
+    return path.join(app.getPath("userData"), "history-audio");
+  }
+
+  getSettings() {
+    return normalizeSettings({ ...DEFAULT_SETTINGS, ...this.settingsStore.get(SETTINGS_KEY, {}) });
+  }
+
+  /** @returns {{ settings: object, evicted: object[] }} evicted rows no longer have audio */
+  setSettings(settings) {
+    const normalized = normalizeSettings({ ...this.getSettings(), ...settings });
+    this.settingsStore.set(SETTINGS_KEY, normalized);
+    return { settings: normalized, evicted: this.enforceQuota() };
+  }
+
+  /**
+   * Store a recording for a saved transcription.
+   * @returns {{ transcription: object | null, evicted: object[] }}
+   */
+  saveRecording(id, data, mimeType = "") {
+    if (!this.getSettings().enabled || !data) {
+      return { transcription: null, evicted: [] };
+    }
+
+    const key = this.databaseManager.getDataKey();
+    const buffer = key ? encryption.encryptBlob(Buffer.from(data), key) : Buffer.from(data);
+    const extension = EXTENSIONS_BY_MIME[String(mimeType).split(";")[0].trim()] || "webm";
+    const audioFile = `${id}.${extension}`;
+
+    fs.mkdirSync(this.getAudioDir(), { recursive: true });
+    fs.writeFileSync(path.join(this.getAudioDir(), audioFile), buffer);
+
+    const transcription = this.databaseManager.setTranscriptionAudio(id, audioFile, buffer.length);
+    const evicted = this.enforceQuota();
+    const wasEvicted = evicted.some((row) => row.id === id);
+    return { transcription: wasEvicted ? null : transcription, evicted };
+  }
+
+  readRecording(id) {
+    const row = this.databaseManager.getTranscriptionById(id);
+    if (!row?.audio_file) {
+      return null;
+    }
+
+    const filePath = path.join(this.getAudioDir(), path.basename(row.audio_file));
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    let data = fs.readFileSync(filePath);
+    if (encryption.isEncryptedBlob(data)) {
+      const key = this.databaseManager.getDataKey();
+      if (!key) return null;
+      data = encryption.decryptBlob(data, key);
+    }
+
+    const extension = path.extname(filePath).slice(1);
+    return { data, mimeType: MIME_BY_EXTENSION[extension] || "audio/webm" };
+  }
+
+  /**
+   * Rewrite every recording when history encryption is turned on or off: encrypted files
+   * are decrypted with `fromKey`, then everything is encrypted with `toKey` (or left
+   * plain when it is null). The previous contents are shredded.
+   */
+  rekeyRecordings(fromKey, toKey) {
+    let files;
+    try {
+      files = fs.readdirSync(this.getAudioDir());
+    } catch {
+      return;
+    }
+
+    for (const file of files) {
+      const filePath = path.join(this.getAudioDir(), file);
+      const nextPath = `${filePath}.next`;
+      try {
+        let data = fs.readFileSync(filePath);
+        if (encryption.isEncryptedBlob(data)) {
+          if (!fromKey) continue;
+          data = encryption.decryptBlob(data, fromKey);
+        } else if (!toKey) {
+          continue;
+        }
+        encryption.writeFileAtomic(nextPath, toKey ? encryption.encryptBlob(data, toKey) : data);
+        encryption.shredFile(filePath);
+        fs.renameSync(nextPath, filePath);
+      } catch (error) {
+        debugLogger.warn("Failed to re-encrypt recording", { file, error: error.message });
+        fs.rmSync(nextPath, { force: true });
+      }
+    }
+  }
+
+  /**
+   * Set the recordings of archived history aside under the same suffix as its database
+   * (see resetEncryptedDatabase). Row ids start over in the new history, so the old
+   * files would otherwise be pruned as orphans or overwritten by new entries.
+   */
+  archiveRecordings(suffix) {
+    try {
+      fs.renameSync(this.getAudioDir(), `${this.getAudioDir()}${suffix}`);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        debugLogger.warn("Failed to archive recordings", { error: error.message });
+      }
+    }
+  }
+
+  deleteRecording(audioFile) {
+    if (!audioFile) return;
+    try {
+      fs.unlinkSync(path.join(this.getAudioDir(), path.basename(audioFile)));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        debugLogger.warn("Failed to delete recording", { audioFile, error: error.message });
+      }
+    }
+  }
+
+  // Drop the oldest recordings until the directory fits the quota; returns the updated rows
+  enforceQuota() {
+    if (!this.databaseManager.db) return [];
+
+    const maxBytes = this.getSettings().maxTotalMb * BYTES_PER_MB;
+    const rows = this.databaseManager.getTranscriptionsWithAudio();
+    let totalBytes = rows.reduce((sum, row) => sum + (row.audio_size_bytes || 0), 0);
+    const evicted = [];
+
+    for (const row of rows) {
+      if (totalBytes <= maxBytes) break;
+      this.deleteRecording(row.audio_file);
+      evicted.push(this.databaseManager.setTranscriptionAudio(row.id, null));
+      totalBytes -= row.audio_size_bytes || 0;
+    }
+
+    if (evicted.length > 0) {
+      debugLogger.log("Evicted recordings over quota", { count: evicted.length });
+    }
+    return evicted;
+  }
+
+  // Remove files whose rows are gone (clear-all, retention pruning, interrupted deletes)
+  pruneOrphans() {
+    if (!this.databaseManager.db) return;
+
+    let files;
+    try {
+      files = fs.readdirSync(this.getAudioDir());
+    } catch {
+      return;
+    }
+
+    const linked = new Set(
+      this.databaseManager.getTranscriptionsWithAudio().map((row) => row.audio_file)
+    );
+    files.filter((file) => !linked.has(file)).forEach((file) => this.deleteRecording(file));
+  }
+
+  deleteAllRecordings() {
+    const rows = this.databaseManager.db ? this.databaseManager.getTranscriptionsWithAudio() : [];
+    const updated = rows.map((row) => {
+      this.deleteRecording(row.audio_file);
+      return this.databaseManager.setTranscriptionAudio(row.id, null);
+    });
+    this.pruneOrphans();
+    return updated;
+  }
+
+  getUsage() {
+    const rows = this.databaseManager.db ? this.databaseManager.getTranscriptionsWithAudio() : [];
+    return {
+      count: rows.length,
+      totalBytes: rows.reduce((sum, row) => sum + (row.audio_size_bytes || 0), 0),
+    };
+  }
+}
+
+module.exports = HistoryAudioStore;
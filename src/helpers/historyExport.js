@@ -0,0 +1,195 @@
+const fs = require("fs");
+const path = require("path");
+const { app, dialog } = require("electron");
+const debugLogger = require("./debugLogger");
+
+const EXPORT_FORMAT_VERSION = 1;
+
+const EXPORT_FORMATS = {
+  markdown: { extension: "md", filterName: "Markdown" },
+  json: { extension: "json", filterName: "JSON" },
+  csv: { extension: "csv", filterName: "CSV" },
+  text: { extension: "txt", filterName: "Plain Text" },
+};
+
+// Column name -> metadata key used in JSON exports (mirrors normalizeMetadata in database.js)
+const METADATA_COLUMNS = {
+  raw_text: "rawText",
+  source: "source",
+  provider: "provider",
+  model: "model",
+  reasoning_model: "reasoningModel",
+  language: "language",
+  audio_duration_ms: "audioDurationMs",
+  audio_conversion_ms: "audioConversionDurationMs",
+  transcription_ms: "transcriptionProcessingDurationMs",
+  reasoning_ms: "reasoningProcessingDurationMs",
+  round_trip_ms: "roundTripDurationMs",
+};
+
+// SQLite stores CURRENT_TIMESTAMP as "YYYY-MM-DD HH:MM:SS" in UTC
+function parseTimestamp(timestamp) {
+  const date = new Date(`${String(timestamp).replace(" ", "T")}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+const pad = (value) => String(value).padStart(2, "0");
+
+function formatLocalDate(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatLocalTime(date) {
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function toMetadata(row) {
+  const metadata = {};
+  Object.entries(METADATA_COLUMNS).forEach(([column, key]) => {
+    if (row[column] !== null && row[column] !== undefined) {
+      metadata[key] = row[column];
+    }
+  });
+  return metadata;
+}
+
+function toMarkdown(rows) {
+  const lines = ["# Dictation History", ""];
+  let currentDay = null;
+
+  rows.forEach((row) => {
+    const date = parseTimestamp(row.timestamp);
+    const day = date ? formatLocalDate(date) : "Unknown date";
+    if (day !== currentDay) {
+      currentDay = day;
+      lines.push(`## ${day}`, "");
+    }
+
+    const details = [row.provider, row.model].filter(Boolean).join(" · ");
+    lines.push(
+      `### ${date ? formatLocalTime(date) : "--:--"}${details ? ` (${details})` : ""}`,
+      ""
+    );
+    lines.push(row.text, "");
+  });
+
+  return lines.join("\n");
+}
+
+function toJson(rows) {
+  return JSON.stringify(
+    {
+      format: "openwayl-history",
+      version: EXPORT_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      count: rows.length,
+      transcriptions: rows.map((row) => ({
+        id: row.id,
+        text: row.text,
+        timestamp: parseTimestamp(row.timestamp)?.toISOString() ?? row.timestamp,
+        metadata: toMetadata(row),
+      })),
+    },
+    null,
+    2
+  );
+}
+
+function escapeCsvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const columns = ["id", "timestamp", "text", ...Object.keys(METADATA_COLUMNS)];
+  const lines = [columns.join(",")];
+  rows.forEach((row) => {
+    const values = columns.map((column) =>
+      column === "timestamp"
+        ? (parseTimestamp(row.timestamp)?.toISOString() ?? row.timestamp)
+        : row[column]
+    );
+    lines.push(values.map(escapeCsvField).join(","));
+  });
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+function toPlainText(rows) {
+  return rows
+    .map((row) => {
+      const date = parseTimestamp(row.timestamp);
+      const heading = date ? `${formatLocalDate(date)} ${formatLocalTime(date)}` : row.timestamp;
+      return `[${heading}]\n${row.text}\n`;
+    })
+    .join("\n");
+}
+
+function formatTranscriptions(rows, format) {
+  switch (format) {
+    case "markdown":
+      return toMarkdown(rows);
+    case "json":
+      return toJson(rows);
+    case "csv":
+      return toCsv(rows);
+    case "text":
+      return toPlainText(rows);
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+class HistoryExporter {
+  constructor(databaseManager) {
+    this.databaseManager = databaseManager;
+  }
+
+  /**
+   * Ask for a destination and write the transcriptions in scope to it.
+   * @param {{ format: string, ids?: number[], query?: string, from?: string, to?: string }} options
+   * @param {import("electron").BrowserWindow | null} parentWindow
+   */
+  async exportToFile(options = {}, parentWindow = null) {
+    const format = EXPORT_FORMATS[options.format] ? options.format : null;
+    if (!format) {
+      return { success: false, error: `Unsupported export format: ${options.format}` };
+    }
+
+    const rows = this.databaseManager.getTranscriptionsForExport(options);
+    if (rows.length === 0) {
+      return { success: false, error: "There are no transcriptions to export." };
+    }
+
+    const { extension, filterName } = EXPORT_FORMATS[format];
+    const dialogOptions = {
+      title: "Export Transcriptions",
+      defaultPath: path.join(
+        app.getPath("documents"),
+        `dictations-${formatLocalDate(new Date())}.${extension}`
+      ),
+      filters: [{ name: filterName, extensions: [extension] }],
+    };
+    const { canceled, filePath } = parentWindow
+      ? await dialog.showSaveDialog(parentWindow, dialogOptions)
+      : await dialog.showSaveDialog(dialogOptions);
+
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+
+    try {
+      await fs.promises.writeFile(filePath, formatTranscriptions(rows, format), "utf8");
+      debugLogger.log("Exported transcriptions", { format, count: rows.length, filePath });
+      return { success: true, filePath, count: rows.length };
+    } catch (error) {
+      debugLogger.error("Failed to export transcriptions:", error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = HistoryExporter;
+module.exports.EXPORT_FORMAT_VERSION = EXPORT_FORMAT_VERSION;
+module.exports.METADATA_COLUMNS = METADATA_COLUMNS;
+module.exports.formatTranscriptions = formatTranscriptions;
@@ -0,0 +1,147 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { app, dialog } = require("electron");
+const debugLogger = require("./debugLogger");
+const { EXPORT_FORMAT_VERSION, METADATA_COLUMNS } = require("./historyExport");
+
+const SQLITE_TIMESTAMP = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+// Store everything the way CURRENT_TIMESTAMP would have: "YYYY-MM-DD HH:MM:SS" in UTC
+function toSqliteTimestamp(value) {
+  if (typeof value !== "string" || !value) return null;
+  if (SQLITE_TIMESTAMP.test(value)) return value;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString().slice(0, 19).replace("T", " ");
+}
+
+function toEntry(text, timestamp, metadata = {}) {
+  const normalizedTimestamp = toSqliteTimestamp(timestamp);
+  if (typeof text !== "string" || !text.trim() || !normalizedTimestamp) {
+    return null;
+  }
+  return { text, timestamp: normalizedTimestamp, metadata };
+}
+
+function readJsonExport(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read ${path.basename(filePath)} as JSON: ${error.message}`);
+  }
+
+  if (data?.format !== "openwayl-history" || !Array.isArray(data.transcriptions)) {
+    throw new Error("This file is not an OpenWayl history export.");
+  }
+  if (Number(data.version) > EXPORT_FORMAT_VERSION) {
+    throw new Error("This export was created by a newer version of OpenWayl. Please update.");
+  }
+
+  return data.transcriptions.map((item) => toEntry(item?.text, item?.timestamp, item?.metadata));
+}
+
+// Upstream OpenWhispr (and older OpenWayl) databases share the transcriptions table;
+// metadata columns are only picked up when the file has them.
+function readLegacyDatabase(filePath) {
+  let legacyDb;
+  try {
+    legacyDb = new Database(filePath, { readonly: true, fileMustExist: true });
+  } catch (error) {
+    throw new Error(`Could not open ${path.basename(filePath)}: ${error.message}`);
+  }
+
+  try {
+    const columns = new Set(
+      legacyDb
+        .prepare("PRAGMA table_info(transcriptions)")
+        .all()
+        .map((column) => column.name)
+    );
+    if (!columns.has("text") || !columns.has("timestamp")) {
+      throw new Error("This database does not contain OpenWhispr transcriptions.");
+    }
+
+    const metadataColumns = Object.keys(METADATA_COLUMNS).filter((column) => columns.has(column));
+    // OpenWayl databases and their backups keep the trash in the same table; it stays behind
+    const where = columns.has("deleted_at") ? "WHERE deleted_at IS NULL" : "";
+    const rows = legacyDb
+      .prepare(
+        `SELECT ${["text", "timestamp", ...metadataColumns].join(", ")}
+         FROM transcriptions ${where} ORDER BY timestamp ASC, id ASC`
+      )
+      .all();
+
+    return rows.map((row) => {
+      const metadata = {};
+      metadataColumns.forEach((column) => {
+        metadata[METADATA_COLUMNS[column]] = row[column];
+      });
+      return toEntry(row.text, row.timestamp, metadata);
+    });
+  } finally {
+    legacyDb.close();
+  }
+}
+
+class HistoryImporter {
+  constructor(databaseManager) {
+    this.databaseManager = databaseManager;
+  }
+
+  getDefaultImportPath() {
+    const upstreamDir = path.join(app.getPath("appData"), "OpenWhispr");
+    return fs.existsSync(upstreamDir) ? upstreamDir : app.getPath("documents");
+  }
+
+  /**
+   * Ask for a JSON export or legacy database and merge its transcriptions into history.
+   * @param {import("electron").BrowserWindow | null} parentWindow
+   */
+  async importFromFile(parentWindow = null) {
+    const dialogOptions = {
+      title: "Import Transcriptions",
+      defaultPath: this.getDefaultImportPath(),
+      properties: ["openFile"],
+      filters: [
+        { name: "History exports and databases", extensions: ["json", "db", "sqlite"] },
+        { name: "JSON export", extensions: ["json"] },
+        { name: "OpenWhispr database", extensions: ["db", "sqlite"] },
+      ],
+    };
+    const { canceled, filePaths } = parentWindow
+      ? await dialog.showOpenDialog(parentWindow, dialogOptions)
+      : await dialog.showOpenDialog(dialogOptions);
+
+    if (canceled || !filePaths?.length) {
+      return { success: false, canceled: true };
+    }
+
+    return this.importFile(filePaths[0]);
+  }
+
+  importFile(filePath) {
+    try {
+      if (path.resolve(filePath) === path.resolve(this.databaseManager.getDatabasePath())) {
+        throw new Error("This is the database OpenWayl is already using.");
+      }
+
+      const parsed =
+        path.extname(filePath).toLowerCase() === ".json"
+          ? readJsonExport(filePath)
+          : readLegacyDatabase(filePath);
+      const entries = parsed.filter(Boolean);
+      const invalid = parsed.length - entries.length;
+
+      const { imported, skipped } = this.databaseManager.importTranscriptions(entries);
+      debugLogger.log("Imported transcriptions", { filePath, imported, skipped, invalid });
+      return { success: true, filePath, imported, skipped, invalid };
+    } catch (error) {
+      debugLogger.error("Failed to import transcriptions:", error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = HistoryImporter;
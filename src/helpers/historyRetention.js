@@ -0,0 +1,111 @@
+const EventEmitter = require("events");
+const debugLogger = require("./debugLogger");
+const { pruneOldBackups } = require("./databaseMigrations");
+
+const SETTINGS_KEY = "historyRetention";
+const ENFORCE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Pre-migration backups only guard against a failed upgrade; under any limit they go after this
+const BACKUP_KEEP_DAYS = 7;
+
+// 0 disables a limit; the defaults keep history forever and empty the trash after a month
+const DEFAULT_POLICY = {
+  maxAgeDays: 0,
+  maxEntries: 0,
+  keepStarred: true,
+  trashDays: 30,
+};
+
+function normalizePolicy(policy = {}) {
+  const toLimit = (value) => {
+    const number = Math.floor(Number(value));
+    return Number.isFinite(number) && number > 0 ? number : 0;
+  };
+  return {
+    maxAgeDays: toLimit(policy.maxAgeDays),
+    maxEntries: toLimit(policy.maxEntries),
+    keepStarred: policy.keepStarred !== false,
+    trashDays: toLimit(policy.trashDays),
+  };
+}
+
+/**
+ * Applies the user's retention policy to transcription history at startup and
+ * then hourly. Emits "pruned" with { deleted } whenever rows were removed.
+ */
+class HistoryRetentionManager extends EventEmitter {
+  constructor({ databaseManager, settingsStore }) {
+    super();
+    this.databaseManager = databaseManager;
+    this.settingsStore = settingsStore;
+    this.timer = null;
+  }
+
+  getPolicy() {
+    return normalizePolicy({ ...DEFAULT_POLICY, ...this.settingsStore.get(SETTINGS_KEY, {}) });
+  }
+
+  setPolicy(policy) {
+    const normalized = normalizePolicy(policy);
+    this.settingsStore.set(SETTINGS_KEY, normalized);
+    const { deleted } = this.enforce();
+    return { policy: normalized, deleted };
+  }
+
+  start() {
+    this.stop();
+    this.enforce();
+    this.timer = setInterval(() => this.enforce(), ENFORCE_INTERVAL_MS);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  enforce() {
+    const policy = this.getPolicy();
+    if (
+      !this.databaseManager.db ||
+      (!policy.maxAgeDays && !policy.maxEntries && !policy.trashDays)
+    ) {
+      return { deleted: 0 };
+    }
+
+    try {
+      const { deleted } = this.databaseManager.applyRetention(policy);
+      this.pruneBackups(policy);
+      if (deleted > 0) {
+        debugLogger.log("Retention policy removed transcriptions", { deleted, policy });
+        this.emit("pruned", { deleted });
+      }
+      return { deleted };
+    } catch (error) {
+      debugLogger.error("Failed to apply retention policy:", error);
+      return { deleted: 0 };
+    }
+  }
+
+  // Pre-migration backups are full copies of history that no limit can be applied to,
+  // so they are kept no longer than BACKUP_KEEP_DAYS, or maxAgeDays when that is shorter
+  pruneBackups({ maxAgeDays }) {
+    const keepDays = maxAgeDays ? Math.min(maxAgeDays, BACKUP_KEEP_DAYS) : BACKUP_KEEP_DAYS;
+    const cutoffMs = Date.now() - keepDays * DAY_MS;
+    const backupDir = this.databaseManager.getBackupDir();
+    const prefix = this.databaseManager.getBackupPrefix();
+    try {
+      [".db", ".db.enc"].forEach((extension) =>
+        pruneOldBackups(backupDir, prefix, extension, { cutoffMs })
+      );
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        debugLogger.warn("Failed to prune database backups", { error: error.message });
+      }
+    }
+  }
+}
+
+module.exports = HistoryRetentionManager;
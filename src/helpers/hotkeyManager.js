@@ -1,5 +1,6 @@
 const { globalShortcut } = require("electron");
 const debugLogger = require("./debugLogger");
+const EvdevKeyListener = require("./evdevKeyListener");
 
 // Suggested alternative hotkeys when registration fails
 const SUGGESTED_HOTKEYS = {
@@ -16,6 +17,24 @@ class HotkeyManager {
   constructor() {
     this.currentHotkey = "`";
     this.isInitialized = false;
+    // "toggle" starts and stops on successive presses; "push-to-talk" records while held
+    this.recordingMode = "toggle";
+    this.pushToTalkHandlers = null;
+    this.keyListener = null;
+
+    if (EvdevKeyListener.isSupported()) {
+      this.keyListener = new EvdevKeyListener();
+      this.keyListener.on("down", () => this.pushToTalkHandlers?.onPress?.());
+      this.keyListener.on("up", () => this.pushToTalkHandlers?.onRelease?.());
+    }
+  }
+
+  setPushToTalkHandlers(handlers) {
+    this.pushToTalkHandlers = handlers;
+  }
+
+  getRecordingMode() {
+    return this.recordingMode;
   }
 
   /**
@@ -88,6 +107,7 @@ class HotkeyManager {
       debugLogger.log(`[HotkeyManager] Unregistering previous hotkey: "${this.currentHotkey}"`);
       globalShortcut.unregister(this.currentHotkey);
     }
+    this.keyListener?.stop();
 
     if (!hotkey || hotkey.trim() === "") {
       this.currentHotkey = "";
@@ -108,6 +128,10 @@ class HotkeyManager {
         return { success: true, hotkey };
       }
 
+      if (this.recordingMode === "push-to-talk") {
+        return this.setupPushToTalk(hotkey);
+      }
+
       // Check if already registered before attempting
       const alreadyRegistered = globalShortcut.isRegistered(hotkey);
       debugLogger.log(`[HotkeyManager] Is "${hotkey}" already registered? ${alreadyRegistered}`);
@@ -145,6 +169,51 @@ class HotkeyManager {
     }
   }
 
+  // Key releases come from the kernel input devices; globalShortcut only reports presses
+  setupPushToTalk(hotkey) {
+    if (!this.keyListener) {
+      return {
+        success: false,
+        error: "Push-to-talk is only available on Linux, or with the Globe key on macOS.",
+      };
+    }
+
+    const result = this.keyListener.start(hotkey);
+    if (!result.success) {
+      debugLogger.log(`[HotkeyManager] Push-to-talk unavailable: ${result.error}`);
+      return result;
+    }
+
+    // Where the desktop allows it (X11), also grab the key so holding it doesn't type into
+    // the focused app. Wayland refuses the grab, which is fine: the listener still sees it.
+    try {
+      const grabbed = globalShortcut.register(hotkey, () => {});
+      debugLogger.log(`[HotkeyManager] Push-to-talk key grab for "${hotkey}": ${grabbed}`);
+    } catch (error) {
+      debugLogger.log(`[HotkeyManager] Push-to-talk key grab failed:`, error.message);
+    }
+
+    this.currentHotkey = hotkey;
+    debugLogger.log(`[HotkeyManager] Push-to-talk set up for "${hotkey}"`);
+    return { success: true, hotkey };
+  }
+
+  setRecordingMode(mode, callback) {
+    const previousMode = this.recordingMode;
+    this.recordingMode = mode === "push-to-talk" ? "push-to-talk" : "toggle";
+    if (this.recordingMode === previousMode) {
+      return { success: true, mode: this.recordingMode };
+    }
+
+    const result = this.setupShortcuts(this.currentHotkey, callback);
+    if (!result.success) {
+      this.recordingMode = previousMode;
+      this.setupShortcuts(this.currentHotkey, callback);
+      return { success: false, error: result.error, mode: previousMode };
+    }
+    return { success: true, mode: this.recordingMode };
+  }
+
   async initializeHotkey(mainWindow, callback) {
     if (!mainWindow || !callback) {
       throw new Error("mainWindow and callback are required");
@@ -165,11 +234,20 @@ class HotkeyManager {
 
   async loadSavedHotkey(mainWindow, callback) {
     try {
-      const savedHotkey = await mainWindow.webContents.executeJavaScript(`
-        localStorage.getItem("dictationKey") || "\`"
-      `);
+      const { savedHotkey, recordingMode } = await mainWindow.webContents.executeJavaScript(`({
+        savedHotkey: localStorage.getItem("dictationKey") || "\`",
+        recordingMode: localStorage.getItem("recordingMode") || "toggle",
+      })`);
 
-      if (savedHotkey && savedHotkey !== "`") {
+      if (recordingMode === "push-to-talk") {
+        this.recordingMode = "push-to-talk";
+        const result = this.setupShortcuts(savedHotkey, callback);
+        if (!result.success) {
+          console.error("Push-to-talk unavailable, using toggle mode:", result.error);
+          this.recordingMode = "toggle";
+          this.setupShortcuts(savedHotkey, callback);
+        }
+      } else if (savedHotkey && savedHotkey !== "`") {
         const result = this.setupShortcuts(savedHotkey, callback);
         if (result.success) {
           // Hotkey initialized from localStorage
@@ -211,6 +289,7 @@ class HotkeyManager {
 
   unregisterAll() {
     globalShortcut.unregisterAll();
+    this.keyListener?.stop();
   }
 
   isHotkeyRegistered(hotkey) {
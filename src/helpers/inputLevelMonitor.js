@@ -0,0 +1,76 @@
+const POLL_INTERVAL_MS = 50;
+// The meter spans this range; anything quieter shows as empty
+const METER_FLOOR_DB = -60;
+// Samples this close to full scale are treated as clipped
+const CLIP_THRESHOLD = 0.99;
+// Keep the warning up long enough to be noticed after a single loud burst
+const CLIP_HOLD_MS = 1500;
+
+const toDb = (value) => (value > 0 ? 20 * Math.log10(value) : -Infinity);
+
+/**
+ * Measures the level of a recording stream with an AnalyserNode. `onLevel` is called
+ * every poll with the RMS level in dBFS, a 0-1 meter value and whether the input has
+ * clipped recently.
+ */
+class InputLevelMonitor {
+  constructor(stream, { onLevel } = {}) {
+    this.stream = stream;
+    this.onLevel = onLevel;
+    this.audioContext = null;
+    this.timer = null;
+    this.lastClipAt = -Infinity;
+  }
+
+  start() {
+    this.audioContext = new AudioContext();
+    const source = this.audioContext.createMediaStreamSource(this.stream);
+    this.analyser = this.audioContext.createAnalyser();
+    this.analyser.fftSize = 2048;
+    source.connect(this.analyser);
+    this.samples = new Float32Array(this.analyser.fftSize);
+    this.lastTick = performance.now();
+    this.timer = setInterval(() => this.tick(), POLL_INTERVAL_MS);
+  }
+
+  tick() {
+    if (!this.timer) return;
+    const now = performance.now();
+    const elapsedMs = now - this.lastTick;
+    this.lastTick = now;
+
+    this.analyser.getFloatTimeDomainData(this.samples);
+    let sum = 0;
+    let peak = 0;
+    for (let i = 0; i < this.samples.length; i++) {
+      const sample = this.samples[i];
+      sum += sample * sample;
+      peak = Math.max(peak, Math.abs(sample));
+    }
+    if (peak >= CLIP_THRESHOLD) {
+      this.lastClipAt = now;
+    }
+
+    const db = toDb(Math.sqrt(sum / this.samples.length));
+    this.onLevel?.({
+      db,
+      level: Math.min(1, Math.max(0, (db - METER_FLOOR_DB) / -METER_FLOOR_DB)),
+      clipping: now - this.lastClipAt < CLIP_HOLD_MS,
+      now,
+      elapsedMs,
+    });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.audioContext) {
+      this.audioContext.close().catch(() => {});
+      this.audioContext = null;
+    }
+  }
+}
+
+export default InputLevelMonitor;
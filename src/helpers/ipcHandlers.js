@@ -1,17 +1,30 @@
 const { ipcMain, app, shell, BrowserWindow } = require("electron");
 const AppUtils = require("../utils");
 const debugLogger = require("./debugLogger");
+const { buildUsageStats } = require("./usageStats");
 
 class IPCHandlers {
   constructor(managers) {
     this.environmentManager = managers.environmentManager;
     this.databaseManager = managers.databaseManager;
+    this.historyExporter = managers.historyExporter;
+    this.historyImporter = managers.historyImporter;
+    this.historyRetention = managers.historyRetention;
+    this.historyAudio = managers.historyAudio;
+    this.markdownVault = managers.markdownVault;
+    this.recordingSpool = managers.recordingSpool;
+    this.mediaFileConverter = managers.mediaFileConverter;
     this.clipboardManager = managers.clipboardManager;
     this.whisperManager = managers.whisperManager;
     this.windowManager = managers.windowManager;
     this.modelManager = managers.modelManager;
     this.settingsStore = managers.settingsStore;
     this.gnomeIndicatorBridge = managers.gnomeIndicatorBridge;
+    this.trayManager = managers.trayManager;
+    // webContents ids whose reloads and crashes release their spooled recordings
+    this.spoolOwners = new Set();
+    // webContents id of the renderer holding the warm microphone open
+    this.warmMicrophoneOwner = null;
     this.setupHandlers();
   }
 
@@ -94,9 +107,17 @@ class IPCHandlers {
       };
     });
 
+    ipcMain.handle("warm-microphone-changed", (event, isOpen) => {
+      this.setWarmMicrophoneOwner(event.sender, Boolean(isOpen));
+      return { success: true };
+    });
+
     ipcMain.handle("gnome-set-animation-state", (event, state = {}) => {
       this.gnomeIndicatorBridge?.setState?.(state);
-      this.windowManager?.updateAnimationWindowState?.(state);
+      // Level updates arrive several times a second and never change the window
+      if (state.level === undefined) {
+        this.windowManager?.updateAnimationWindowState?.(state);
+      }
       return { success: true };
     });
 
@@ -131,27 +152,55 @@ class IPCHandlers {
       }
     });
 
-    ipcMain.handle("db-save-transcription", async (event, text) => {
-      const result = this.databaseManager.saveTranscription(text);
+    ipcMain.handle("db-save-transcription", async (event, text, metadata = {}, audio = null) => {
+      const result = this.databaseManager.saveTranscription(text, metadata);
+      if (result?.success && audio?.data) {
+        // A failed recording write must not lose the transcription itself
+        try {
+          const { transcription, evicted } = this.historyAudio.saveRecording(
+            result.id,
+            audio.data,
+            audio.mimeType
+          );
+          if (transcription) {
+            result.transcription = transcription;
+          }
+          this.broadcastTranscriptionUpdates(evicted);
+        } catch (error) {
+          debugLogger.error("Failed to store recording:", error);
+        }
+      }
       if (result?.success && result?.transcription) {
         setImmediate(() => {
           this.broadcastToWindows("transcription-added", result.transcription);
+          this.markdownVault?.handleSaved(result.transcription);
         });
       }
       return result;
     });
 
-    ipcMain.handle("db-get-transcriptions", async (event, limit = 50) => {
-      return this.databaseManager.getTranscriptions(limit);
+    ipcMain.handle("db-get-transcriptions", async (event, limit = 50, cursor = null) => {
+      return this.databaseManager.getTranscriptions(limit, cursor);
+    });
+
+    ipcMain.handle("db-count-transcriptions", async () => {
+      return this.databaseManager.getTranscriptionCount();
+    });
+
+    ipcMain.handle("db-search-transcriptions", async (event, options = {}) => {
+      return this.databaseManager.searchTranscriptions(options);
     });
 
+    // Deleting and clearing move entries to the trash; the events carry what an undo needs
     ipcMain.handle("db-clear-transcriptions", async (event) => {
       const result = this.databaseManager.clearTranscriptions();
       if (result?.success) {
         setImmediate(() => {
           this.broadcastToWindows("transcriptions-cleared", {
             cleared: result.cleared,
+            ids: result.ids,
           });
+          this.broadcastTrashChange();
         });
       }
       return result;
@@ -161,12 +210,272 @@ class IPCHandlers {
       const result = this.databaseManager.deleteTranscription(id);
       if (result?.success) {
         setImmediate(() => {
-          this.broadcastToWindows("transcription-deleted", { id });
+          this.broadcastToWindows("transcription-deleted", {
+            id,
+            transcription: result.transcription,
+          });
+          this.broadcastTrashChange();
+        });
+      }
+      return result;
+    });
+
+    ipcMain.handle("db-restore-transcriptions", async (event, ids = []) => {
+      const result = this.databaseManager.restoreTranscriptions(ids);
+      if (result.restored > 0) {
+        setImmediate(() => {
+          this.broadcastToWindows("transcriptions-restored", result);
+          this.broadcastTrashChange();
+        });
+      }
+      return { success: true, ...result };
+    });
+
+    ipcMain.handle("db-get-trash", async () => {
+      return this.databaseManager.getTrash();
+    });
+
+    ipcMain.handle("db-purge-trash", async (event, ids = null) => {
+      const { purged, audioFiles } = this.databaseManager.purgeTrash(ids);
+      audioFiles.forEach((audioFile) => this.historyAudio?.deleteRecording(audioFile));
+      if (purged > 0) {
+        setImmediate(() => this.broadcastTrashChange());
+      }
+      return { success: true, purged };
+    });
+
+    ipcMain.handle("db-export-transcriptions", async (event, options = {}) => {
+      return this.historyExporter.exportToFile(
+        options,
+        BrowserWindow.fromWebContents(event.sender)
+      );
+    });
+
+    ipcMain.handle("db-import-transcriptions", async (event) => {
+      const result = await this.historyImporter.importFromFile(
+        BrowserWindow.fromWebContents(event.sender)
+      );
+      if (result?.success && result.imported > 0) {
+        setImmediate(() => {
+          this.broadcastToWindows("transcriptions-imported", { imported: result.imported });
+        });
+      }
+      return result;
+    });
+
+    ipcMain.handle("db-add-transcription-revision", async (event, id, revision = {}) => {
+      return this.databaseManager.addTranscriptionRevision(id, revision);
+    });
+
+    ipcMain.handle("db-get-transcription-revisions", async (event, id) => {
+      return this.databaseManager.getTranscriptionRevisions(id);
+    });
+
+    ipcMain.handle("db-update-transcription-text", async (event, id, text) => {
+      const result = this.databaseManager.updateTranscriptionText(id, text);
+      if (result?.success && result.transcription) {
+        setImmediate(() => {
+          this.broadcastToWindows("transcription-updated", result.transcription);
+        });
+      }
+      return result;
+    });
+
+    ipcMain.handle("db-restore-transcription-revision", async (event, id, revisionId) => {
+      const result = this.databaseManager.restoreTranscriptionRevision(id, revisionId);
+      if (result?.success && result.transcription) {
+        setImmediate(() => {
+          this.broadcastToWindows("transcription-updated", result.transcription);
+        });
+      }
+      return result;
+    });
+
+    ipcMain.handle("db-set-transcription-starred", async (event, id, starred) => {
+      const result = this.databaseManager.setTranscriptionStarred(id, Boolean(starred));
+      if (result?.success && result.transcription) {
+        setImmediate(() => {
+          this.broadcastToWindows("transcription-updated", result.transcription);
+        });
+      }
+      return result;
+    });
+
+    ipcMain.handle("db-set-transcription-pinned", async (event, id, pinned) => {
+      const result = this.databaseManager.setTranscriptionPinned(id, Boolean(pinned));
+      if (result?.success && result.transcription) {
+        setImmediate(() => {
+          this.broadcastToWindows("transcription-updated", result.transcription);
+        });
+      }
+      return result;
+    });
+
+    ipcMain.handle("db-get-pinned-transcriptions", async () => {
+      return this.databaseManager.getPinnedTranscriptions();
+    });
+
+    ipcMain.handle("db-set-transcription-tags", async (event, id, tags = []) => {
+      const result = this.databaseManager.setTranscriptionTags(id, tags);
+      if (result?.success && result.transcription) {
+        setImmediate(() => {
+          this.broadcastToWindows("transcription-updated", result.transcription);
+          this.broadcastTags();
+          this.markdownVault?.handleTagged(result.transcription);
         });
       }
       return result;
     });
 
+    ipcMain.handle("db-get-tags", async () => {
+      return this.databaseManager.getTags();
+    });
+
+    ipcMain.handle("db-record-pipeline-failure", async (event, failure = {}) => {
+      return this.databaseManager.recordPipelineFailure(failure);
+    });
+
+    ipcMain.handle("history-get-usage-stats", async (event, days = 30) => {
+      const range = Math.max(0, Math.floor(Number(days)) || 0);
+      // One extra day so the range can be cut at local rather than UTC midnight
+      const samples = this.databaseManager.getUsageSamples(range > 0 ? range + 1 : 0);
+      return buildUsageStats(samples, { days: range });
+    });
+
+    ipcMain.handle("history-get-encryption", async () => {
+      return this.databaseManager.getEncryptionStatus();
+    });
+
+    // Recordings kept next to history follow it into and out of encryption
+    ipcMain.handle("history-enable-encryption", async () => {
+      return this.runEncryptionAction(() => {
+        const result = this.databaseManager.enableEncryption();
+        this.rekeyRecordings(null, this.databaseManager.getDataKey());
+        return result;
+      });
+    });
+
+    ipcMain.handle("history-disable-encryption", async () => {
+      return this.runEncryptionAction(() => {
+        const key = this.databaseManager.getDataKey();
+        const result = this.databaseManager.disableEncryption();
+        this.rekeyRecordings(key, null);
+        return result;
+      });
+    });
+
+    ipcMain.handle("history-regenerate-recovery-key", async () => {
+      return this.runEncryptionAction(() => this.databaseManager.regenerateRecoveryKey());
+    });
+
+    ipcMain.handle("history-recover-encryption", async (event, recoveryKey) => {
+      return this.runEncryptionAction(() => this.databaseManager.recoverEncryption(recoveryKey), {
+        reload: true,
+      });
+    });
+
+    ipcMain.handle("history-reset-encryption", async () => {
+      return this.runEncryptionAction(
+        () => {
+          const result = this.databaseManager.resetEncryptedDatabase();
+          this.historyAudio?.archiveRecordings(result.archiveSuffix);
+          return result;
+        },
+        { reload: true }
+      );
+    });
+
+    ipcMain.handle("history-get-retention", async () => {
+      return this.historyRetention.getPolicy();
+    });
+
+    ipcMain.handle("history-set-retention", async (event, policy = {}) => {
+      const { policy: saved, deleted } = this.historyRetention.setPolicy(policy);
+      return { success: true, policy: saved, deleted };
+    });
+
+    this.historyRetention?.on("pruned", ({ deleted }) => {
+      this.historyAudio?.pruneOrphans();
+      this.broadcastToWindows("transcriptions-pruned", { deleted });
+      this.broadcastTrashChange();
+    });
+
+    ipcMain.handle("db-get-transcription-audio", async (event, id) => {
+      return this.historyAudio.readRecording(id);
+    });
+
+    ipcMain.handle("history-get-audio-settings", async () => {
+      return this.historyAudio.getSettings();
+    });
+
+    ipcMain.handle("history-set-audio-settings", async (event, settings = {}) => {
+      const { settings: saved, evicted } = this.historyAudio.setSettings(settings);
+      this.broadcastTranscriptionUpdates(evicted);
+      return { success: true, settings: saved, usage: this.historyAudio.getUsage() };
+    });
+
+    ipcMain.handle("history-get-audio-usage", async () => {
+      return this.historyAudio.getUsage();
+    });
+
+    ipcMain.handle("history-delete-all-audio", async () => {
+      const updated = this.historyAudio.deleteAllRecordings();
+      this.broadcastTranscriptionUpdates(updated);
+      return { success: true, deleted: updated.length };
+    });
+
+    ipcMain.handle("vault-get-settings", async () => {
+      return this.markdownVault.getSettings();
+    });
+
+    ipcMain.handle("vault-set-settings", async (event, settings = {}) => {
+      return { success: true, settings: this.markdownVault.setSettings(settings) };
+    });
+
+    ipcMain.handle("vault-choose-directory", async (event) => {
+      return this.markdownVault.chooseDirectory(BrowserWindow.fromWebContents(event.sender));
+    });
+
+    // Crash-safe copy of the dictation being recorded
+    ipcMain.handle("spool-begin", async (event, id, info = {}) => {
+      this.trackSpoolOwner(event.sender);
+      return { success: this.recordingSpool.begin(id, info, event.sender.id) };
+    });
+
+    ipcMain.handle("spool-append", async (event, id, data) => {
+      await this.recordingSpool.append(id, data);
+      return { success: true };
+    });
+
+    ipcMain.handle("spool-end", async (event, id, options = {}) => {
+      await this.recordingSpool.end(id, options);
+      return { success: true };
+    });
+
+    ipcMain.handle("spool-list-unfinished", async () => {
+      return this.recordingSpool.listUnfinished();
+    });
+
+    ipcMain.handle("spool-read", async (event, id) => {
+      return this.recordingSpool.read(id);
+    });
+
+    ipcMain.handle("spool-discard", async (event, id) => {
+      this.recordingSpool.discard(id);
+      return { success: true };
+    });
+
+    // Audio and video files transcribed from the control panel
+    ipcMain.handle("media-file-choose", async (event) => {
+      return this.mediaFileConverter.chooseFile(BrowserWindow.fromWebContents(event.sender));
+    });
+
+    ipcMain.handle("media-file-convert", async (event, filePath) => {
+      return this.mediaFileConverter.convert(filePath, (progress) => {
+        event.sender.send("media-file-convert-progress", progress);
+      });
+    });
+
     // Clipboard handlers
     ipcMain.handle("paste-text", async (event, text) => {
       return this.clipboardManager.pasteText(text);
@@ -297,6 +606,10 @@ class IPCHandlers {
       return await this.windowManager.updateHotkey(hotkey);
     });
 
+    ipcMain.handle("set-recording-mode", async (event, mode) => {
+      return this.windowManager.setRecordingMode(mode);
+    });
+
     ipcMain.handle("start-window-drag", async (event) => {
       return await this.windowManager.startWindowDrag();
     });
@@ -555,6 +868,97 @@ class IPCHandlers {
     });
   }
 
+  broadcastTranscriptionUpdates(transcriptions = []) {
+    transcriptions.filter(Boolean).forEach((transcription) => {
+      this.broadcastToWindows("transcription-updated", transcription);
+    });
+  }
+
+  // A renderer that reloads, crashes or closes mid-recording never ends its spool
+  trackSpoolOwner(webContents) {
+    if (this.spoolOwners.has(webContents.id)) return;
+    this.spoolOwners.add(webContents.id);
+
+    const ownerId = webContents.id;
+    const release = () => this.recordingSpool.releaseOwner(ownerId);
+    webContents.on("did-finish-load", release);
+    webContents.on("render-process-gone", release);
+    webContents.once("destroyed", () => {
+      release();
+      this.spoolOwners.delete(ownerId);
+    });
+  }
+
+  // A renderer that reloads or crashes closes its microphone without reporting it
+  setWarmMicrophoneOwner(webContents, isOpen) {
+    if (!isOpen) {
+      if (this.warmMicrophoneOwner === webContents.id) {
+        this.warmMicrophoneOwner = null;
+        this.trayManager?.setMicrophoneOpen(false);
+      }
+      return;
+    }
+    if (this.warmMicrophoneOwner === webContents.id) return;
+
+    const ownerId = webContents.id;
+    this.warmMicrophoneOwner = ownerId;
+    this.trayManager?.setMicrophoneOpen(true);
+    const release = () => {
+      webContents.removeListener("did-start-loading", release);
+      webContents.removeListener("render-process-gone", release);
+      webContents.removeListener("destroyed", release);
+      if (this.warmMicrophoneOwner !== ownerId) return;
+      this.warmMicrophoneOwner = null;
+      this.trayManager?.setMicrophoneOpen(false);
+    };
+    webContents.on("did-start-loading", release);
+    webContents.on("render-process-gone", release);
+    webContents.once("destroyed", release);
+  }
+
+  // Encryption changes report failures as results so the settings page can explain them
+  rekeyRecordings(fromKey, toKey) {
+    this.historyAudio?.rekeyRecordings(fromKey, toKey);
+    this.recordingSpool?.rekeyRecordings(fromKey, toKey);
+  }
+
+  runEncryptionAction(action, { reload = false } = {}) {
+    try {
+      const result = action();
+      if (result?.success && reload) {
+        // History that was locked at startup missed the retention pass
+        this.historyRetention?.enforce();
+        setImmediate(() => {
+          this.broadcastToWindows("transcriptions-reloaded", {});
+          this.broadcastTags();
+        });
+      }
+      return { ...result, status: this.databaseManager.getEncryptionStatus() };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        code: error.code || null,
+        status: this.databaseManager.getEncryptionStatus(),
+      };
+    }
+  }
+
+  // Tag counts change whenever tagged entries are retagged or deleted
+  broadcastTags() {
+    try {
+      this.broadcastToWindows("tags-updated", this.databaseManager.getTags());
+    } catch (error) {
+      debugLogger.warn("Failed to broadcast tags", { error: error.message });
+    }
+  }
+
+  // Tag counts only include entries outside the trash, so they change with it
+  broadcastTrashChange() {
+    this.broadcastToWindows("trash-updated", {});
+    this.broadcastTags();
+  }
+
   broadcastToWindows(channel, payload) {
     const windows = BrowserWindow.getAllWindows();
     windows.forEach((win) => {
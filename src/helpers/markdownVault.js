@@ -0,0 +1,185 @@
+const fs = require("fs");
+const path = require("path");
+const { app, dialog } = require("electron");
+const debugLogger = require("./debugLogger");
+
+const SETTINGS_KEY = "markdownVault";
+
+// "all" appends every dictation when it is saved; "tagged" waits until an entry is tagged
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  directory: "",
+  mode: "all",
+  // With mode "tagged", only these tags count; empty means any tag
+  tags: [],
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// SQLite stores CURRENT_TIMESTAMP as "YYYY-MM-DD HH:MM:SS" in UTC
+function parseTimestamp(timestamp) {
+  const date = new Date(`${String(timestamp).replace(" ", "T")}Z`);
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+}
+
+function formatLocalDate(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatLocalTime(date) {
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Obsidian and Logseq tags cannot contain spaces
+const toHashtag = (tag) => `#${tag.trim().replace(/\s+/g, "-")}`;
+
+function normalizeSettings(settings = {}) {
+  return {
+    enabled: Boolean(settings.enabled),
+    directory: typeof settings.directory === "string" ? settings.directory.trim() : "",
+    mode: settings.mode === "tagged" ? "tagged" : "all",
+    tags: Array.isArray(settings.tags)
+      ? settings.tags.map((tag) => String(tag).trim()).filter(Boolean)
+      : [],
+  };
+}
+
+// Each entry carries its row id so it is never written to the same note twice
+const entryMarker = (id) => `<!-- openwayl:${id} -->`;
+
+function buildFrontmatter(day) {
+  return ["---", `date: ${day}`, "source: OpenWayl", "tags: [dictation]", "---", ""].join("\n");
+}
+
+function buildEntry(transcription, date) {
+  const details = [
+    transcription.provider,
+    transcription.model,
+    transcription.reasoning_model,
+    transcription.language && transcription.language !== "auto" ? transcription.language : null,
+    transcription.audio_duration_ms
+      ? `${Math.round(transcription.audio_duration_ms / 1000)} s`
+      : null,
+  ].filter(Boolean);
+  const tags = (transcription.tags || []).map(toHashtag);
+
+  const lines = ["", `## ${formatLocalTime(date)}`, entryMarker(transcription.id)];
+  if (details.length > 0 || tags.length > 0) {
+    lines.push(`*${[...details, ...tags].join(" · ")}*`, "");
+  } else {
+    lines.push("");
+  }
+  lines.push(transcription.text, "");
+  return lines.join("\n");
+}
+
+/**
+ * Appends dictations to a daily Markdown note (YYYY-MM-DD.md) in a folder of the
+ * user's choosing, such as an Obsidian or Logseq vault. Writes are queued and run
+ * off the save path; failures are logged and never reach the caller.
+ */
+class MarkdownVaultSink {
+  constructor({ settingsStore }) {
+    this.settingsStore = settingsStore;
+    this.queue = Promise.resolve();
+  }
+
+  getSettings() {
+    return normalizeSettings({ ...DEFAULT_SETTINGS, ...this.settingsStore.get(SETTINGS_KEY, {}) });
+  }
+
+  setSettings(settings) {
+    const normalized = normalizeSettings({ ...this.getSettings(), ...settings });
+    this.settingsStore.set(SETTINGS_KEY, normalized);
+    return normalized;
+  }
+
+  /**
+   * Ask for the folder daily notes are written to and store it.
+   * @param {import("electron").BrowserWindow | null} parentWindow
+   */
+  async chooseDirectory(parentWindow = null) {
+    const current = this.getSettings().directory;
+    const dialogOptions = {
+      title: "Choose Notes Folder",
+      defaultPath: current || app.getPath("documents"),
+      properties: ["openDirectory", "createDirectory"],
+    };
+    const { canceled, filePaths } = parentWindow
+      ? await dialog.showOpenDialog(parentWindow, dialogOptions)
+      : await dialog.showOpenDialog(dialogOptions);
+
+    if (canceled || !filePaths?.length) {
+      return { success: false, canceled: true };
+    }
+
+    return { success: true, settings: this.setSettings({ directory: filePaths[0] }) };
+  }
+
+  isActive(settings = this.getSettings()) {
+    return settings.enabled && Boolean(settings.directory);
+  }
+
+  // Called once a new transcription has been saved
+  handleSaved(transcription) {
+    const settings = this.getSettings();
+    if (this.isActive(settings) && settings.mode === "all") {
+      this.enqueue(transcription, settings.directory);
+    }
+  }
+
+  // Called after an entry's tags change; in "tagged" mode this is when it is appended
+  handleTagged(transcription) {
+    const settings = this.getSettings();
+    if (!this.isActive(settings) || settings.mode !== "tagged") return;
+
+    const entryTags = (transcription?.tags || []).map((tag) => tag.toLowerCase());
+    const wanted = settings.tags.map((tag) => tag.toLowerCase());
+    const matches =
+      wanted.length === 0 ? entryTags.length > 0 : entryTags.some((tag) => wanted.includes(tag));
+    if (matches) {
+      this.enqueue(transcription, settings.directory);
+    }
+  }
+
+  enqueue(transcription, directory) {
+    if (!transcription?.id || !transcription.text) return;
+    this.queue = this.queue
+      .then(() => this.append(transcription, directory))
+      .catch((error) => {
+        debugLogger.warn("Failed to append dictation to Markdown note", {
+          id: transcription.id,
+          error: error.message,
+        });
+      });
+  }
+
+  async append(transcription, directory) {
+    // The vault root must already exist; a missing one usually means an unmounted drive
+    const stats = await fs.promises.stat(directory);
+    if (!stats.isDirectory()) {
+      throw new Error(`${directory} is not a directory`);
+    }
+
+    const date = parseTimestamp(transcription.timestamp);
+    const day = formatLocalDate(date);
+    const notePath = path.join(directory, `${day}.md`);
+
+    let existing = null;
+    try {
+      existing = await fs.promises.readFile(notePath, "utf8");
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+
+    if (existing?.includes(entryMarker(transcription.id))) {
+      return false;
+    }
+
+    const prefix = existing === null ? buildFrontmatter(day) : existing.endsWith("\n") ? "" : "\n";
+    await fs.promises.appendFile(notePath, prefix + buildEntry(transcription, date), "utf8");
+    return true;
+  }
+}
+
+module.exports = MarkdownVaultSink;
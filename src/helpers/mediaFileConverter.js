@@ -0,0 +1,177 @@
+const { spawn } = require("child_process");
+const { dialog } = require("electron");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { killProcess } = require("../utils/process");
+const debugLogger = require("./debugLogger");
+
+const AUDIO_EXTENSIONS = ["mp3", "m4a", "aac", "ogg", "oga", "opus", "flac", "wav", "webm"];
+const VIDEO_EXTENSIONS = ["mp4", "m4v", "mov", "mkv", "avi", "wmv"];
+// Short enough for the cloud upload limit and the local server's request timeout
+const SEGMENT_SECONDS = 300;
+// Segments overlap so a word cut at a boundary is whole in one of them (see stitchTranscripts)
+const OVERLAP_SECONDS = 1.5;
+const PROBE_TIMEOUT_MS = 30000;
+const SEGMENT_TIMEOUT_MS = 120000;
+
+function runFFmpeg(ffmpegPath, args, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const ffmpegProcess = spawn(ffmpegPath, args, {
+      stdio: ["ignore", "ignore", "pipe"],
+      windowsHide: true,
+    });
+
+    let stderr = "";
+    const timeout = setTimeout(() => {
+      killProcess(ffmpegProcess, "SIGKILL");
+      reject(new Error("FFmpeg conversion timed out"));
+    }, timeoutMs);
+
+    ffmpegProcess.stderr.on("data", (data) => {
+      stderr += data.toString();
+    });
+    ffmpegProcess.on("error", (error) => {
+      clearTimeout(timeout);
+      reject(error);
+    });
+    ffmpegProcess.on("close", (code) => {
+      clearTimeout(timeout);
+      resolve({ code, stderr });
+    });
+  });
+}
+
+/**
+ * Converts audio and video files picked in the control panel into the same compressed
+ * mono audio the recorder produces, split into overlapping segments that go through the
+ * transcription pipeline one at a time.
+ */
+class MediaFileConverter {
+  constructor(whisperManager) {
+    this.whisperManager = whisperManager;
+  }
+
+  isSupported(filePath) {
+    const extension = path.extname(filePath).slice(1).toLowerCase();
+    return AUDIO_EXTENSIONS.includes(extension) || VIDEO_EXTENSIONS.includes(extension);
+  }
+
+  /** @param {import("electron").BrowserWindow | null} parentWindow */
+  async chooseFile(parentWindow = null) {
+    const dialogOptions = {
+      title: "Transcribe File",
+      properties: ["openFile"],
+      filters: [
+        { name: "Audio and video", extensions: [...AUDIO_EXTENSIONS, ...VIDEO_EXTENSIONS] },
+        { name: "Audio", extensions: AUDIO_EXTENSIONS },
+        { name: "Video", extensions: VIDEO_EXTENSIONS },
+      ],
+    };
+    const { canceled, filePaths } = parentWindow
+      ? await dialog.showOpenDialog(parentWindow, dialogOptions)
+      : await dialog.showOpenDialog(dialogOptions);
+
+    return canceled || !filePaths?.length ? null : filePaths[0];
+  }
+
+  // `ffmpeg -i` without an output exits with an error but prints the stream details
+  async probe(ffmpegPath, filePath) {
+    const { stderr } = await runFFmpeg(
+      ffmpegPath,
+      ["-hide_banner", "-i", filePath],
+      PROBE_TIMEOUT_MS
+    );
+    if (!/Stream #\S+.*: Audio:/.test(stderr)) {
+      throw new Error("The file has no audio track.");
+    }
+    const match = stderr.match(/Duration: (\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+    if (!match) {
+      throw new Error("Could not read the length of the file.");
+    }
+    const [, hours, minutes, seconds] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  }
+
+  /**
+   * @param {(progress: { converted: number, total: number }) => void} [onProgress]
+   *   called after each segment, with the number of seconds converted so far
+   */
+  async convert(filePath, onProgress) {
+    const tempFiles = [];
+    try {
+      if (!this.isSupported(filePath)) {
+        throw new Error("This file type is not supported.");
+      }
+      if (!fs.existsSync(filePath)) {
+        throw new Error("The file no longer exists.");
+      }
+
+      const ffmpegPath = await this.whisperManager.getFFmpegPath();
+      if (!ffmpegPath) {
+        throw new Error("FFmpeg not found - required for audio format conversion");
+      }
+
+      const durationSeconds = await this.probe(ffmpegPath, filePath);
+      const segmentCount = Math.max(1, Math.ceil(durationSeconds / SEGMENT_SECONDS));
+      const uniqueId = crypto.randomBytes(6).toString("hex");
+      const segments = [];
+
+      for (let index = 0; index < segmentCount; index++) {
+        const start = Math.max(0, index * SEGMENT_SECONDS - OVERLAP_SECONDS);
+        const end = Math.min(durationSeconds, (index + 1) * SEGMENT_SECONDS);
+        const outputPath = path.join(os.tmpdir(), `openwayl_file_${uniqueId}_${index}.webm`);
+        tempFiles.push(outputPath);
+
+        const { code, stderr } = await runFFmpeg(
+          ffmpegPath,
+          [
+            "-hide_banner",
+            "-ss",
+            String(start),
+            "-t",
+            String(end - start),
+            "-i",
+            filePath,
+            "-vn",
+            "-ac",
+            "1",
+            "-ar",
+            "16000",
+            "-c:a",
+            "libopus",
+            "-b:a",
+            "32k",
+            "-y",
+            outputPath,
+          ],
+          SEGMENT_TIMEOUT_MS
+        );
+        if (code !== 0) {
+          debugLogger.error("FFmpeg file conversion failed", { filePath, code, stderr });
+          throw new Error(`FFmpeg conversion failed (code ${code})`);
+        }
+
+        segments.push({ data: await fs.promises.readFile(outputPath), mimeType: "audio/webm" });
+        onProgress?.({ converted: end, total: durationSeconds });
+      }
+
+      debugLogger.log("Converted file for transcription", {
+        filePath,
+        durationSeconds,
+        segmentCount,
+      });
+      return { success: true, fileName: path.basename(filePath), durationSeconds, segments };
+    } catch (error) {
+      debugLogger.error("Failed to convert file for transcription:", error);
+      return { success: false, error: error.message };
+    } finally {
+      for (const tempFile of tempFiles) {
+        fs.promises.unlink(tempFile).catch(() => {});
+      }
+    }
+  }
+}
+
+module.exports = MediaFileConverter;
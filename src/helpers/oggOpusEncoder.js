@@ -0,0 +1,147 @@
+// Same rate as files converted with FFmpeg (see MediaFileConverter), plenty for speech
+const BITRATE = 32000;
+// Ogg Opus granule positions always count 48 kHz samples, whatever the input rate
+const GRANULE_RATE = 48000;
+const MICROSECONDS = 1000000;
+
+let crcTable = null;
+
+// Ogg's CRC-32: polynomial 0x04c11db7, not reflected, zero initial value
+function oggCrc(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let crc = i << 24;
+      for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+      }
+      crcTable[i] = crc >>> 0;
+    }
+  }
+  let crc = 0;
+  for (const byte of bytes) {
+    crc = ((crc << 8) ^ crcTable[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  }
+  return crc;
+}
+
+// One packet per page keeps the muxing simple; speech packets are far below the page limit
+function oggPage(packet, { granule, serial, sequence, flags }) {
+  const laceCount = Math.floor(packet.length / 255) + 1;
+  const page = new Uint8Array(27 + laceCount + packet.length);
+  const view = new DataView(page.buffer);
+  page.set([0x4f, 0x67, 0x67, 0x53]); // "OggS"
+  view.setUint8(5, flags);
+  view.setBigUint64(6, BigInt(granule), true);
+  view.setUint32(14, serial, true);
+  view.setUint32(18, sequence, true);
+  view.setUint8(26, laceCount);
+  page.fill(255, 27, 27 + laceCount - 1);
+  view.setUint8(27 + laceCount - 1, packet.length % 255);
+  page.set(packet, 27 + laceCount);
+  view.setUint32(22, oggCrc(page), true);
+  return page;
+}
+
+function opusHead(sampleRate, description) {
+  // The encoder may hand over its own header, with the real pre-skip
+  if (description) {
+    const bytes = ArrayBuffer.isView(description)
+      ? new Uint8Array(description.buffer, description.byteOffset, description.byteLength)
+      : new Uint8Array(description);
+    if (new TextDecoder().decode(bytes.slice(0, 8)) === "OpusHead") {
+      return bytes.slice();
+    }
+  }
+  const head = new Uint8Array(19);
+  const view = new DataView(head.buffer);
+  head.set(new TextEncoder().encode("OpusHead"));
+  view.setUint8(8, 1); // version
+  view.setUint8(9, 1); // mono
+  view.setUint32(12, sampleRate, true);
+  return head;
+}
+
+function opusTags() {
+  const vendor = new TextEncoder().encode("OpenWayl");
+  const tags = new Uint8Array(16 + vendor.length);
+  const view = new DataView(tags.buffer);
+  tags.set(new TextEncoder().encode("OpusTags"));
+  view.setUint32(8, vendor.length, true);
+  tags.set(vendor, 12);
+  return tags;
+}
+
+/**
+ * Encode the first channel of an AudioBuffer as Ogg Opus, which every cloud model
+ * accepts and is a fraction of the size of WAV. Resolves to null when this runtime
+ * cannot encode Opus.
+ */
+export async function encodeOggOpus(audioBuffer) {
+  const { sampleRate } = audioBuffer;
+  const config = { codec: "opus", sampleRate, numberOfChannels: 1, bitrate: BITRATE };
+  if (typeof AudioEncoder === "undefined") {
+    return null;
+  }
+  const { supported } = await AudioEncoder.isConfigSupported(config);
+  if (!supported) {
+    return null;
+  }
+
+  const packets = [];
+  let description = null;
+  let encodeError = null;
+  const encoder = new AudioEncoder({
+    output: (chunk, metadata) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      packets.push({ data, end: chunk.timestamp + (chunk.duration ?? 0) });
+      description = metadata?.decoderConfig?.description ?? description;
+    },
+    error: (error) => {
+      encodeError = error;
+    },
+  });
+
+  try {
+    encoder.configure(config);
+    encoder.encode(
+      new AudioData({
+        format: "f32-planar",
+        sampleRate,
+        numberOfFrames: audioBuffer.length,
+        numberOfChannels: 1,
+        timestamp: 0,
+        data: audioBuffer.getChannelData(0),
+      })
+    );
+    await encoder.flush();
+  } finally {
+    if (encoder.state !== "closed") encoder.close();
+  }
+  if (encodeError) {
+    throw encodeError;
+  }
+  if (packets.length === 0) {
+    return null;
+  }
+
+  const head = opusHead(sampleRate, description);
+  const preSkip = new DataView(head.buffer).getUint16(10, true);
+  const totalGranules = preSkip + Math.round(audioBuffer.duration * GRANULE_RATE);
+  const serial = (Math.random() * 0xffffffff) >>> 0;
+  let sequence = 0;
+  const pages = [
+    oggPage(head, { granule: 0, serial, sequence: sequence++, flags: 0x02 }),
+    oggPage(opusTags(), { granule: 0, serial, sequence: sequence++, flags: 0 }),
+  ];
+  packets.forEach(({ data, end }, index) => {
+    const isLast = index === packets.length - 1;
+    const granule = isLast
+      ? totalGranules
+      : Math.min(totalGranules, preSkip + Math.round((end * GRANULE_RATE) / MICROSECONDS));
+    pages.push(oggPage(data, { granule, serial, sequence: sequence++, flags: isLast ? 0x04 : 0 }));
+  });
+
+  return new Blob(pages, { type: "audio/ogg" });
+}
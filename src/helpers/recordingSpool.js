@@ -0,0 +1,265 @@
+const fs = require("fs");
+const path = require("path");
+const { app } = require("electron");
+const debugLogger = require("./debugLogger");
+const encryption = require("./databaseEncryption");
+
+const ID_PATTERN = /^[\w-]+$/;
+const RECORD_LENGTH_BYTES = 4;
+
+// Encrypted recordings are a series of length-prefixed encrypted chunks, one per append
+function encodeRecord(data, key) {
+  const record = encryption.encryptBlob(Buffer.from(data), key);
+  const length = Buffer.alloc(RECORD_LENGTH_BYTES);
+  length.writeUInt32BE(record.length);
+  return Buffer.concat([length, record]);
+}
+
+function decodeRecords(file, key) {
+  const chunks = [];
+  let offset = 0;
+  // A chunk cut short by a crash is dropped; everything before it is intact
+  while (offset + RECORD_LENGTH_BYTES <= file.length) {
+    const end = offset + RECORD_LENGTH_BYTES + file.readUInt32BE(offset);
+    if (end > file.length) break;
+    chunks.push(encryption.decryptBlob(file.subarray(offset + RECORD_LENGTH_BYTES, end), key));
+    offset = end;
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Writes dictations to userData/recording-spool while they are being recorded, so a
+ * renderer crash, a window reload or a failed transcription does not lose them. Each
+ * recording is a `<id>.json` descriptor next to its `<id>.audio` data. Both are removed
+ * once the dictation is transcribed or discarded; anything else left over is offered
+ * for recovery. While history is encrypted, the audio is encrypted with its data key.
+ */
+class RecordingSpool {
+  constructor({ databaseManager } = {}) {
+    this.databaseManager = databaseManager;
+    // Recordings still being written, by the renderer writing them; they are not offered
+    // for recovery until that renderer lets go of them (see releaseOwner)
+    this.active = new Map();
+    this.writes = new Map();
+    // Data key each active recording is encrypted with, or null
+    this.keys = new Map();
+  }
+
+  getDataKey() {
+    return this.databaseManager?.getDataKey() ?? null;
+  }
+
+  getSpoolDir() {
+    return path.join(app.getPath("userData"), "recording-spool");
+  }
+
+  getPaths(id) {
+    if (!ID_PATTERN.test(String(id))) {
+      throw new Error(`Invalid recording id: ${id}`);
+    }
+    return {
+      descriptor: path.join(this.getSpoolDir(), `${id}.json`),
+      audio: path.join(this.getSpoolDir(), `${id}.audio`),
+    };
+  }
+
+  /**
+   * @param {unknown} [owner] identifies the renderer doing the recording
+   * @returns {boolean} false when nothing is spooled for this recording
+   */
+  begin(id, { mimeType = "audio/webm", startedAt = Date.now() } = {}, owner = null) {
+    const paths = this.getPaths(id);
+    const key = this.getDataKey();
+    // Locked history has no key to protect the recording with, so it is not written at all
+    if (!key && this.databaseManager?.isEncrypted()) {
+      return false;
+    }
+
+    const keyId = key ? encryption.getKeyId(key) : null;
+    fs.mkdirSync(this.getSpoolDir(), { recursive: true });
+    fs.writeFileSync(paths.audio, Buffer.alloc(0));
+    fs.writeFileSync(paths.descriptor, JSON.stringify({ id, mimeType, startedAt, keyId }));
+    this.active.set(id, owner);
+    this.keys.set(id, key);
+    return true;
+  }
+
+  // Stop treating the owner's recordings as in progress once its window reloaded or
+  // closed, so they are offered for recovery. Chunks already sent are still written.
+  releaseOwner(owner) {
+    for (const [id, activeOwner] of this.active) {
+      if (activeOwner === owner) {
+        this.active.delete(id);
+        this.keys.delete(id);
+      }
+    }
+  }
+
+  // Appends are queued per recording so chunks land in the order they were sent
+  append(id, data) {
+    if (!this.active.has(id) || !data) {
+      return Promise.resolve();
+    }
+    const { audio } = this.getPaths(id);
+    const key = this.keys.get(id);
+    const chunk = key ? encodeRecord(data, key) : Buffer.from(data);
+    const previous = this.writes.get(id) || Promise.resolve();
+    const write = previous
+      .then(() => fs.promises.appendFile(audio, chunk))
+      .catch((error) => {
+        debugLogger.warn("Failed to spool recording chunk", { id, error: error.message });
+      });
+    this.writes.set(id, write);
+    return write;
+  }
+
+  /**
+   * Stop writing a recording. With `keep` the files stay for recovery (the transcription
+   * failed); otherwise they are deleted.
+   */
+  async end(id, { keep = false } = {}) {
+    const paths = this.getPaths(id);
+    this.active.delete(id);
+    this.keys.delete(id);
+    await this.writes.get(id);
+    this.writes.delete(id);
+    if (!keep) {
+      this.deleteFiles(paths);
+    }
+  }
+
+  deleteFiles(paths) {
+    for (const filePath of Object.values(paths)) {
+      try {
+        fs.unlinkSync(filePath);
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          debugLogger.warn("Failed to delete spooled recording", {
+            filePath,
+            error: error.message,
+          });
+        }
+      }
+    }
+  }
+
+  /** @returns {{ id: string, mimeType: string, startedAt: number, sizeBytes: number }[]} */
+  listUnfinished() {
+    let files;
+    try {
+      files = fs.readdirSync(this.getSpoolDir());
+    } catch {
+      return [];
+    }
+
+    const key = this.getDataKey();
+    const keyId = key ? encryption.getKeyId(key) : null;
+    const recordings = [];
+    for (const file of files.filter((name) => name.endsWith(".json"))) {
+      const id = path.basename(file, ".json");
+      if (this.active.has(id) || !ID_PATTERN.test(id)) continue;
+
+      const paths = this.getPaths(id);
+      try {
+        const descriptor = JSON.parse(fs.readFileSync(paths.descriptor, "utf8"));
+        // Written under another key (history locked or reset); kept in case it comes back
+        if (descriptor.keyId && descriptor.keyId !== keyId) continue;
+        const { size } = fs.statSync(paths.audio);
+        if (size === 0) {
+          // Stopped before the first chunk arrived; nothing to recover
+          this.deleteFiles(paths);
+          continue;
+        }
+        recordings.push({
+          id,
+          mimeType: descriptor.mimeType || "audio/webm",
+          startedAt: descriptor.startedAt || null,
+          sizeBytes: size,
+        });
+      } catch (error) {
+        debugLogger.warn("Skipping unreadable spooled recording", { id, error: error.message });
+      }
+    }
+    return recordings.sort((a, b) => (a.startedAt || 0) - (b.startedAt || 0));
+  }
+
+  read(id) {
+    const paths = this.getPaths(id);
+    if (this.active.has(id) || !fs.existsSync(paths.audio)) {
+      return null;
+    }
+    const descriptor = JSON.parse(fs.readFileSync(paths.descriptor, "utf8"));
+    let data = fs.readFileSync(paths.audio);
+    if (descriptor.keyId) {
+      const key = this.getDataKey();
+      if (!key || encryption.getKeyId(key) !== descriptor.keyId) {
+        throw new Error("This recording is encrypted with a history key that is not available");
+      }
+      data = decodeRecords(data, key);
+    }
+    return { data, mimeType: descriptor.mimeType || "audio/webm" };
+  }
+
+  /**
+   * Rewrite unfinished recordings when history encryption is turned on or off, the same
+   * way as HistoryAudioStore.rekeyRecordings. Recordings still being written are
+   * rewritten once the chunks already sent are on disk, and later chunks use the new key,
+   * so none of them is left under a key that is about to be thrown away.
+   */
+  rekeyRecordings(fromKey, toKey) {
+    let files;
+    try {
+      files = fs.readdirSync(this.getSpoolDir());
+    } catch {
+      return;
+    }
+
+    const fromKeyId = fromKey ? encryption.getKeyId(fromKey) : null;
+    for (const file of files.filter((name) => name.endsWith(".json"))) {
+      const id = path.basename(file, ".json");
+      if (!ID_PATTERN.test(id)) continue;
+
+      if (!this.active.has(id)) {
+        this.rewriteRecording(id, fromKey, toKey);
+        continue;
+      }
+      const activeKey = this.keys.get(id) ?? null;
+      if ((activeKey ? encryption.getKeyId(activeKey) : null) !== fromKeyId) continue;
+      this.keys.set(id, toKey);
+      const previous = this.writes.get(id) || Promise.resolve();
+      this.writes.set(
+        id,
+        previous.then(() => this.rewriteRecording(id, fromKey, toKey))
+      );
+    }
+  }
+
+  rewriteRecording(id, fromKey, toKey) {
+    const fromKeyId = fromKey ? encryption.getKeyId(fromKey) : null;
+    const paths = this.getPaths(id);
+    const nextPath = `${paths.audio}.next`;
+    try {
+      const descriptor = JSON.parse(fs.readFileSync(paths.descriptor, "utf8"));
+      if ((descriptor.keyId || null) !== fromKeyId) return;
+
+      let data = fs.readFileSync(paths.audio);
+      if (fromKey) data = decodeRecords(data, fromKey);
+      encryption.writeFileAtomic(nextPath, toKey ? encodeRecord(data, toKey) : data);
+      encryption.shredFile(paths.audio);
+      fs.renameSync(nextPath, paths.audio);
+      const keyId = toKey ? encryption.getKeyId(toKey) : null;
+      fs.writeFileSync(paths.descriptor, JSON.stringify({ ...descriptor, keyId }));
+    } catch (error) {
+      debugLogger.warn("Failed to re-encrypt spooled recording", { id, error: error.message });
+      fs.rmSync(nextPath, { force: true });
+    }
+  }
+
+  discard(id) {
+    if (this.active.has(id)) return;
+    this.deleteFiles(this.getPaths(id));
+  }
+}
+
+module.exports = RecordingSpool;
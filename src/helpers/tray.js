@@ -9,6 +9,14 @@ class TrayManager {
     this.controlPanelWindow = null;
     this.windowManager = null;
     this.attachedControlPanels = new WeakSet();
+    // The warm microphone keeps the input open between dictations
+    this.isMicrophoneOpen = false;
+  }
+
+  setMicrophoneOpen(isOpen) {
+    if (this.isMicrophoneOpen === Boolean(isOpen)) return;
+    this.isMicrophoneOpen = Boolean(isOpen);
+    this.updateTrayMenu();
   }
 
   setWindows(mainWindow, controlPanelWindow) {
@@ -225,7 +233,12 @@ class TrayManager {
   buildContextMenuTemplate() {
     const dictationVisible = this.windowManager?.isDictationPanelVisible?.() ?? false;
 
+    const microphoneItems = this.isMicrophoneOpen
+      ? [{ label: "Microphone On (Keep Microphone Ready)", enabled: false }, { type: "separator" }]
+      : [];
+
     return [
+      ...microphoneItems,
       {
         label: dictationVisible ? "Hide Dictation Panel" : "Show Dictation Panel",
         click: () => {
@@ -259,7 +272,9 @@ class TrayManager {
     if (!this.tray) return;
 
     const contextMenu = Menu.buildFromTemplate(this.buildContextMenuTemplate());
-    this.tray.setToolTip("OpenWhispr - Voice Dictation");
+    this.tray.setToolTip(
+      this.isMicrophoneOpen ? "OpenWhispr - Microphone On" : "OpenWhispr - Voice Dictation"
+    );
     this.tray.setContextMenu(contextMenu);
   }
 
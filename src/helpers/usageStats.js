@@ -0,0 +1,217 @@
+// Longer ranges are summarised per week; a bar per day stops being readable
+const MAX_DAILY_BUCKETS = 90;
+
+// SQLite CURRENT_TIMESTAMP is UTC without a zone suffix
+function parseTimestamp(value) {
+  if (!value) return null;
+  const text = String(value);
+  const date = new Date(/[TZ]/.test(text) ? text : `${text.replace(" ", "T")}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function toDayKey(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// Weeks start on Monday
+function startOfWeek(date) {
+  const day = startOfDay(date);
+  day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+  return day;
+}
+
+function countWords(text) {
+  const trimmed = (text || "").trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+// Nearest-rank percentile; values must be sorted ascending
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+function summarize(values) {
+  const sorted = values.filter((value) => Number.isFinite(value)).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+  return {
+    count: sorted.length,
+    mean: Math.round(total / sorted.length),
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p95: percentile(sorted, 95),
+  };
+}
+
+function errorRate(failures, successes) {
+  const attempts = failures + successes;
+  return attempts > 0 ? failures / attempts : null;
+}
+
+// Words over speaking time; only entries with a known audio length count on either side
+function wordsPerMinute(samples) {
+  let words = 0;
+  let audioMs = 0;
+  for (const sample of samples) {
+    if (sample.audioMs > 0) {
+      words += sample.spokenWords;
+      audioMs += sample.audioMs;
+    }
+  }
+  return audioMs > 0 ? Math.round(words / (audioMs / 60000)) : null;
+}
+
+function buildSeries(samples, { from, to, step, keyOf }) {
+  const buckets = new Map();
+  for (let cursor = new Date(from); cursor <= to; cursor = step(cursor)) {
+    buckets.set(toDayKey(cursor), { date: toDayKey(cursor), words: 0, dictations: 0 });
+  }
+  for (const sample of samples) {
+    const bucket = buckets.get(keyOf(sample.date));
+    if (bucket) {
+      bucket.words += sample.words;
+      bucket.dictations += 1;
+    }
+  }
+  return Array.from(buckets.values());
+}
+
+/**
+ * Aggregate history rows into the figures shown on the statistics view.
+ * @param {{ transcriptions: object[], failures: object[] }} samples - see DatabaseManager.getUsageSamples
+ * @param {{ days?: number, now?: Date }} options - `days` is the range the samples cover (0 for all)
+ */
+function buildUsageStats(
+  { transcriptions = [], failures = [] },
+  { days = 0, now = new Date() } = {}
+) {
+  const today = startOfDay(now);
+  const rangeStart =
+    days > 0 ? new Date(today.getFullYear(), today.getMonth(), today.getDate() - (days - 1)) : null;
+  // Samples are fetched with some slack; the range is cut at local midnight here
+  const inRange = (date) => date && (!rangeStart || date >= rangeStart);
+
+  const samples = transcriptions
+    .map((row) => ({
+      date: parseTimestamp(row.timestamp),
+      words: countWords(row.text),
+      // The engine's transcript reflects what was said; cleanup can shorten or expand it
+      spokenWords: countWords(row.raw_text ?? row.text),
+      provider: row.provider || "unknown",
+      model: row.model || null,
+      reasoningModel: row.reasoning_model || null,
+      audioMs: row.audio_duration_ms,
+      transcriptionMs: row.transcription_ms,
+      reasoningMs: row.reasoning_ms,
+      roundTripMs: row.round_trip_ms,
+    }))
+    .filter((sample) => inRange(sample.date));
+  const failed = failures.filter((failure) => inRange(parseTimestamp(failure.created_at)));
+
+  const seriesStart = rangeStart || (samples.length > 0 ? startOfDay(samples[0].date) : today);
+  const dailyStart = new Date(
+    today.getFullYear(),
+    today.getMonth(),
+    today.getDate() - (MAX_DAILY_BUCKETS - 1)
+  );
+
+  const daily = buildSeries(samples, {
+    from: seriesStart > dailyStart ? seriesStart : dailyStart,
+    to: today,
+    step: (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1),
+    keyOf: toDayKey,
+  });
+  const weekly = buildSeries(samples, {
+    from: startOfWeek(seriesStart),
+    to: today,
+    step: (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + 7),
+    keyOf: (date) => toDayKey(startOfWeek(date)),
+  }).map(({ date, ...rest }) => ({ weekStart: date, ...rest }));
+
+  const providerKey = (provider, model) => `${provider}\u0000${model || ""}`;
+  const providers = new Map();
+  const providerEntry = (provider, model) => {
+    const key = providerKey(provider, model);
+    if (!providers.has(key)) {
+      providers.set(key, { provider, model, samples: [], failures: 0 });
+    }
+    return providers.get(key);
+  };
+  samples.forEach((sample) => providerEntry(sample.provider, sample.model).samples.push(sample));
+  failed.forEach((failure) => {
+    providerEntry(failure.provider || "unknown", failure.model || null).failures += 1;
+  });
+
+  const reasoningModels = new Map();
+  for (const sample of samples) {
+    if (!sample.reasoningModel) continue;
+    if (!reasoningModels.has(sample.reasoningModel)) {
+      reasoningModels.set(sample.reasoningModel, []);
+    }
+    reasoningModels.get(sample.reasoningModel).push(sample);
+  }
+
+  // Share of the round trip spent in AI cleanup, over entries where both were measured
+  const reasoningShare = (entries) => {
+    let reasoningMs = 0;
+    let roundTripMs = 0;
+    for (const { reasoningMs: r, roundTripMs: t } of entries) {
+      if (Number.isFinite(r) && t > 0) {
+        reasoningMs += r;
+        roundTripMs += t;
+      }
+    }
+    return roundTripMs > 0 ? reasoningMs / roundTripMs : null;
+  };
+
+  const reasonedSamples = samples.filter((sample) => sample.reasoningModel);
+
+  return {
+    days,
+    totals: {
+      dictations: samples.length,
+      words: samples.reduce((sum, sample) => sum + sample.words, 0),
+      audioMs: samples.reduce((sum, sample) => sum + (sample.audioMs || 0), 0),
+      failures: failed.length,
+      errorRate: errorRate(failed.length, samples.length),
+      wordsPerMinute: wordsPerMinute(samples),
+    },
+    daily,
+    weekly,
+    providers: Array.from(providers.values())
+      .map(({ provider, model, samples: entries, failures: failureCount }) => ({
+        provider,
+        model,
+        dictations: entries.length,
+        failures: failureCount,
+        errorRate: errorRate(failureCount, entries.length),
+        wordsPerMinute: wordsPerMinute(entries),
+        roundTrip: summarize(entries.map((entry) => entry.roundTripMs)),
+        transcription: summarize(entries.map((entry) => entry.transcriptionMs)),
+      }))
+      .sort((a, b) => b.dictations + b.failures - (a.dictations + a.failures)),
+    reasoning: {
+      dictations: reasonedSamples.length,
+      share: reasoningShare(reasonedSamples),
+      models: Array.from(reasoningModels.entries())
+        .map(([model, entries]) => ({
+          model,
+          dictations: entries.length,
+          latency: summarize(entries.map((entry) => entry.reasoningMs)),
+          share: reasoningShare(entries),
+        }))
+        .sort((a, b) => b.dictations - a.dictations),
+    },
+  };
+}
+
+module.exports = { buildUsageStats };
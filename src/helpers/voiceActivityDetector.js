@@ -0,0 +1,81 @@
+// The countdown is only shown once this share of the silence window has passed, so
+// ordinary pauses between sentences don't flash it
+const PROGRESS_DELAY_RATIO = 0.3;
+
+export const VAD_DEFAULTS = {
+  silenceMs: 1500,
+  sensitivity: 50,
+  minSpeechMs: 300,
+};
+
+// Sensitivity 0-100 maps to a speech threshold between -30 dBFS (only loud, close speech)
+// and -60 dBFS (quiet speech, but also more background noise)
+export const sensitivityToThresholdDb = (sensitivity) => {
+  const clamped = Math.min(100, Math.max(0, Number(sensitivity) || 0));
+  return -30 - clamped * 0.3;
+};
+
+/**
+ * Decides from successive input levels (see InputLevelMonitor) when the speaker has
+ * gone quiet. Nothing is reported until at least `minSpeechMs` of speech has been heard,
+ * so a slow start never ends the recording.
+ */
+class VoiceActivityDetector {
+  constructor({ silenceMs, sensitivity, minSpeechMs, onSilenceProgress, onSilence } = {}) {
+    this.silenceMs = silenceMs ?? VAD_DEFAULTS.silenceMs;
+    this.minSpeechMs = minSpeechMs ?? VAD_DEFAULTS.minSpeechMs;
+    this.thresholdDb = sensitivityToThresholdDb(sensitivity ?? VAD_DEFAULTS.sensitivity);
+    this.onSilenceProgress = onSilenceProgress;
+    this.onSilence = onSilence;
+    this.isActive = true;
+    this.speechMs = 0;
+    this.silentSince = null;
+    this.lastProgress = null;
+  }
+
+  update({ db, now, elapsedMs }) {
+    if (!this.isActive) return;
+
+    if (db >= this.thresholdDb) {
+      this.speechMs += elapsedMs;
+      this.silentSince = null;
+      this.reportProgress(null);
+      return;
+    }
+
+    if (this.speechMs < this.minSpeechMs) {
+      return;
+    }
+    if (this.silentSince === null) {
+      this.silentSince = now;
+    }
+
+    const ratio = (now - this.silentSince) / this.silenceMs;
+    if (ratio >= 1) {
+      this.stop();
+      this.onSilence?.();
+      return;
+    }
+    this.reportProgress(
+      ratio >= PROGRESS_DELAY_RATIO
+        ? (ratio - PROGRESS_DELAY_RATIO) / (1 - PROGRESS_DELAY_RATIO)
+        : null
+    );
+  }
+
+  // Progress runs from 0 to 1 as the stop approaches; null means no stop is pending
+  reportProgress(progress) {
+    const rounded = progress === null ? null : Math.round(progress * 20) / 20;
+    if (rounded !== this.lastProgress) {
+      this.lastProgress = rounded;
+      this.onSilenceProgress?.(rounded);
+    }
+  }
+
+  stop() {
+    this.reportProgress(null);
+    this.isActive = false;
+  }
+}
+
+export default VoiceActivityDetector;
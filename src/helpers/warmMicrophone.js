@@ -0,0 +1,96 @@
+// Audio from just before the hotkey press that is added to the start of a dictation
+export const PRE_ROLL_MS = 1500;
+const PROCESSOR_URL = new URL("./warmMicrophoneProcessor.js", import.meta.url);
+
+/**
+ * Keeps a microphone stream open between dictations, so recording starts without waiting
+ * for getUserMedia, and remembers the last PRE_ROLL_MS of audio in a ring buffer.
+ */
+class WarmMicrophone {
+  constructor(stream, { inputKey, onEnded } = {}) {
+    this.stream = stream;
+    this.inputKey = inputKey;
+    this.onEnded = onEnded;
+    this.audioContext = null;
+    this.ring = null;
+    this.writeIndex = 0;
+    this.filled = 0;
+  }
+
+  async start() {
+    const audioContext = new AudioContext();
+    this.audioContext = audioContext;
+    this.ring = new Float32Array(Math.ceil((audioContext.sampleRate * PRE_ROLL_MS) / 1000));
+
+    await audioContext.audioWorklet.addModule(PROCESSOR_URL);
+    // Stopped while the worklet was loading
+    if (this.audioContext !== audioContext) {
+      return;
+    }
+
+    const source = audioContext.createMediaStreamSource(this.stream);
+    this.processor = new AudioWorkletNode(audioContext, "warm-microphone", {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      channelCount: 1,
+      channelCountMode: "explicit",
+    });
+    this.processor.port.onmessage = (event) => this.write(event.data);
+    // Only nodes connected to the destination are rendered; keep it silent
+    const mute = audioContext.createGain();
+    mute.gain.value = 0;
+    source.connect(this.processor);
+    this.processor.connect(mute);
+    mute.connect(audioContext.destination);
+
+    this.stream.getAudioTracks().forEach((track) => {
+      track.addEventListener("ended", () => {
+        this.stop();
+        this.onEnded?.();
+      });
+    });
+  }
+
+  write(samples) {
+    for (let i = 0; i < samples.length; i++) {
+      this.ring[this.writeIndex] = samples[i];
+      this.writeIndex = (this.writeIndex + 1) % this.ring.length;
+    }
+    this.filled = Math.min(this.ring.length, this.filled + samples.length);
+  }
+
+  isLive() {
+    return (
+      this.audioContext !== null &&
+      this.stream.getAudioTracks().some((track) => track.readyState === "live")
+    );
+  }
+
+  /** @returns {{ samples: Float32Array, sampleRate: number } | null} oldest sample first */
+  takePreRoll() {
+    if (!this.audioContext || this.filled === 0) {
+      return null;
+    }
+    const samples = new Float32Array(this.filled);
+    const start = (this.writeIndex - this.filled + this.ring.length) % this.ring.length;
+    for (let i = 0; i < this.filled; i++) {
+      samples[i] = this.ring[(start + i) % this.ring.length];
+    }
+    return { samples, sampleRate: this.audioContext.sampleRate };
+  }
+
+  stop() {
+    if (this.processor) {
+      this.processor.port.onmessage = null;
+      this.processor.disconnect();
+      this.processor = null;
+    }
+    if (this.audioContext) {
+      this.audioContext.close().catch(() => {});
+      this.audioContext = null;
+    }
+    this.stream.getTracks().forEach((track) => track.stop());
+  }
+}
+
+export default WarmMicrophone;
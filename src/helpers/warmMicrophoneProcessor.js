@@ -0,0 +1,32 @@
+// Loaded into the AudioWorklet by WarmMicrophone, so it runs on the audio rendering thread
+// and cannot import anything. Render quanta are only 128 frames; batching them keeps the
+// messages to the main thread down to a few dozen a second.
+const BATCH_FRAMES = 2048;
+
+class WarmMicrophoneProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.batch = new Float32Array(BATCH_FRAMES);
+    this.length = 0;
+  }
+
+  process(inputs) {
+    const samples = inputs[0]?.[0];
+    let offset = 0;
+    while (samples && offset < samples.length) {
+      const count = Math.min(samples.length - offset, BATCH_FRAMES - this.length);
+      this.batch.set(samples.subarray(offset, offset + count), this.length);
+      this.length += count;
+      offset += count;
+      if (this.length === BATCH_FRAMES) {
+        this.port.postMessage(this.batch, [this.batch.buffer]);
+        this.batch = new Float32Array(BATCH_FRAMES);
+        this.length = 0;
+      }
+    }
+    // Keep running while the input is silent or briefly disconnected
+    return true;
+  }
+}
+
+registerProcessor("warm-microphone", WarmMicrophoneProcessor);
@@ -122,7 +122,22 @@ class WindowManager {
     };
   }
 
+  // Push-to-talk sends explicit start and stop commands instead of toggling
+  sendDictationCommand(channel) {
+    if (!this.mainWindow || this.mainWindow.isDestroyed()) {
+      return;
+    }
+    if (channel === "start-dictation") {
+      this.showDictationPanel();
+    }
+    this.mainWindow.webContents.send(channel);
+  }
+
   async initializeHotkey() {
+    this.hotkeyManager.setPushToTalkHandlers({
+      onPress: () => this.sendDictationCommand("start-dictation"),
+      onRelease: () => this.sendDictationCommand("stop-dictation"),
+    });
     await this.hotkeyManager.initializeHotkey(this.mainWindow, this.createHotkeyCallback());
   }
 
@@ -130,6 +145,10 @@ class WindowManager {
     return await this.hotkeyManager.updateHotkey(hotkey, this.createHotkeyCallback());
   }
 
+  setRecordingMode(mode) {
+    return this.hotkeyManager.setRecordingMode(mode, this.createHotkeyCallback());
+  }
+
   async startWindowDrag() {
     return await this.dragManager.startWindowDrag();
   }
@@ -0,0 +1,58 @@
+import { useCallback, useEffect, useState } from "react";
+
+export interface AudioInputDevice {
+  deviceId: string;
+  label: string;
+}
+
+export interface UseAudioInputDevicesReturn {
+  devices: AudioInputDevice[];
+  // False until the devices have been listed once; `devices` is empty until then
+  hasLoaded: boolean;
+  // Labels stay empty until microphone access has been granted once
+  hasLabels: boolean;
+  refresh: () => Promise<void>;
+}
+
+// The "default" and "communications" entries alias a real device that is listed as well
+const ALIAS_DEVICE_IDS = new Set(["default", "communications"]);
+
+export function useAudioInputDevices(): UseAudioInputDevicesReturn {
+  const [devices, setDevices] = useState<AudioInputDevice[]>([]);
+  const [hasLoaded, setHasLoaded] = useState(false);
+  const [hasLabels, setHasLabels] = useState(true);
+
+  const refresh = useCallback(async () => {
+    if (!navigator?.mediaDevices?.enumerateDevices) {
+      return;
+    }
+    try {
+      const inputs = (await navigator.mediaDevices.enumerateDevices()).filter(
+        (device) => device.kind === "audioinput" && !ALIAS_DEVICE_IDS.has(device.deviceId)
+      );
+      setHasLabels(inputs.every((device) => device.label));
+      setDevices(
+        inputs.map((device, index) => ({
+          deviceId: device.deviceId,
+          label: device.label || `Microphone ${index + 1}`,
+        }))
+      );
+      setHasLoaded(true);
+    } catch {
+      setDevices([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    const mediaDevices = navigator?.mediaDevices;
+    if (!mediaDevices?.addEventListener) {
+      return;
+    }
+    // Fired when a headset or USB microphone is plugged in or removed
+    mediaDevices.addEventListener("devicechange", refresh);
+    return () => mediaDevices.removeEventListener("devicechange", refresh);
+  }, [refresh]);
+
+  return { devices, hasLoaded, hasLabels, refresh };
+}
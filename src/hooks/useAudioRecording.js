@@ -1,25 +1,65 @@
 import { useState, useEffect, useRef } from "react";
 import AudioManager from "../helpers/audioManager";
 
+// The GNOME indicator only needs a coarse level; sending every reading would flood DBus
+const INDICATOR_LEVEL_STEPS = 10;
+const INDICATOR_UPDATE_MS = 100;
+
 export const useAudioRecording = (toast, options = {}) => {
   const [isRecording, setIsRecording] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
   const [transcript, setTranscript] = useState("");
+  // 0-1 while a silence auto-stop is counting down, null otherwise
+  const [autoStopProgress, setAutoStopProgress] = useState(null);
+  const [inputLevel, setInputLevel] = useState({ level: 0, clipping: false });
+  const [recordingStartedAt, setRecordingStartedAt] = useState(null);
+  // The warm microphone keeps the input open between dictations
+  const [isMicWarm, setIsMicWarm] = useState(false);
   const audioManagerRef = useRef(null);
   const { onToggle } = options;
 
   useEffect(() => {
     audioManagerRef.current = new AudioManager();
+    const indicatorLevel = { level: null, clipping: false, sentAt: 0 };
 
     audioManagerRef.current.setCallbacks({
       onStateChange: ({ isRecording, isProcessing }) => {
         setIsRecording(isRecording);
         setIsProcessing(isProcessing);
+        setRecordingStartedAt(isRecording ? Date.now() : null);
+        if (!isRecording) {
+          setAutoStopProgress(null);
+          setInputLevel({ level: 0, clipping: false });
+          indicatorLevel.level = null;
+        }
         window.electronAPI?.setGnomeAnimationState?.({
           isRecording,
           isProcessing,
         });
       },
+      onAutoStopProgress: setAutoStopProgress,
+      onWarmMicrophoneChange: (isWarm) => {
+        setIsMicWarm(isWarm);
+        window.electronAPI?.setWarmMicrophoneOpen?.(isWarm);
+      },
+      onInputLevel: ({ level, clipping }) => {
+        setInputLevel({ level, clipping });
+
+        const stepped = Math.round(level * INDICATOR_LEVEL_STEPS) / INDICATOR_LEVEL_STEPS;
+        const now = Date.now();
+        if (
+          (stepped !== indicatorLevel.level || clipping !== indicatorLevel.clipping) &&
+          now - indicatorLevel.sentAt >= INDICATOR_UPDATE_MS
+        ) {
+          Object.assign(indicatorLevel, { level: stepped, clipping, sentAt: now });
+          window.electronAPI?.setGnomeAnimationState?.({
+            isRecording: true,
+            isProcessing: false,
+            level: stepped,
+            clipping,
+          });
+        }
+      },
       onError: (error) => {
         toast({
           title: error.title,
@@ -33,7 +73,7 @@ export const useAudioRecording = (toast, options = {}) => {
 
           await audioManagerRef.current.safePaste(result.text);
 
-          audioManagerRef.current.saveTranscription(result.text);
+          audioManagerRef.current.saveTranscription(result.text, result.metadata, result.audioBlob);
 
           if (result.source === "openai" && localStorage.getItem("useLocalWhisper") === "true") {
             toast({
@@ -62,6 +102,26 @@ export const useAudioRecording = (toast, options = {}) => {
       onToggle?.();
     });
 
+    // Push-to-talk: a key released before the microphone opened still stops the recording
+    let isKeyHeld = false;
+    const disposeStart = window.electronAPI.onStartDictation?.(async () => {
+      isKeyHeld = true;
+      onToggle?.();
+      const { isRecording, isProcessing } = audioManagerRef.current.getState();
+      if (isRecording || isProcessing) return;
+      const started = await audioManagerRef.current.startRecording();
+      if (started && !isKeyHeld) {
+        audioManagerRef.current.stopRecording();
+      }
+    });
+
+    const disposeStop = window.electronAPI.onStopDictation?.(() => {
+      isKeyHeld = false;
+      if (audioManagerRef.current.getState().isRecording) {
+        audioManagerRef.current.stopRecording();
+      }
+    });
+
     const handleNoAudioDetected = () => {
       toast({
         title: "No Audio Detected",
@@ -72,10 +132,25 @@ export const useAudioRecording = (toast, options = {}) => {
 
     const disposeNoAudio = window.electronAPI.onNoAudioDetected?.(handleNoAudioDetected);
 
+    // Settings are changed from the control panel window, which shows up here as storage events
+    const refreshWarmMicrophone = () => audioManagerRef.current?.refreshWarmMicrophone();
+    const handleStorage = (event) => {
+      if (event.key === "warmMicrophone" || event.key === "microphoneDeviceId") {
+        refreshWarmMicrophone();
+      }
+    };
+    window.addEventListener("storage", handleStorage);
+    navigator.mediaDevices?.addEventListener?.("devicechange", refreshWarmMicrophone);
+    refreshWarmMicrophone();
+
     // Cleanup
     return () => {
       disposeToggle?.();
+      disposeStart?.();
+      disposeStop?.();
       disposeNoAudio?.();
+      window.removeEventListener("storage", handleStorage);
+      navigator.mediaDevices?.removeEventListener?.("devicechange", refreshWarmMicrophone);
       if (audioManagerRef.current) {
         audioManagerRef.current.cleanup();
       }
@@ -115,6 +190,10 @@ export const useAudioRecording = (toast, options = {}) => {
     isRecording,
     isProcessing,
     transcript,
+    autoStopProgress,
+    inputLevel,
+    recordingStartedAt,
+    isMicWarm,
     startRecording,
     stopRecording,
     cancelRecording,
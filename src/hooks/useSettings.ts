@@ -2,6 +2,7 @@ import { useCallback } from "react";
 import { useLocalStorage } from "./useLocalStorage";
 import { getModelProvider } from "../models/ModelRegistry";
 import { API_ENDPOINTS } from "../config/constants";
+import type { RecordingMode } from "../types/electron";
 
 export interface TranscriptionSettings {
   useLocalWhisper: boolean;
@@ -24,6 +25,30 @@ export interface ReasoningSettings {
 
 export interface HotkeySettings {
   dictationKey: string;
+  recordingMode: RecordingMode;
+}
+
+export interface MicrophoneSettings {
+  // Empty means the system default input
+  microphoneDeviceId: string;
+}
+
+export interface AudioCleanupProfile {
+  enabled: boolean;
+  highPass: boolean;
+  noiseGate: boolean;
+  normalize: boolean;
+}
+
+// Cleanup is set up per microphone; "default" is the system default input
+export type AudioCleanupProfiles = Record<string, AudioCleanupProfile>;
+
+export interface AutoStopSettings {
+  autoStopOnSilence: boolean;
+  autoStopSilenceMs: number;
+  // 0-100; higher picks up quieter speech
+  autoStopSensitivity: number;
+  autoStopMinSpeechMs: number;
 }
 
 export interface ApiKeySettings {
@@ -154,6 +179,73 @@ export function useSettings() {
     deserialize: String,
   });
 
+  const [recordingMode, setRecordingMode] = useLocalStorage<RecordingMode>(
+    "recordingMode",
+    "toggle",
+    {
+      serialize: String,
+      deserialize: (value) => (value === "push-to-talk" ? "push-to-talk" : "toggle"),
+    }
+  );
+
+  // Microphone
+  const [microphoneDeviceId, setMicrophoneDeviceId] = useLocalStorage("microphoneDeviceId", "", {
+    serialize: String,
+    deserialize: String,
+  });
+
+  // Keep the microphone open between dictations for an instant start and pre-roll
+  const [warmMicrophone, setWarmMicrophone] = useLocalStorage("warmMicrophone", false, {
+    serialize: String,
+    deserialize: (value) => value === "true",
+  });
+
+  const [audioCleanupProfiles, setAudioCleanupProfiles] = useLocalStorage<AudioCleanupProfiles>(
+    "audioCleanupProfiles",
+    {}
+  );
+
+  // Auto-stop on silence
+  const [autoStopOnSilence, setAutoStopOnSilence] = useLocalStorage("autoStopOnSilence", false, {
+    serialize: String,
+    deserialize: (value) => value === "true",
+  });
+
+  const [autoStopSilenceMs, setAutoStopSilenceMs] = useLocalStorage("autoStopSilenceMs", 1500, {
+    serialize: String,
+    deserialize: Number,
+  });
+
+  const [autoStopSensitivity, setAutoStopSensitivity] = useLocalStorage("autoStopSensitivity", 50, {
+    serialize: String,
+    deserialize: Number,
+  });
+
+  const [autoStopMinSpeechMs, setAutoStopMinSpeechMs] = useLocalStorage(
+    "autoStopMinSpeechMs",
+    300,
+    {
+      serialize: String,
+      deserialize: Number,
+    }
+  );
+
+  // Transcribe long dictations in segments while recording
+  const [progressiveTranscription, setProgressiveTranscription] = useLocalStorage(
+    "progressiveTranscription",
+    false,
+    {
+      serialize: String,
+      deserialize: (value) => value === "true",
+    }
+  );
+
+  // Cut leading/trailing silence and long pauses before transcription
+  const [trimSilence, setTrimSilence] = useLocalStorage("trimSilence", false, {
+    serialize: String,
+    deserialize: (value) => value === "true",
+  });
+
   const [useGnomeTopBarMode, setUseGnomeTopBarMode] = useLocalStorage(
     "useGnomeTopBarMode",
     false,
@@ -211,6 +303,27 @@ export function useSettings() {
     [setUseReasoningModel, setReasoningModel, setCloudReasoningBaseUrl]
   );
 
+  const updateAutoStopSettings = useCallback(
+    (settings: Partial<AutoStopSettings>) => {
+      if (settings.autoStopOnSilence !== undefined)
+        setAutoStopOnSilence(settings.autoStopOnSilence);
+      if (settings.autoStopSilenceMs !== undefined)
+        setAutoStopSilenceMs(settings.autoStopSilenceMs);
+      if (settings.autoStopSensitivity !== undefined)
+        setAutoStopSensitivity(settings.autoStopSensitivity);
+      if (settings.autoStopMinSpeechMs !== undefined)
+        setAutoStopMinSpeechMs(settings.autoStopMinSpeechMs);
+    },
+    [setAutoStopOnSilence, setAutoStopSilenceMs, setAutoStopSensitivity, setAutoStopMinSpeechMs]
+  );
+
+  const setAudioCleanupProfile = useCallback(
+    (deviceId: string, profile: AudioCleanupProfile) => {
+      setAudioCleanupProfiles({ ...audioCleanupProfiles, [deviceId || "default"]: profile });
+    },
+    [audioCleanupProfiles, setAudioCleanupProfiles]
+  );
+
   const updateApiKeys = useCallback(
     (keys: Partial<ApiKeySettings>) => {
       if (keys.openaiApiKey !== undefined) setOpenaiApiKey(keys.openaiApiKey);
@@ -240,6 +353,16 @@ export function useSettings() {
     geminiApiKey,
     groqApiKey,
     dictationKey,
+    recordingMode,
+    microphoneDeviceId,
+    warmMicrophone,
+    audioCleanupProfiles,
+    autoStopOnSilence,
+    autoStopSilenceMs,
+    autoStopSensitivity,
+    autoStopMinSpeechMs,
+    progressiveTranscription,
+    trimSilence,
     useGnomeTopBarMode,
     setUseLocalWhisper,
     setWhisperModel,
@@ -275,8 +398,15 @@ export function useSettings() {
     setGeminiApiKey,
     setGroqApiKey,
     setDictationKey,
+    setRecordingMode,
+    setMicrophoneDeviceId,
+    setWarmMicrophone,
+    setAudioCleanupProfile,
+    setProgressiveTranscription,
+    setTrimSilence,
     updateTranscriptionSettings,
     updateReasoningSettings,
     updateApiKeys,
+    updateAutoStopSettings,
   };
 }
@@ -0,0 +1,157 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { HISTORY_SEARCH } from "../config/constants";
+import type {
+  TranscriptionItem,
+  TranscriptionSearchResult,
+  TranscriptionSearchSort,
+} from "../types/electron";
+
+export interface TranscriptionSearchFilters {
+  query: string;
+  dateFrom: string; // yyyy-mm-dd from <input type="date">, local time
+  dateTo: string;
+  sort: TranscriptionSearchSort;
+  tags: string[];
+  starred: boolean;
+}
+
+const EMPTY_FILTERS: TranscriptionSearchFilters = {
+  query: "",
+  dateFrom: "",
+  dateTo: "",
+  sort: "relevance",
+  tags: [],
+  starred: false,
+};
+
+// Date inputs are in local time; the database stores UTC timestamps
+const toUtcBoundary = (date: string, endOfDay: boolean) => {
+  if (!date) return null;
+  const parsed = new Date(`${date}T${endOfDay ? "23:59:59.999" : "00:00:00"}`);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+};
+
+export function useTranscriptionSearch() {
+  const [filters, setFilters] = useState<TranscriptionSearchFilters>(EMPTY_FILTERS);
+  const [results, setResults] = useState<TranscriptionSearchResult[]>([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  const isActive = Boolean(
+    filters.query.trim() ||
+    filters.dateFrom ||
+    filters.dateTo ||
+    filters.tags.length > 0 ||
+    filters.starred
+  );
+
+  // The filters as the main process understands them; also used to scope exports
+  const scope = useMemo(
+    () => ({
+      query: filters.query,
+      from: toUtcBoundary(filters.dateFrom, false),
+      to: toUtcBoundary(filters.dateTo, true),
+      tags: filters.tags,
+      starred: filters.starred,
+    }),
+    [filters.query, filters.dateFrom, filters.dateTo, filters.tags, filters.starred]
+  );
+
+  useEffect(() => {
+    if (!isActive) {
+      // A search still in flight is cancelled below and would leave the spinner on
+      setResults([]);
+      setError(null);
+      setIsSearching(false);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        const items = await window.electronAPI.searchTranscriptions({
+          ...scope,
+          sort: filters.sort,
+          limit: HISTORY_SEARCH.RESULT_LIMIT,
+        });
+        if (!cancelled) {
+          setResults(items);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setResults([]);
+          setError(err instanceof Error ? err.message : "Search failed");
+        }
+      } finally {
+        if (!cancelled) {
+          setIsSearching(false);
+        }
+      }
+    }, HISTORY_SEARCH.DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [scope, filters.sort, isActive, refreshKey]);
+
+  const updateFilters = useCallback((next: Partial<TranscriptionSearchFilters>) => {
+    setFilters((prev) => ({ ...prev, ...next }));
+  }, []);
+
+  // Re-run the current search, e.g. after entries come back from the trash
+  const refresh = useCallback(() => {
+    setRefreshKey((key) => key + 1);
+  }, []);
+
+  const resetFilters = useCallback(() => {
+    setFilters(EMPTY_FILTERS);
+  }, []);
+
+  const toggleTagFilter = useCallback((tag: string) => {
+    setFilters((prev) => {
+      const key = tag.toLowerCase();
+      const tags = prev.tags.some((existing) => existing.toLowerCase() === key)
+        ? prev.tags.filter((existing) => existing.toLowerCase() !== key)
+        : [...prev.tags, tag];
+      return { ...prev, tags };
+    });
+  }, []);
+
+  const removeResult = useCallback((id: number) => {
+    setResults((prev) => prev.filter((item) => item.id !== id));
+  }, []);
+
+  const updateResult = useCallback((item: TranscriptionItem) => {
+    // Highlights were computed for the old text, so an edit drops them
+    setResults((prev) =>
+      prev.map((existing) =>
+        existing.id === item.id
+          ? {
+              ...existing,
+              ...item,
+              highlighted: existing.text === item.text ? existing.highlighted : null,
+            }
+          : existing
+      )
+    );
+  }, []);
+
+  return {
+    filters,
+    scope,
+    results,
+    isActive,
+    isSearching,
+    error,
+    updateFilters,
+    resetFilters,
+    toggleTagFilter,
+    removeResult,
+    updateResult,
+    refresh,
+  };
+}
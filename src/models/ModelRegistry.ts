@@ -258,6 +258,11 @@ export function getTranscriptionProvider(
   return getTranscriptionProviders().find((p) => p.id === providerId);
 }
 
+export function getTranscriptionProviderLabel(providerId: string): string {
+  if (providerId === "local") return "Local Whisper";
+  return getTranscriptionProvider(providerId)?.name || providerId;
+}
+
 export function getTranscriptionModels(providerId: string): TranscriptionModelDefinition[] {
   const provider = getTranscriptionProvider(providerId);
   return provider?.models || [];
@@ -0,0 +1,37 @@
+import { useSyncExternalStore } from "react";
+import type { HistoryTag } from "../types/electron";
+
+type Listener = () => void;
+
+const listeners = new Set<Listener>();
+let tags: HistoryTag[] = [];
+let hasLoaded = false;
+
+const emit = () => {
+  listeners.forEach((listener) => listener());
+};
+
+const setTags = (next: HistoryTag[]) => {
+  tags = Array.isArray(next) ? next : [];
+  emit();
+};
+
+// The first subscriber loads the list; the main process pushes every later change
+const subscribe = (listener: Listener) => {
+  listeners.add(listener);
+  if (!hasLoaded && typeof window !== "undefined") {
+    hasLoaded = true;
+    window.electronAPI?.onTagsUpdated?.(setTags);
+    window.electronAPI
+      ?.getTags?.()
+      .then(setTags)
+      .catch(() => {});
+  }
+  return () => listeners.delete(listener);
+};
+
+const getSnapshot = () => tags;
+
+export function useHistoryTags() {
+  return useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+}
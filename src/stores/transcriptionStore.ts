@@ -3,11 +3,28 @@ import type { TranscriptionItem } from "../types/electron";
 
 type Listener = () => void;
 
+// What an undo needs to put entries back after they were moved to the trash
+export type TranscriptionRemoval =
+  | { kind: "deleted"; transcription: TranscriptionItem }
+  | { kind: "cleared"; ids: number[] };
+type RemovalListener = (removal: TranscriptionRemoval) => void;
+
+export interface TranscriptionPagination {
+  totalCount: number;
+  hasMore: boolean;
+  isLoadingMore: boolean;
+}
+
 const listeners = new Set<Listener>();
+const removalListeners = new Set<RemovalListener>();
 let transcriptions: TranscriptionItem[] = [];
+// Pinned rows are kept apart from the paginated feed so they show no matter how old they are
+let pinnedTranscriptions: TranscriptionItem[] = [];
+let pagination: TranscriptionPagination = { totalCount: 0, hasMore: false, isLoadingMore: false };
 let hasBoundIpcListeners = false;
 const DEFAULT_LIMIT = 50;
 let currentLimit = DEFAULT_LIMIT;
+let loadMorePromise: Promise<TranscriptionItem[]> | null = null;
 
 const emit = () => {
   listeners.forEach((listener) => listener());
@@ -18,7 +35,27 @@ const subscribe = (listener: Listener) => {
   return () => listeners.delete(listener);
 };
 
+const emitRemoval = (removal: TranscriptionRemoval) => {
+  removalListeners.forEach((listener) => listener(removal));
+};
+
 const getSnapshot = () => transcriptions;
+const getPaginationSnapshot = () => pagination;
+const getPinnedSnapshot = () => pinnedTranscriptions;
+
+const setPagination = (next: Partial<TranscriptionPagination>) => {
+  pagination = { ...pagination, ...next };
+};
+
+const isNewer = (a: TranscriptionItem, b: TranscriptionItem) =>
+  a.timestamp === b.timestamp ? a.id > b.id : a.timestamp > b.timestamp;
+
+const syncPinned = (item: TranscriptionItem) => {
+  const others = pinnedTranscriptions.filter((existing) => existing.id !== item.id);
+  pinnedTranscriptions = item.pinned
+    ? [...others, item].sort((a, b) => (isNewer(a, b) ? -1 : 1))
+    : others;
+};
 
 function ensureIpcListeners() {
   if (hasBoundIpcListeners || typeof window === "undefined") {
@@ -39,8 +76,11 @@ function ensureIpcListeners() {
   }
 
   if (window.electronAPI?.onTranscriptionDeleted) {
-    const dispose = window.electronAPI.onTranscriptionDeleted(({ id }) => {
+    const dispose = window.electronAPI.onTranscriptionDeleted(({ id, transcription }) => {
       removeTranscription(id);
+      if (transcription) {
+        emitRemoval({ kind: "deleted", transcription });
+      }
     });
     if (typeof dispose === "function") {
       disposers.push(dispose);
@@ -48,14 +88,62 @@ function ensureIpcListeners() {
   }
 
   if (window.electronAPI?.onTranscriptionsCleared) {
-    const dispose = window.electronAPI.onTranscriptionsCleared(() => {
+    const dispose = window.electronAPI.onTranscriptionsCleared(({ ids }) => {
       clearTranscriptions();
+      if (ids?.length) {
+        emitRemoval({ kind: "cleared", ids });
+      }
     });
     if (typeof dispose === "function") {
       disposers.push(dispose);
     }
   }
 
+  if (window.electronAPI?.onTranscriptionUpdated) {
+    const dispose = window.electronAPI.onTranscriptionUpdated((item) => {
+      if (item) {
+        updateTranscription(item);
+      }
+    });
+    if (typeof dispose === "function") {
+      disposers.push(dispose);
+    }
+  }
+
+  // Imports, retention pruning, restores from the trash and unlocking history touch rows
+  // anywhere; reload from the top
+  const reload = () => {
+    initializeTranscriptions(currentLimit).catch(() => {});
+  };
+
+  if (window.electronAPI?.onTranscriptionsImported) {
+    const dispose = window.electronAPI.onTranscriptionsImported(reload);
+    if (typeof dispose === "function") {
+      disposers.push(dispose);
+    }
+  }
+
+  if (window.electronAPI?.onTranscriptionsPruned) {
+    const dispose = window.electronAPI.onTranscriptionsPruned(reload);
+    if (typeof dispose === "function") {
+      disposers.push(dispose);
+    }
+  }
+
+  if (window.electronAPI?.onTranscriptionsRestored) {
+    const dispose = window.electronAPI.onTranscriptionsRestored(reload);
+    if (typeof dispose === "function") {
+      disposers.push(dispose);
+    }
+  }
+
+  if (window.electronAPI?.onTranscriptionsReloaded) {
+    const dispose = window.electronAPI.onTranscriptionsReloaded(reload);
+    if (typeof dispose === "function") {
+      disposers.push(dispose);
+    }
+  }
+
   hasBoundIpcListeners = true;
 
   window.addEventListener("beforeunload", () => {
@@ -66,33 +154,105 @@ function ensureIpcListeners() {
 export async function initializeTranscriptions(limit = DEFAULT_LIMIT) {
   currentLimit = limit;
   ensureIpcListeners();
-  const items = await window.electronAPI.getTranscriptions(limit);
+  const [items, totalCount, pinned] = await Promise.all([
+    window.electronAPI.getTranscriptions(limit),
+    window.electronAPI.getTranscriptionCount(),
+    window.electronAPI.getPinnedTranscriptions?.() ?? Promise.resolve([]),
+  ]);
   transcriptions = items;
+  pinnedTranscriptions = pinned;
+  setPagination({ totalCount, hasMore: items.length >= limit, isLoadingMore: false });
   emit();
   return items;
 }
 
+// Fetch the next page below the oldest loaded row; concurrent calls share one request
+export function loadMoreTranscriptions() {
+  if (!pagination.hasMore || transcriptions.length === 0) {
+    return Promise.resolve([]);
+  }
+  if (loadMorePromise) {
+    return loadMorePromise;
+  }
+
+  const last = transcriptions[transcriptions.length - 1];
+  setPagination({ isLoadingMore: true });
+  emit();
+
+  loadMorePromise = window.electronAPI
+    .getTranscriptions(currentLimit, { beforeTimestamp: last.timestamp, beforeId: last.id })
+    .then((items) => {
+      const loadedIds = new Set(transcriptions.map((item) => item.id));
+      transcriptions = [...transcriptions, ...items.filter((item) => !loadedIds.has(item.id))];
+      setPagination({ hasMore: items.length >= currentLimit });
+      return items;
+    })
+    .finally(() => {
+      loadMorePromise = null;
+      setPagination({ isLoadingMore: false });
+      emit();
+    });
+
+  return loadMorePromise;
+}
+
 export function addTranscription(item: TranscriptionItem) {
   if (!item) return;
   const withoutDuplicate = transcriptions.filter((existing) => existing.id !== item.id);
-  transcriptions = [item, ...withoutDuplicate].slice(0, currentLimit);
+  if (withoutDuplicate.length === transcriptions.length) {
+    setPagination({ totalCount: pagination.totalCount + 1 });
+  }
+  transcriptions = [item, ...withoutDuplicate];
+  emit();
+}
+
+export function updateTranscription(item: TranscriptionItem) {
+  if (!item) return;
+  syncPinned(item);
+  transcriptions = transcriptions.map((existing) => (existing.id === item.id ? item : existing));
   emit();
 }
 
 export function removeTranscription(id: number) {
   if (!id) return;
   const next = transcriptions.filter((item) => item.id !== id);
-  if (next.length === transcriptions.length) return;
+  const nextPinned = pinnedTranscriptions.filter((item) => item.id !== id);
+  if (next.length === transcriptions.length && nextPinned.length === pinnedTranscriptions.length) {
+    return;
+  }
+  if (next.length !== transcriptions.length) {
+    setPagination({ totalCount: Math.max(0, pagination.totalCount - 1) });
+  }
   transcriptions = next;
+  pinnedTranscriptions = nextPinned;
   emit();
 }
 
 export function clearTranscriptions() {
-  if (transcriptions.length === 0) return;
+  if (transcriptions.length === 0 && pagination.totalCount === 0) return;
   transcriptions = [];
+  pinnedTranscriptions = [];
+  setPagination({ totalCount: 0, hasMore: false });
   emit();
 }
 
+// Called whenever entries move to the trash, from this window or another
+export function onTranscriptionsRemoved(listener: RemovalListener) {
+  ensureIpcListeners();
+  removalListeners.add(listener);
+  return () => {
+    removalListeners.delete(listener);
+  };
+}
+
 export function useTranscriptions() {
   return useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
 }
+
+export function usePinnedTranscriptions() {
+  return useSyncExternalStore(subscribe, getPinnedSnapshot, getPinnedSnapshot);
+}
+
+export function useTranscriptionPagination() {
+  return useSyncExternalStore(subscribe, getPaginationSnapshot, getPaginationSnapshot);
+}
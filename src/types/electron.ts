@@ -3,6 +3,277 @@ export interface TranscriptionItem {
   text: string;
   timestamp: string;
   created_at: string;
+  raw_text?: string | null;
+  source?: string | null;
+  provider?: string | null;
+  model?: string | null;
+  reasoning_model?: string | null;
+  language?: string | null;
+  audio_duration_ms?: number | null;
+  audio_conversion_ms?: number | null;
+  transcription_ms?: number | null;
+  reasoning_ms?: number | null;
+  round_trip_ms?: number | null;
+  starred?: number;
+  pinned?: number;
+  edited_at?: string | null;
+  audio_file?: string | null;
+  audio_size_bytes?: number | null;
+  tags?: string[];
+  // Set while the entry is in the trash
+  deleted_at?: string | null;
+}
+
+export interface TranscriptionDeletedEvent {
+  id: number;
+  transcription: TranscriptionItem | null;
+}
+
+export interface TranscriptionsClearedEvent {
+  cleared: number;
+  ids: number[];
+}
+
+export interface TranscriptionsRestoredEvent {
+  restored: number;
+  transcriptions: TranscriptionItem[];
+}
+
+export interface HistoryTag {
+  name: string;
+  count: number;
+}
+
+export interface PipelineFailure {
+  provider: string | null;
+  model: string | null;
+  reasoningModel: string | null;
+  error: string;
+  audioDurationMs: number | null;
+  elapsedMs: number | null;
+}
+
+export interface LatencySummary {
+  count: number;
+  mean: number;
+  p50: number;
+  p90: number;
+  p95: number;
+}
+
+export interface UsageSeriesPoint {
+  words: number;
+  dictations: number;
+}
+
+// Ratios (errorRate, share) are 0-1 and null when there is nothing to divide by
+export interface UsageStats {
+  days: number;
+  totals: {
+    dictations: number;
+    words: number;
+    audioMs: number;
+    failures: number;
+    errorRate: number | null;
+    wordsPerMinute: number | null;
+  };
+  daily: Array<UsageSeriesPoint & { date: string }>;
+  weekly: Array<UsageSeriesPoint & { weekStart: string }>;
+  providers: Array<{
+    provider: string;
+    model: string | null;
+    dictations: number;
+    failures: number;
+    errorRate: number | null;
+    wordsPerMinute: number | null;
+    roundTrip: LatencySummary | null;
+    transcription: LatencySummary | null;
+  }>;
+  reasoning: {
+    dictations: number;
+    share: number | null;
+    models: Array<{
+      model: string;
+      dictations: number;
+      latency: LatencySummary | null;
+      share: number | null;
+    }>;
+  };
+}
+
+// Pipeline details recorded alongside a transcription (see AudioManager.buildHistoryMetadata)
+export interface TranscriptionMetadata {
+  rawText?: string | null;
+  source?: string | null;
+  provider?: string | null;
+  model?: string | null;
+  reasoningModel?: string | null;
+  language?: string | null;
+  audioDurationMs?: number | null;
+  audioConversionDurationMs?: number | null;
+  transcriptionProcessingDurationMs?: number | null;
+  reasoningProcessingDurationMs?: number | null;
+  roundTripDurationMs?: number | null;
+}
+
+// Keyset cursor: the timestamp and id of the last row already loaded
+export interface TranscriptionCursor {
+  beforeTimestamp: string;
+  beforeId: number;
+}
+
+export type TranscriptionSearchSort = "relevance" | "newest";
+
+// tags must all be present on an entry; starred and pinned keep only flagged entries
+export interface TranscriptionFilterOptions {
+  tags?: string[];
+  starred?: boolean;
+  pinned?: boolean;
+}
+
+export interface TranscriptionSearchOptions extends TranscriptionFilterOptions {
+  query?: string;
+  from?: string | null;
+  to?: string | null;
+  sort?: TranscriptionSearchSort;
+  limit?: number;
+}
+
+export interface TranscriptionSearchResult extends TranscriptionItem {
+  highlighted: string | null;
+  rank: number | null;
+}
+
+export type TranscriptionExportFormat = "markdown" | "json" | "csv" | "text";
+
+// Scope is the intersection of whichever filters are set; none exports everything
+export interface TranscriptionExportOptions extends TranscriptionFilterOptions {
+  format: TranscriptionExportFormat;
+  ids?: number[];
+  query?: string;
+  from?: string | null;
+  to?: string | null;
+}
+
+export interface TranscriptionExportResult {
+  success: boolean;
+  canceled?: boolean;
+  filePath?: string;
+  count?: number;
+  error?: string;
+}
+
+// skipped: already in history (same text and timestamp); invalid: missing text or timestamp
+export interface TranscriptionImportResult {
+  success: boolean;
+  canceled?: boolean;
+  filePath?: string;
+  imported?: number;
+  skipped?: number;
+  invalid?: number;
+  error?: string;
+}
+
+export interface HistoryEncryptionStatus {
+  enabled: boolean;
+  // Encrypted history whose key is missing from the keyring; only the recovery key opens it
+  locked: boolean;
+  // Locked because the encrypted file itself is damaged; the recovery key cannot open it
+  damaged: boolean;
+  keyringAvailable: boolean;
+  keyringBackend: string | null;
+}
+
+export interface HistoryEncryptionResult {
+  success: boolean;
+  recoveryKey?: string;
+  archivedPath?: string;
+  error?: string;
+  code?: string | null;
+  status: HistoryEncryptionStatus;
+}
+
+// 0 disables a limit; starred transcriptions are exempt while keepStarred is set
+export interface HistoryRetentionPolicy {
+  maxAgeDays: number;
+  maxEntries: number;
+  keepStarred: boolean;
+  // Days an entry stays in the trash before it is permanently deleted; 0 keeps it until emptied
+  trashDays: number;
+}
+
+// original: the text as dictated, saved before the first change; edit and restore: the text
+// each of those changes produced; retranscription: an alternative run of the stored recording
+export type TranscriptionRevisionKind = "original" | "edit" | "restore" | "retranscription";
+
+// Only alternatives are added directly; the other kinds are recorded by edits and restores
+export interface TranscriptionRevisionInput {
+  kind: "retranscription";
+  text: string;
+  metadata?: TranscriptionMetadata;
+}
+
+// Same pipeline columns as TranscriptionItem, for an alternative version of its text
+export interface TranscriptionRevision {
+  id: number;
+  transcription_id: number;
+  kind: TranscriptionRevisionKind;
+  text: string;
+  raw_text: string | null;
+  source: string | null;
+  provider: string | null;
+  model: string | null;
+  reasoning_model: string | null;
+  language: string | null;
+  audio_duration_ms: number | null;
+  audio_conversion_ms: number | null;
+  transcription_ms: number | null;
+  reasoning_ms: number | null;
+  round_trip_ms: number | null;
+  created_at: string;
+}
+
+// Recording bytes as they cross IPC (ArrayBuffer from the renderer, Uint8Array back)
+export interface TranscriptionAudio {
+  data: ArrayBuffer | Uint8Array;
+  mimeType: string;
+}
+
+export interface HistoryAudioSettings {
+  enabled: boolean;
+  maxTotalMb: number;
+}
+
+export type RecordingMode = "toggle" | "push-to-talk";
+
+export interface MarkdownVaultSettings {
+  enabled: boolean;
+  directory: string;
+  mode: "all" | "tagged";
+  // Only used in "tagged" mode; empty matches any tag
+  tags: string[];
+}
+
+// A dictation left in the spool by a crash, a reload or a failed transcription
+export interface UnfinishedRecording {
+  id: string;
+  mimeType: string;
+  startedAt: number | null;
+  sizeBytes: number;
+}
+
+// An audio or video file converted into overlapping segments for transcription
+export interface ConvertedMediaFile {
+  success: boolean;
+  fileName?: string;
+  durationSeconds?: number;
+  segments?: TranscriptionAudio[];
+  error?: string;
+}
+
+export interface HistoryAudioUsage {
+  count: number;
+  totalBytes: number;
 }
 
 export interface WhisperCheckResult {
@@ -116,17 +387,133 @@ declare global {
       hideWindow: () => Promise<void>;
       showDictationPanel: () => Promise<void>;
       onToggleDictation: (callback: () => void) => (() => void) | void;
+      onStartDictation: (callback: () => void) => (() => void) | void;
+      onStopDictation: (callback: () => void) => (() => void) | void;
 
       // Database operations
-      saveTranscription: (text: string) => Promise<{ id: number; success: boolean }>;
-      getTranscriptions: (limit?: number) => Promise<TranscriptionItem[]>;
-      clearTranscriptions: () => Promise<{ cleared: number; success: boolean }>;
-      deleteTranscription: (id: number) => Promise<{ success: boolean }>;
+      saveTranscription: (
+        text: string,
+        metadata?: TranscriptionMetadata,
+        audio?: TranscriptionAudio | null
+      ) => Promise<{ id: number; success: boolean }>;
+      getTranscriptions: (
+        limit?: number,
+        cursor?: TranscriptionCursor | null
+      ) => Promise<TranscriptionItem[]>;
+      getTranscriptionCount: () => Promise<number>;
+      searchTranscriptions: (
+        options: TranscriptionSearchOptions
+      ) => Promise<TranscriptionSearchResult[]>;
+      exportTranscriptions: (
+        options: TranscriptionExportOptions
+      ) => Promise<TranscriptionExportResult>;
+      importTranscriptions: () => Promise<TranscriptionImportResult>;
+      addTranscriptionRevision: (
+        id: number,
+        revision: TranscriptionRevisionInput
+      ) => Promise<TranscriptionRevision>;
+      getTranscriptionRevisions: (id: number) => Promise<TranscriptionRevision[]>;
+      updateTranscriptionText: (
+        id: number,
+        text: string
+      ) => Promise<{ success: boolean; transcription: TranscriptionItem | null }>;
+      restoreTranscriptionRevision: (
+        id: number,
+        revisionId: number
+      ) => Promise<{ success: boolean; transcription: TranscriptionItem | null }>;
+      setTranscriptionStarred: (
+        id: number,
+        starred: boolean
+      ) => Promise<{ success: boolean; transcription?: TranscriptionItem }>;
+      setTranscriptionPinned: (
+        id: number,
+        pinned: boolean
+      ) => Promise<{ success: boolean; transcription?: TranscriptionItem }>;
+      getPinnedTranscriptions: () => Promise<TranscriptionItem[]>;
+      setTranscriptionTags: (
+        id: number,
+        tags: string[]
+      ) => Promise<{ success: boolean; transcription?: TranscriptionItem | null }>;
+      getTags: () => Promise<HistoryTag[]>;
+      recordPipelineFailure: (
+        failure: PipelineFailure
+      ) => Promise<{ id: number; success: boolean }>;
+      getUsageStats: (days: number) => Promise<UsageStats>;
+      getTranscriptionAudio: (id: number) => Promise<TranscriptionAudio | null>;
+      getHistoryAudioSettings: () => Promise<HistoryAudioSettings>;
+      setHistoryAudioSettings: (settings: Partial<HistoryAudioSettings>) => Promise<{
+        success: boolean;
+        settings: HistoryAudioSettings;
+        usage: HistoryAudioUsage;
+      }>;
+      getHistoryAudioUsage: () => Promise<HistoryAudioUsage>;
+      deleteAllHistoryAudio: () => Promise<{ success: boolean; deleted: number }>;
+      getHistoryEncryption: () => Promise<HistoryEncryptionStatus>;
+      enableHistoryEncryption: () => Promise<HistoryEncryptionResult>;
+      disableHistoryEncryption: () => Promise<HistoryEncryptionResult>;
+      regenerateHistoryRecoveryKey: () => Promise<HistoryEncryptionResult>;
+      recoverHistoryEncryption: (recoveryKey: string) => Promise<HistoryEncryptionResult>;
+      resetHistoryEncryption: () => Promise<HistoryEncryptionResult>;
+      getMarkdownVaultSettings: () => Promise<MarkdownVaultSettings>;
+      setMarkdownVaultSettings: (
+        settings: Partial<MarkdownVaultSettings>
+      ) => Promise<{ success: boolean; settings: MarkdownVaultSettings }>;
+      chooseMarkdownVaultDirectory: () => Promise<{
+        success: boolean;
+        canceled?: boolean;
+        settings?: MarkdownVaultSettings;
+      }>;
+      beginRecordingSpool: (
+        id: string,
+        info: { mimeType: string; startedAt: number }
+      ) => Promise<{ success: boolean }>;
+      appendRecordingSpool: (id: string, data: ArrayBuffer) => Promise<{ success: boolean }>;
+      endRecordingSpool: (
+        id: string,
+        options?: { keep?: boolean }
+      ) => Promise<{ success: boolean }>;
+      getUnfinishedRecordings: () => Promise<UnfinishedRecording[]>;
+      readUnfinishedRecording: (id: string) => Promise<TranscriptionAudio | null>;
+      discardUnfinishedRecording: (id: string) => Promise<{ success: boolean }>;
+      chooseMediaFile: () => Promise<string | null>;
+      getPathForFile: (file: File) => string;
+      convertMediaFile: (filePath: string) => Promise<ConvertedMediaFile>;
+      onMediaFileConvertProgress: (
+        callback: (progress: { converted: number; total: number }) => void
+      ) => () => void;
+      getHistoryRetention: () => Promise<HistoryRetentionPolicy>;
+      setHistoryRetention: (
+        policy: HistoryRetentionPolicy
+      ) => Promise<{ success: boolean; policy: HistoryRetentionPolicy; deleted: number }>;
+      clearTranscriptions: () => Promise<TranscriptionsClearedEvent & { success: boolean }>;
+      deleteTranscription: (
+        id: number
+      ) => Promise<TranscriptionDeletedEvent & { success: boolean }>;
+      restoreTranscriptions: (
+        ids: number[]
+      ) => Promise<TranscriptionsRestoredEvent & { success: boolean }>;
+      getTrash: () => Promise<TranscriptionItem[]>;
+      purgeTrash: (ids?: number[]) => Promise<{ success: boolean; purged: number }>;
       onTranscriptionAdded?: (callback: (item: TranscriptionItem) => void) => (() => void) | void;
-      onTranscriptionDeleted?: (callback: (payload: { id: number }) => void) => (() => void) | void;
+      onTranscriptionDeleted?: (
+        callback: (payload: TranscriptionDeletedEvent) => void
+      ) => (() => void) | void;
       onTranscriptionsCleared?: (
-        callback: (payload: { cleared: number }) => void
+        callback: (payload: TranscriptionsClearedEvent) => void
+      ) => (() => void) | void;
+      onTranscriptionsRestored?: (
+        callback: (payload: TranscriptionsRestoredEvent) => void
+      ) => (() => void) | void;
+      onTrashUpdated?: (callback: () => void) => (() => void) | void;
+      onTranscriptionUpdated?: (callback: (item: TranscriptionItem) => void) => (() => void) | void;
+      onTranscriptionsPruned?: (
+        callback: (payload: { deleted: number }) => void
+      ) => (() => void) | void;
+      onTranscriptionsImported?: (
+        callback: (payload: { imported: number }) => void
       ) => (() => void) | void;
+      onTagsUpdated?: (callback: (tags: HistoryTag[]) => void) => (() => void) | void;
+      onTranscriptionsReloaded?: (callback: () => void) => (() => void) | void;
 
       // API key management
       getOpenAIKey: () => Promise<string>;
@@ -223,7 +610,12 @@ declare global {
       setGnomeAnimationState: (state: {
         isRecording: boolean;
         isProcessing: boolean;
+        // Input level from 0 to 1 while recording
+        level?: number;
+        clipping?: boolean;
       }) => Promise<{ success: boolean }>;
+      // Shown in the tray while the warm microphone keeps the input open
+      setWarmMicrophoneOpen: (isOpen: boolean) => Promise<{ success: boolean }>;
       installGnomeExtension: () => Promise<GnomeExtensionInstallResult>;
 
       // App management
@@ -260,6 +652,9 @@ declare global {
 
       // Hotkey management
       updateHotkey: (key: string) => Promise<{ success: boolean; message: string }>;
+      setRecordingMode: (
+        mode: RecordingMode
+      ) => Promise<{ success: boolean; mode: RecordingMode; error?: string }>;
 
       // Globe key listener for hotkey capture (macOS only)
       onGlobeKeyPressed?: (callback: () => void) => () => void;
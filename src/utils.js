@@ -7,18 +7,59 @@ class AppUtils {
   static cleanup(mainWindow) {
     console.log("Starting cleanup process...");
 
-    // Database file deletion
+    // Database file deletion (plaintext or encrypted, plus the wrapped key)
+    const dbPath = path.join(
+      app.getPath("userData"),
+      process.env.NODE_ENV === "development" ? "transcriptions-dev.db" : "transcriptions.db"
+    );
+    // Locked encrypted history set aside by "Start Fresh" is kept as <db>.enc.locked-<time>
+    let lockedArchives = [];
     try {
-      const dbPath = path.join(
-        app.getPath("userData"),
-        process.env.NODE_ENV === "development" ? "transcriptions-dev.db" : "transcriptions.db"
-      );
-      if (fs.existsSync(dbPath)) {
-        fs.unlinkSync(dbPath);
-        console.log("✅ Database file deleted:", dbPath);
+      const encName = `${path.basename(dbPath)}.enc.locked-`;
+      lockedArchives = fs
+        .readdirSync(app.getPath("userData"))
+        .filter((name) => name.startsWith(encName))
+        .map((name) => path.join(app.getPath("userData"), name));
+    } catch (error) {
+      console.error("❌ Error listing locked history archives:", error);
+    }
+    [dbPath, `${dbPath}.enc`, dbPath.replace(/\.db$/, ".key"), ...lockedArchives].forEach(
+      (filePath) => {
+        try {
+          if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+            console.log("✅ Database file deleted:", filePath);
+          }
+        } catch (error) {
+          console.error("❌ Error deleting database file:", error);
+        }
       }
+    );
+
+    // Database backups (written before schema migrations)
+    try {
+      const backupDir = path.join(app.getPath("userData"), "backups");
+      if (fs.existsSync(backupDir)) {
+        fs.rmSync(backupDir, { recursive: true, force: true });
+        console.log("✅ Database backups deleted:", backupDir);
+      }
+    } catch (error) {
+      console.error("❌ Error deleting database backups:", error);
+    }
+
+    // Recordings kept alongside history entries (and those of locked history set aside),
+    // plus dictations spooled while recording
+    try {
+      const recordingDirs = fs
+        .readdirSync(app.getPath("userData"))
+        .filter((name) => name.startsWith("history-audio") || name === "recording-spool");
+      recordingDirs.forEach((name) => {
+        const dir = path.join(app.getPath("userData"), name);
+        fs.rmSync(dir, { recursive: true, force: true });
+        console.log("✅ Recordings deleted:", dir);
+      });
     } catch (error) {
-      console.error("❌ Error deleting database file:", error);
+      console.error("❌ Error deleting recordings:", error);
     }
 
     // Local storage clearing